@@ -0,0 +1,68 @@
+import { canonicalJson } from './backup-utils.js';
+
+/**
+ * Builds the changes recorded for an action from before and after snapshots of the documents it touched.
+ * Documents the action left as they were are dropped, as are repeats of the same document.
+ * @param {Object[]} snapshots - [{ model, before, after }] where a snapshot is null if the document didn't exist.
+ * @returns {Object[]} [{ model, documentId, before, after }]
+ */
+const buildChanges = (snapshots) => {
+  const seen = new Set();
+  return snapshots
+    .filter(({ before, after }) => canonicalJson(before) !== canonicalJson(after))
+    .map(({ model, before, after }) => ({ model, documentId: String((before || after)._id), before, after }))
+    .filter(({ model, documentId }) => {
+      const key = `${model}:${documentId}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Finds the documents that changed again after an action. Reverting the action would throw those later changes away.
+ * @param {Object[]} changes - The action's changes.
+ * @param {Object[]} current - Current snapshots of the same documents, in the same order (null if deleted).
+ * @returns {Object[]} The changes whose document no longer matches its "after" snapshot.
+ */
+const findConflicts = (changes, current) => {
+  return changes.filter((change, i) => canonicalJson(change.after) !== canonicalJson(current[i]));
+};
+
+/**
+ * Gives the changes that revert an action: before and after swapped, last change first.
+ * @param {Object[]} changes - The action's changes.
+ * @returns {Object[]} The reverting changes.
+ */
+const invertChanges = (changes) => {
+  return [...changes].reverse().map(change => ({ ...change, before: change.after, after: change.before }));
+};
+
+/**
+ * Builds the update that turns a document back into a snapshot, unsetting fields the snapshot doesn't have.
+ * @param {Object} current - The document as it is now.
+ * @param {Object} snapshot - The state to restore.
+ * @returns {Object} A MongoDB update.
+ */
+const toRestoreUpdate = (current, snapshot) => {
+  const { _id, ...fields } = snapshot;
+  const missing = Object.keys(current).filter(key => key !== '_id' && !(key in fields));
+  return missing.length > 0
+    ? { $set: fields, $unset: Object.fromEntries(missing.map(key => [key, 1])) }
+    : { $set: fields };
+};
+
+/**
+ * Builds the update that puts back fields a bulk import overwrote.
+ * @param {Object} fields - The fields as they were, with null for those that were unset.
+ * @returns {Object} A MongoDB update.
+ */
+const toOverwrittenUpdate = (fields) => {
+  const unset = Object.keys(fields).filter(key => fields[key] === null);
+  const set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+  return unset.length > 0
+    ? { $set: set, $unset: Object.fromEntries(unset.map(key => [key, 1])) }
+    : { $set: set };
+};
+
+export { buildChanges, findConflicts, invertChanges, toRestoreUpdate, toOverwrittenUpdate };
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+
+const BACKUP_FORMAT = 'caltrack-backup';
+const BACKUP_VERSION = 4; // 2 added weights, 3 added profiles, 4 added the journal and seed packs
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal data always gives equal text
+ * no matter which backend or driver produced it.
+ * @param {*} value - Any JSON-compatible value.
+ * @returns {string} The canonical JSON text.
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Computes the checksum stored with each collection in an archive.
+ * @param {Object[]} documents - The collection's documents.
+ * @returns {string} "sha256:<hex digest>"
+ */
+const checksum = (documents) => {
+  return `sha256:${crypto.createHash('sha256').update(canonicalJson(documents)).digest('hex')}`;
+};
+
+/**
+ * Builds a self-describing backup archive.
+ * @param {Object} collections - Map of collection name to plain documents.
+ * @returns {Object} The archive, ready to be written as JSON.
+ */
+const buildArchive = (collections) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: new Date().toISOString(),
+  collections: Object.fromEntries(Object.entries(collections).map(([name, documents]) => [
+    name,
+    { count: documents.length, checksum: checksum(documents), documents },
+  ])),
+});
+
+/**
+ * Checks an archive's format, version, counts and checksums.
+ * @param {Object} archive - The parsed archive.
+ * @param {string[]} collectionNames - Collections the archive must contain.
+ * @returns {string[]} Problems found; empty when the archive is intact.
+ */
+const validateArchive = (archive, collectionNames) => {
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    return ['not a CalTrack backup file'];
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    return [`unsupported backup version ${archive.version} (this version reads up to ${BACKUP_VERSION})`];
+  }
+
+  const errors = [];
+  collectionNames.forEach(name => {
+    const collection = archive.collections && archive.collections[name];
+    if (!collection || !Array.isArray(collection.documents)) {
+      errors.push(`collection "${name}" is missing`);
+      return;
+    }
+    if (collection.count !== collection.documents.length) {
+      errors.push(`collection "${name}" should have ${collection.count} documents but has ${collection.documents.length}`);
+    }
+    if (collection.checksum !== checksum(collection.documents)) {
+      errors.push(`collection "${name}" failed its checksum; the file is corrupted or was edited`);
+    }
+  });
+  return errors;
+};
+
+const withoutIds = ({ _id, __v, ...rest }) => rest;
+
+/**
+ * Works out what restoring a collection would change.
+ * Documents are matched on their natural key (a food's name, a log's date) rather than _id.
+ * @param {Object[]} existing - Plain documents currently stored.
+ * @param {Object[]} incoming - Plain documents from the archive.
+ * @param {Function} keyOf - Returns a document's natural key.
+ * @param {string} mode - 'merge' keeps documents missing from the archive, 'replace' removes them.
+ * @returns {Object} { added, changed, unchanged, removed }, with changed as { existing, incoming } pairs.
+ */
+const planRestore = (existing, incoming, keyOf, mode) => {
+  const existingByKey = new Map(existing.map(doc => [keyOf(doc), doc]));
+  const incomingKeys = new Set(incoming.map(keyOf));
+  const plan = { added: [], changed: [], unchanged: [], removed: [] };
+
+  incoming.forEach(doc => {
+    const match = existingByKey.get(keyOf(doc));
+    if (!match) plan.added.push(doc);
+    else if (canonicalJson(withoutIds(match)) === canonicalJson(withoutIds(doc))) plan.unchanged.push(doc);
+    else plan.changed.push({ existing: match, incoming: doc });
+  });
+
+  if (mode === 'replace') {
+    plan.removed = existing.filter(doc => !incomingKeys.has(keyOf(doc)));
+  }
+  return plan;
+};
+
+export { BACKUP_FORMAT, BACKUP_VERSION, canonicalJson, checksum, buildArchive, validateArchive, planRestore };
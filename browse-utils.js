@@ -0,0 +1,94 @@
+// Foods shown per page in the food browser
+const BROWSE_PAGE_SIZE = 15;
+
+/**
+ * Grams of protein per 100 kcal, the usual way to compare how protein-dense foods are.
+ * @param {Object} food - { kcal, protein }.
+ * @returns {number} Rounded to one decimal; 0 for foods without calories.
+ */
+const proteinDensity = (food) => {
+  if (!(food.kcal > 0)) return 0;
+  return Math.round(((food.protein || 0) / food.kcal) * 1000) / 10;
+};
+
+/**
+ * The orders the food browser offers, each with a label and a comparator.
+ */
+const FOOD_SORTS = {
+  name: { label: 'Name (A-Z)', compare: (a, b) => a.name.localeCompare(b.name) },
+  kcalAsc: { label: 'Calories (lowest first)', compare: (a, b) => a.kcal - b.kcal || a.name.localeCompare(b.name) },
+  kcalDesc: { label: 'Calories (highest first)', compare: (a, b) => b.kcal - a.kcal || a.name.localeCompare(b.name) },
+  protein: {
+    label: 'Protein density (g per 100 kcal)',
+    compare: (a, b) => proteinDensity(b) - proteinDensity(a) || a.name.localeCompare(b.name),
+  },
+};
+
+/**
+ * Parses a calorie range as typed: "100-300", "200-" (at least), "-300" or "<300" (at most), ">500", or "250" (exactly).
+ * @param {string} input - The range.
+ * @returns {Object|null} { min, max } with null for an open end, or null if the input isn't a range.
+ */
+const parseKcalRange = (input) => {
+  const text = String(input || '').replace(/\s+/g, '').replace(/kcal$/i, '');
+  const toNumber = (value) => (value === '' ? null : parseFloat(value));
+
+  let match = text.match(/^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/);
+  if (match && (match[1] || match[2])) {
+    const range = { min: toNumber(match[1] || ''), max: toNumber(match[2] || '') };
+    return range.min !== null && range.max !== null && range.min > range.max ? null : range;
+  }
+  match = text.match(/^([<>])=?(\d+(?:\.\d+)?)$/);
+  if (match) return match[1] === '<' ? { min: null, max: parseFloat(match[2]) } : { min: parseFloat(match[2]), max: null };
+  match = text.match(/^\d+(?:\.\d+)?$/);
+  if (match) return { min: parseFloat(text), max: parseFloat(text) };
+  return null;
+};
+
+/**
+ * Describes a calorie range for display, e.g. "100-300 kcal" or "≥ 500 kcal".
+ * @param {Object} range - { min, max }.
+ * @returns {string} The description.
+ */
+const describeKcalRange = ({ min, max }) => {
+  if (min !== null && max !== null) return min === max ? `${min} kcal` : `${min}-${max} kcal`;
+  return min !== null ? `≥ ${min} kcal` : `≤ ${max} kcal`;
+};
+
+/**
+ * Applies the browser's filters and sort order to a list of foods.
+ * @param {Object[]} foods - The foods.
+ * @param {Object} view - { sort: key of FOOD_SORTS, category, tag, kcalRange: { min, max } }; unset filters match everything.
+ * @returns {Object[]} A new, filtered and sorted array.
+ */
+const selectFoods = (foods, { sort = 'name', category = null, tag = null, kcalRange = null } = {}) => {
+  return foods
+    .filter(food => !category || food.category === category)
+    .filter(food => !tag || (food.tags || []).includes(tag))
+    .filter(food => !kcalRange || ((kcalRange.min === null || food.kcal >= kcalRange.min)
+      && (kcalRange.max === null || food.kcal <= kcalRange.max)))
+    .sort(FOOD_SORTS[sort].compare);
+};
+
+/**
+ * Cuts one page out of a list, clamping the page number to the pages that exist.
+ * @param {Array} items - The whole list.
+ * @param {number} page - Zero-based page number.
+ * @param {number} [pageSize] - Items per page.
+ * @returns {Object} { items, page, pageCount } where page is the page actually shown.
+ */
+const paginate = (items, page, pageSize = BROWSE_PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const shown = Math.min(Math.max(0, page), pageCount - 1);
+  return { items: items.slice(shown * pageSize, (shown + 1) * pageSize), page: shown, pageCount };
+};
+
+export {
+  BROWSE_PAGE_SIZE,
+  FOOD_SORTS,
+  proteinDensity,
+  parseKcalRange,
+  describeKcalRange,
+  selectFoods,
+  paginate,
+};
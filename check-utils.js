@@ -0,0 +1,59 @@
+import { totalEntries } from './usage-utils.js';
+
+const TOTAL_FIELDS = ['totalKcal', 'totalProtein', 'totalCarbs', 'totalFat'];
+
+// Totals closer than this to their entries' sum are float noise, not drift
+const TOTAL_TOLERANCE = 0.05;
+
+/**
+ * Finds logs whose stored totals don't add up to their entries.
+ * @param {Object[]} logs - Logs with entries and totals.
+ * @returns {Object[]} [{ log, expected }] where expected are the totals from totalEntries.
+ */
+const findTotalMismatches = (logs) => {
+  return logs
+    .map(log => ({ log, expected: totalEntries(log.entries) }))
+    .filter(({ log, expected }) => TOTAL_FIELDS.some(field => Math.abs((log[field] || 0) - expected[field]) >= TOTAL_TOLERANCE));
+};
+
+/**
+ * Finds logs without any entries, which are left behind when a day's last entry is deleted or moved.
+ * @param {Object[]} logs - The logs.
+ * @returns {Object[]} The empty logs.
+ */
+const findEmptyLogs = (logs) => logs.filter(log => log.entries.length === 0);
+
+/**
+ * Finds links to foods that no longer exist: in log entries, meal template items and recipe ingredients.
+ * Each of them keeps its own name and nutrition, so only the link is lost.
+ * @param {Object} data - { logs, foods, templates }.
+ * @returns {Object[]} [{ model: 'Log' | 'MealTemplate' | 'Food', doc, path, item }] where path is the array holding item.
+ */
+const findOrphanedLinks = ({ logs, foods, templates }) => {
+  const foodIds = new Set(foods.map(food => String(food._id)));
+  const orphans = [];
+  const collect = (model, docs, path) => docs.forEach(doc => (doc[path] || []).forEach(item => {
+    if (item.food && !foodIds.has(String(item.food))) orphans.push({ model, doc, path, item });
+  }));
+  collect('Log', logs, 'entries');
+  collect('MealTemplate', templates, 'items');
+  collect('Food', foods, 'ingredients');
+  return orphans;
+};
+
+/**
+ * Describes a log's totals for display, e.g. "1850 kcal, P 92g, C 210g, F 61g".
+ * @param {Object} totals - { totalKcal, totalProtein, totalCarbs, totalFat }.
+ * @returns {string} The description.
+ */
+const describeTotals = (totals) => {
+  const value = (field) => Math.round((totals[field] || 0) * 10) / 10;
+  return `${value('totalKcal')} kcal, P ${value('totalProtein')}g, C ${value('totalCarbs')}g, F ${value('totalFat')}g`;
+};
+
+export {
+  findTotalMismatches,
+  findEmptyLogs,
+  findOrphanedLinks,
+  describeTotals,
+};
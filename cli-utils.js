@@ -0,0 +1,138 @@
+import { parseArgs } from 'node:util';
+
+/**
+ * Exit codes returned by the non-interactive subcommands.
+ * Scripts can rely on these to tell a typo apart from a real failure.
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,       // Unexpected failure (database, I/O)
+  USAGE: 2,       // Bad arguments or unknown command
+  NOT_FOUND: 3,   // Food search matched nothing
+  AMBIGUOUS: 4,   // Food search matched several foods equally well
+  PROBLEMS: 5,    // check found problems and wasn't asked to fix them
+};
+
+const USAGE = `Usage: caltrack [command] [options]
+
+Run without a command to open the interactive dashboard.
+
+Commands:
+  add <food>            Log a food for today (a barcode works too)
+      --slot <slot>       Time slot name (set up under Settings); defaults to the one for --time
+      --date <date>       Log it for another day: YYYY-MM-DD, yesterday or -2d (days ago)
+      --time <time>       Time eaten (HH:mm or 7:30pm); defaults to now
+      --qty <amount>      Servings (2, 0.5, 1/2) or grams (150g); defaults to 1
+      --first             Take the best match instead of failing on an ambiguous search
+  today                 Show today's totals and entries
+  history               Show daily totals
+      --from <date>       First date to include (YYYY-MM-DD)
+      --to <date>         Last date to include (YYYY-MM-DD)
+  goal [kcal]           Show today's goal and the goal history, or set a new goal when a number is given
+      --from <date>       Date the new goal takes effect (YYYY-MM-DD); defaults to today
+  profiles [action]     List profiles, or manage them:
+      add <name>          Create a profile
+      rename <old> <new>  Rename a profile, keeping its data (e.g. to give "default" a real name)
+  export [foods]        Export log entries (one row per entry), or the food list
+      --from, --to        Date range of the entries to export
+      --format <fmt>      csv (default) or json
+      --out <file>        Write to a file instead of stdout
+  import <file>         Import entries from a CSV or JSON file, skipping duplicates
+      --format <fmt>      csv, json, mfp (MyFitnessPal) or cronometer; detected if omitted
+      --dry-run           Show what would be imported without changing anything
+  import foods <file>   Add products from an Open Food Facts CSV or JSONL export (.gz works too)
+      --country <name>    Only products sold in this country, e.g. thailand
+      --update            Refresh the nutrition of products imported before
+      --dry-run           Only count what would be imported
+  backup                Save all foods, logs, settings, templates, weigh-ins, journals and seed packs to one file
+      --out <file>        Archive path (default caltrack-backup-<date>.json)
+  restore <file>        Restore a backup after validating it and listing the changes
+      --mode <mode>       merge (default) keeps data missing from the backup; replace removes it
+      --dry-run           Only list the changes
+      --yes               Apply without asking for confirmation
+  seeds [action]        List the seed food packs, or manage them:
+      update [pack...]    Show which seeded foods changed upstream and apply the changes; foods you edited are kept
+      enable <pack>       Turn a pack on, adding its foods
+      disable <pack>      Turn a pack off, removing its foods unless you changed or used them
+      --dry-run           With update or disable: only list the changes
+      --yes               With update or disable: apply without asking for confirmation
+  check                 Check every log's totals against its entries and look for orphaned or empty data
+      --fix               Repair what was found: recompute totals, recreate missing profiles, drop links to deleted foods, remove empty logs
+  help                  Show this message
+
+Options:
+  --profile <name>      Whose logs, goals and weigh-ins to use, and whose journal records changes to shared foods; asked at startup when there are several
+  --json                Print machine-readable JSON instead of text
+
+Exit codes:
+  0 ok, 1 error, 2 usage, 3 no food matched, 4 ambiguous food match, 5 check found problems`;
+
+/**
+ * Parses the command line into a command, its positional arguments and options.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} { command, args, options }, or { error } when the arguments are invalid.
+ */
+const parseCommandLine = (argv) => {
+  // parseArgs would read the "-2d" in "--date -2d" as an option of its own, so it is joined to --date
+  const tokens = argv.reduce((joined, arg) => (
+    joined[joined.length - 1] === '--date' && /^-\d+d?$/i.test(arg)
+      ? [...joined.slice(0, -1), `--date=${arg}`]
+      : [...joined, arg]
+  ), []);
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: tokens,
+      allowPositionals: true,
+      options: {
+        slot: { type: 'string', short: 's' },
+        qty: { type: 'string', short: 'q' },
+        date: { type: 'string' },
+        time: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        format: { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        'dry-run': { type: 'boolean' },
+        mode: { type: 'string' },
+        country: { type: 'string' },
+        update: { type: 'boolean' },
+        fix: { type: 'boolean' },
+        yes: { type: 'boolean', short: 'y' },
+        first: { type: 'boolean' },
+        profile: { type: 'string', short: 'p' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+    const [command, ...args] = positionals;
+    return { command: values.help ? 'help' : command, args, options: values };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+/**
+ * Picks a single food out of food search results.
+ * An exact (case-insensitive) name or alias match or a lone result wins; anything else is ambiguous.
+ * @param {Array} results - Search results ({ item }), best first.
+ * @param {string} query - The search text.
+ * @param {boolean} takeFirst - Accept the best result even when it is not unique.
+ * @returns {Object} { food } on success, otherwise { status, candidates }.
+ */
+const resolveFoodMatch = (results, query, takeFirst = false) => {
+  if (results.length === 0) {
+    return { status: EXIT_CODES.NOT_FOUND, candidates: [] };
+  }
+
+  const needle = query.trim().toLowerCase();
+  const names = (food) => [food.name, ...(food.aliases || [])].map(name => name.toLowerCase());
+  const exact = results.find(r => names(r.item).includes(needle));
+  if (exact) return { food: exact.item };
+
+  if (results.length === 1 || takeFirst) return { food: results[0].item };
+
+  return { status: EXIT_CODES.AMBIGUOUS, candidates: results.slice(0, 5).map(r => r.item) };
+};
+
+export { EXIT_CODES, USAGE, parseCommandLine, resolveFoodMatch };
@@ -0,0 +1,71 @@
+import { EXIT_CODES, resolveFoodMatch } from '../cli-utils.js';
+import { loadFoodSearch } from '../food-search.js';
+import { logMeal } from '../log-entries.js';
+import { parseQuantity, formatQuantity } from '../nutrition-utils.js';
+import { normalizeBarcode, isBarcode } from '../off-utils.js';
+import { foodCache } from '../session.js';
+import { getTimeSlots } from '../settings.js';
+import { parseTime } from '../transfer-utils.js';
+import { getLocalDate, getCurrentTime, getTimeSlot, findTimeSlot, parseDateInput } from '../utils.js';
+import { printJson, toEntryJson } from './common.js';
+
+const runAddCommand = async ({ args, options }) => {
+    const query = args.join(' ').trim();
+    if (!query) {
+        console.error('Missing food name. Usage: caltrack add <food> [--slot <slot>] [--qty <servings|grams>] [--date <date>] [--time <time>]');
+        return EXIT_CODES.USAGE;
+    }
+
+    const date = parseDateInput(options.date);
+    if (!date || date > getLocalDate()) {
+        console.error(`Invalid --date "${options.date}". Use a past date as YYYY-MM-DD, yesterday or -2d.`);
+        return EXIT_CODES.USAGE;
+    }
+    const time = options.time ? parseTime(options.time) : getCurrentTime();
+    if (!time) {
+        console.error(`Invalid --time "${options.time}". Use HH:mm or a time like 7:30pm.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const slots = await getTimeSlots();
+    let timeSlot = getTimeSlot(parseInt(time, 10), slots);
+    if (options.slot) {
+        timeSlot = findTimeSlot(options.slot, slots);
+        if (!timeSlot) {
+            console.error(`Unknown time slot "${options.slot}". Use one of: ${slots.map(s => s.name).join(', ')}.`);
+            return EXIT_CODES.USAGE;
+        }
+    }
+
+    const byBarcode = isBarcode(query) && foodCache.find(food => food.barcode === normalizeBarcode(query));
+    const match = byBarcode ? { food: byBarcode } : resolveFoodMatch((await loadFoodSearch(timeSlot))(query), query, options.first);
+
+    if (!match.food) {
+        if (match.status === EXIT_CODES.NOT_FOUND) {
+            console.error(`No food matches "${query}".`);
+        } else {
+            console.error(`"${query}" matches several foods. Be more specific or pass --first:`);
+            match.candidates.forEach(food => console.error(`  - ${food.name} (${food.kcal} kcal)`));
+        }
+        return match.status;
+    }
+
+    const quantity = options.qty ? parseQuantity(options.qty, match.food.servingGrams) : 1;
+    if (quantity === null) {
+        console.error(`Invalid quantity "${options.qty}". Use servings like 2 or 0.5, or grams like 150g for foods with a serving weight.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const log = await logMeal(match.food, timeSlot, quantity, { date, time });
+    const entry = log.entries[log.entries.length - 1];
+
+    if (options.json) {
+        printJson({ date: log.date, entry: toEntryJson(entry), totalKcal: log.totalKcal });
+    } else {
+        const dayLabel = date === getLocalDate() ? 'Today' : date;
+        console.log(`Added "${match.food.name}" ${formatQuantity(quantity)} (${entry.kcal} kcal) to ${timeSlot}. ${dayLabel}: ${log.totalKcal} kcal.`);
+    }
+    return EXIT_CODES.OK;
+};
+
+export { runAddCommand };
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import { buildArchive } from '../backup-utils.js';
+import { EXIT_CODES } from '../cli-utils.js';
+import { toPlainDocs } from '../journal.js';
+import AuditEntry from '../models/AuditEntry.js';
+import Config from '../models/Config.js';
+import Food from '../models/Food.js';
+import Log from '../models/Log.js';
+import MealTemplate from '../models/MealTemplate.js';
+import SeedPack from '../models/SeedPack.js';
+import Weight from '../models/Weight.js';
+import { getLocalDate } from '../utils.js';
+
+// Collections included in backups, with the natural key used to match documents on restore
+const BACKUP_COLLECTIONS = [
+    { name: 'foods', model: Food, keyOf: doc => doc.name },
+    { name: 'logs', model: Log, keyOf: doc => `${doc.profileName}|${doc.date}`, perProfile: true },
+    { name: 'configs', model: Config, keyOf: doc => `${doc.profileName}|${doc.key}`, perProfile: true },
+    { name: 'mealTemplates', model: MealTemplate, keyOf: doc => doc.name },
+    { name: 'weights', model: Weight, keyOf: doc => `${doc.profileName}|${doc.date}`, sinceVersion: 2, perProfile: true },
+    // Journal entries have nothing but their id to tell them apart, and undo entries point at other entries by it
+    { name: 'auditEntries', model: AuditEntry, keyOf: doc => `${doc.profileName}|${doc._id}`, sinceVersion: 4, perProfile: true },
+    { name: 'seedPacks', model: SeedPack, keyOf: doc => doc.pack, sinceVersion: 4 },
+];
+
+const writeBackup = async (file) => {
+    const collections = {};
+    for (const { name, model } of BACKUP_COLLECTIONS) {
+        collections[name] = toPlainDocs(await model.find({}).lean());
+    }
+    const archive = buildArchive(collections);
+    fs.writeFileSync(file, `${JSON.stringify(archive, null, 2)}\n`);
+    return archive;
+};
+
+const runBackupCommand = async ({ options }) => {
+    const file = options.out || `caltrack-backup-${getLocalDate()}.json`;
+    const archive = await writeBackup(file);
+    const summary = Object.entries(archive.collections).map(([name, { count }]) => `${count} ${name}`).join(', ');
+    console.log(`Backed up ${summary} to ${file}.`);
+    return EXIT_CODES.OK;
+};
+
+export { BACKUP_COLLECTIONS, writeBackup, runBackupCommand };
@@ -0,0 +1,92 @@
+import chalk from 'chalk';
+import { findTotalMismatches, findEmptyLogs, findOrphanedLinks, describeTotals } from '../check-utils.js';
+import { EXIT_CODES } from '../cli-utils.js';
+import { AUDITED_MODELS, recordAction } from '../journal.js';
+import AuditEntry from '../models/AuditEntry.js';
+import Food from '../models/Food.js';
+import Log from '../models/Log.js';
+import MealTemplate from '../models/MealTemplate.js';
+import Weight from '../models/Weight.js';
+import { listProfiles, createProfile } from '../profiles.js';
+import { printJson } from './common.js';
+
+const runCheckCommand = async ({ options }) => {
+    const logs = await Log.find({}).lean();
+    const foods = await Food.find({}).lean();
+    const templates = await MealTemplate.find({}).lean();
+    const profiles = await listProfiles();
+    const dayOf = (log) => `${log.date} (${log.profileName})`;
+
+    const mismatches = findTotalMismatches(logs);
+    const empty = findEmptyLogs(logs);
+    const orphanedLinks = findOrphanedLinks({ logs, foods, templates });
+    // Data of a profile whose settings document is gone doesn't show up anywhere
+    const orphanedProfiles = new Map();
+    for (const [label, model] of [['logs', Log], ['weigh-ins', Weight], ['journal entries', AuditEntry]]) {
+        const docs = await model.find({ profileName: { $nin: profiles } }, 'profileName').lean();
+        docs.forEach(({ profileName }) => {
+            const counts = orphanedProfiles.get(profileName) || {};
+            counts[label] = (counts[label] || 0) + 1;
+            orphanedProfiles.set(profileName, counts);
+        });
+    }
+
+    const linkOwner = ({ model, doc }) => ({
+        Log: () => `entry on ${dayOf(doc)}`,
+        MealTemplate: () => `template "${doc.name}"`,
+        Food: () => `recipe "${doc.name}"`,
+    })[model]();
+    const problems = [
+        ...mismatches.map(({ log, expected }) => ({
+            type: 'totals',
+            message: `${dayOf(log)}: totals say ${describeTotals(log)} but the entries add up to ${describeTotals(expected)}`,
+        })),
+        ...[...orphanedProfiles].map(([profileName, counts]) => ({
+            type: 'orphan',
+            message: `Profile "${profileName}" doesn't exist but owns ${Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ')}`,
+        })),
+        ...orphanedLinks.map(link => ({
+            type: 'orphan',
+            message: `${linkOwner(link)}: "${link.item.name}" links to a food that no longer exists`,
+        })),
+        ...empty.map(log => ({ type: 'empty', message: `${dayOf(log)}: log has no entries` })),
+    ];
+
+    if (options.fix) {
+        // Recreated profiles are journaled in themselves; the other repairs are one entry
+        for (const profileName of orphanedProfiles.keys()) await createProfile(profileName);
+        const repaired = [
+            ...mismatches.map(({ log }) => ({ model: 'Log', doc: log })),
+            ...orphanedLinks,
+            ...empty.map(log => ({ model: 'Log', doc: log })),
+        ];
+        const targets = ['Log', 'MealTemplate', 'Food'].map(name => [AUDITED_MODELS[name], {
+            _id: { $in: repaired.filter(({ model }) => model === name).map(({ doc }) => doc._id) },
+        }]);
+        await recordAction(`Repaired ${repaired.length} problem(s) found by check`, targets, async () => {
+            for (const { log } of mismatches) {
+                // Saving derives the totals from the entries
+                await (await Log.findById(log._id)).save();
+            }
+            for (const { model, doc, path, item } of orphanedLinks) {
+                const current = await AUDITED_MODELS[model].findById(doc._id);
+                current[path].id(item._id).food = undefined;
+                await current.save();
+            }
+            if (empty.length > 0) await Log.deleteMany({ _id: { $in: empty.map(log => log._id) } });
+        });
+    }
+
+    if (options.json) {
+        printJson({ checked: { logs: logs.length, foods: foods.length, templates: templates.length }, problems, fixed: Boolean(options.fix) });
+    } else {
+        console.log(`Checked ${logs.length} logs, ${foods.length} foods and ${templates.length} meal templates.`);
+        problems.forEach(({ type, message }) => console.log(`${type === 'totals' ? chalk.red('✗') : chalk.yellow('!')} ${message}`));
+        if (problems.length === 0) console.log(chalk.green('✅ Everything is consistent.'));
+        else if (options.fix) console.log(chalk.green(`\n✅ Fixed ${problems.length} problem(s).`));
+        else console.log(chalk.yellow(`\nFound ${problems.length} problem(s). Run "caltrack check --fix" to repair them.`));
+    }
+    return problems.length > 0 && !options.fix ? EXIT_CODES.PROBLEMS : EXIT_CODES.OK;
+};
+
+export { runCheckCommand };
@@ -0,0 +1,31 @@
+import { isValidDateString } from '../utils.js';
+
+const printJson = (data) => console.log(JSON.stringify(data, null, 2));
+
+const toEntryJson = (entry) => ({
+    name: entry.name,
+    quantity: entry.quantity,
+    kcal: entry.kcal,
+    protein: entry.protein,
+    carbs: entry.carbs,
+    fat: entry.fat,
+    time: entry.time,
+    timeSlot: entry.timeSlot,
+});
+
+// Turns --from/--to into a Log query. Returns null (after printing why) when a date is invalid.
+const buildDateQuery = (options) => {
+    for (const flag of ['from', 'to']) {
+        if (options[flag] && !isValidDateString(options[flag])) {
+            console.error(`Invalid --${flag} date "${options[flag]}". Use YYYY-MM-DD.`);
+            return null;
+        }
+    }
+
+    const dateFilter = {};
+    if (options.from) dateFilter.$gte = options.from;
+    if (options.to) dateFilter.$lte = options.to;
+    return Object.keys(dateFilter).length > 0 ? { date: dateFilter } : {};
+};
+
+export { printJson, toEntryJson, buildDateQuery };
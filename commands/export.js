@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { EXIT_CODES } from '../cli-utils.js';
+import Food from '../models/Food.js';
+import Log from '../models/Log.js';
+import { forProfile } from '../session.js';
+import { ENTRY_COLUMNS, FOOD_COLUMNS, toCsv, logsToEntryRows } from '../transfer-utils.js';
+import { toEntryJson, buildDateQuery } from './common.js';
+
+// Writes command output to --out when given, otherwise to stdout
+const writeOutput = (text, out) => {
+    if (out) fs.writeFileSync(out, text);
+    else process.stdout.write(text);
+};
+
+const runExportCommand = async ({ args, options }) => {
+    const format = (options.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+        console.error(`Unknown export format "${options.format}". Use csv or json.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (args[0] === 'foods') {
+        const foods = await Food.find({}).sort({ name: 1 }).lean();
+        const rows = foods.map(food => Object.fromEntries(FOOD_COLUMNS.map(column => [column, food[column]])));
+        writeOutput(format === 'csv' ? toCsv(rows, FOOD_COLUMNS) : `${JSON.stringify({ exportedAt: new Date().toISOString(), foods: rows }, null, 2)}\n`, options.out);
+        if (options.out) console.error(`Exported ${rows.length} foods to ${options.out}.`);
+        return EXIT_CODES.OK;
+    }
+    if (args.length > 0) {
+        console.error(`Unknown export target "${args[0]}". Use "caltrack export" for logs or "caltrack export foods".`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const query = buildDateQuery(options);
+    if (!query) return EXIT_CODES.USAGE;
+
+    const logs = await Log.find(forProfile(query)).sort({ date: 1 });
+    const rows = logsToEntryRows(logs);
+
+    if (format === 'csv') {
+        writeOutput(toCsv(rows, ENTRY_COLUMNS), options.out);
+    } else {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            from: options.from || null,
+            to: options.to || null,
+            logs: logs.map(log => ({
+                date: log.date,
+                totalKcal: log.totalKcal,
+                totalProtein: log.totalProtein,
+                totalCarbs: log.totalCarbs,
+                totalFat: log.totalFat,
+                entries: log.entries.map(toEntryJson),
+            })),
+        };
+        writeOutput(`${JSON.stringify(data, null, 2)}\n`, options.out);
+    }
+
+    if (options.out) console.error(`Exported ${rows.length} entries from ${logs.length} days to ${options.out}.`);
+    return EXIT_CODES.OK;
+};
+
+export { runExportCommand };
@@ -0,0 +1,49 @@
+import { EXIT_CODES } from '../cli-utils.js';
+import { formatEffectiveDate } from '../format.js';
+import { getGoalForDate, describeGoal } from '../goal-utils.js';
+import { getConfig, recordGoalChange } from '../settings.js';
+import { getLocalDate, isValidDateString } from '../utils.js';
+import { printJson } from './common.js';
+
+const toGoalJson = (entry) => ({
+    effectiveDate: entry.effectiveDate,
+    dailyGoal: entry.dailyGoal,
+    weekdayGoals: [...entry.weekdayGoals],
+});
+
+const runGoalCommand = async ({ args, options }) => {
+    const today = getLocalDate();
+    if (args.length === 0) {
+        const config = await getConfig();
+        const dailyGoal = getGoalForDate(config, today);
+        const goalHistory = config ? config.goalHistory.map(toGoalJson) : [];
+        if (options.json) {
+            printJson({ date: today, dailyGoal, goalHistory });
+            return EXIT_CODES.OK;
+        }
+        console.log(`Today's goal: ${dailyGoal} kcal`);
+        goalHistory.slice().reverse().forEach(entry => {
+            console.log(`  ${formatEffectiveDate(entry.effectiveDate).padEnd(12)} ${describeGoal(entry)}`);
+        });
+        return EXIT_CODES.OK;
+    }
+
+    const newGoal = parseFloat(args[0]);
+    if (isNaN(newGoal) || newGoal <= 0) {
+        console.error(`Invalid goal "${args[0]}". Please enter a positive number.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const effectiveDate = options.from || today;
+    if (!isValidDateString(effectiveDate)) {
+        console.error(`Invalid --from date "${options.from}". Use YYYY-MM-DD.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const config = await recordGoalChange({ effectiveDate, dailyGoal: newGoal });
+    if (options.json) printJson({ effectiveDate, dailyGoal: newGoal, goalHistory: config.goalHistory.map(toGoalJson) });
+    else console.log(`Goal updated to ${newGoal} kcal from ${effectiveDate}.`);
+    return EXIT_CODES.OK;
+};
+
+export { runGoalCommand };
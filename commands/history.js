@@ -0,0 +1,39 @@
+import chalk from 'chalk';
+import { EXIT_CODES } from '../cli-utils.js';
+import { getGoalForDate } from '../goal-utils.js';
+import Log from '../models/Log.js';
+import { forProfile } from '../session.js';
+import { getConfig } from '../settings.js';
+import { printJson, buildDateQuery } from './common.js';
+
+const runHistoryCommand = async ({ options }) => {
+    const query = buildDateQuery(options);
+    if (!query) return EXIT_CODES.USAGE;
+
+    const [logs, config] = await Promise.all([Log.find(forProfile(query)).sort({ date: -1 }), getConfig()]);
+
+    if (options.json) {
+        printJson(logs.map(log => ({
+            date: log.date,
+            totalKcal: log.totalKcal,
+            totalProtein: log.totalProtein,
+            totalCarbs: log.totalCarbs,
+            totalFat: log.totalFat,
+            entryCount: log.entries.length,
+            dailyGoal: getGoalForDate(config, log.date),
+        })));
+        return EXIT_CODES.OK;
+    }
+
+    if (logs.length === 0) {
+        console.log(chalk.gray('No history found.'));
+    }
+    logs.forEach(log => {
+        const dailyGoal = getGoalForDate(config, log.date);
+        const color = log.totalKcal > dailyGoal ? chalk.red : chalk.green;
+        console.log(color(`${log.date}  ${String(log.totalKcal).padStart(5)} / ${dailyGoal} kcal  (${log.entries.length} entries)`));
+    });
+    return EXIT_CODES.OK;
+};
+
+export { runHistoryCommand };
@@ -0,0 +1,153 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import readline from 'readline';
+import zlib from 'zlib';
+import { EXIT_CODES } from '../cli-utils.js';
+import { addAuditEntry } from '../journal.js';
+import Food from '../models/Food.js';
+import { detectOffFormat, createOffCsvParser, parseOffJsonLine, isSoldIn, toOffFood } from '../off-utils.js';
+
+// Reads a file a line at a time so full Open Food Facts dumps (several GB) never have to fit in memory
+const readLines = (file) => {
+    let input = fs.createReadStream(file);
+    if (file.toLowerCase().endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    return readline.createInterface({ input, crlfDelay: Infinity });
+};
+
+const FOOD_IMPORT_BATCH_SIZE = 500;
+
+// What --update refreshes on foods imported before
+const OFF_UPDATE_FIELDS = ['kcal', 'protein', 'carbs', 'fat', 'servingGrams', 'category'];
+
+const runFoodImport = async (file, options) => {
+    if (!file) {
+        console.error('Missing file. Usage: caltrack import foods <file> [--country <name>] [--update] [--dry-run]');
+        return EXIT_CODES.USAGE;
+    }
+    if (!fs.existsSync(file)) {
+        console.error(`Could not read ${file}: no such file.`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const dryRun = Boolean(options['dry-run']);
+    const existing = await Food.find({}, `name barcode${options.update ? ` ${OFF_UPDATE_FIELDS.join(' ')}` : ''}`).lean();
+    const foodsByBarcode = new Map(existing.filter(food => food.barcode).map(food => [food.barcode, food]));
+    const names = new Set(existing.map(food => food.name));
+    const seenBarcodes = new Set();
+    const counts = { added: 0, updated: 0, existing: 0, otherCountry: 0, repeated: 0 };
+    const errors = [];
+    let batch = [];
+    let updates = [];
+    let format = null;
+    let parse = null;
+    let lineNumber = 0;
+
+    // The whole import is one journal entry. Snapshots of every food would swamp the journal, so it lists the
+    // ids it created and the values it overwrote, which is all undoing it takes.
+    const createdIds = [];
+    const overwritten = [];
+    const flush = async () => {
+        if (!dryRun) {
+            const inserted = batch.length > 0 ? await Food.insertMany(batch) : [];
+            createdIds.push(...inserted.map(food => String(food._id)));
+            for (const { barcode, ...fields } of updates) {
+                const before = foodsByBarcode.get(barcode);
+                await Food.updateOne({ _id: before._id }, { $set: fields });
+                const previous = Object.fromEntries(OFF_UPDATE_FIELDS.map(key => [key, before[key] ?? null]));
+                overwritten.push({ model: 'Food', documentId: String(before._id), fields: previous });
+            }
+        }
+        batch = [];
+        updates = [];
+    };
+    const journal = () => {
+        const what = [createdIds.length > 0 && `added ${createdIds.length}`, overwritten.length > 0 && `updated ${overwritten.length}`].filter(Boolean).join(' and ');
+        return addAuditEntry({
+            action: `Imported foods from ${file}: ${what}`,
+            created: createdIds.length > 0 ? [{ model: 'Food', ids: createdIds }] : [],
+            overwritten,
+        });
+    };
+
+    // Whatever made it in is journaled, even when the import stops partway
+    try {
+        for await (const line of readLines(file)) {
+            lineNumber++;
+            if (process.stderr.isTTY && lineNumber % 100000 === 0) process.stderr.write(`\rRead ${lineNumber} lines...`);
+            if (!line.trim()) continue;
+            if (!parse) {
+                format = detectOffFormat(line);
+                if (!format) {
+                    console.error(`${file} doesn't look like an Open Food Facts CSV or JSONL export.`);
+                    return EXIT_CODES.USAGE;
+                }
+                if (format === 'csv') {
+                    parse = createOffCsvParser(line);
+                    continue;
+                }
+                parse = parseOffJsonLine;
+            }
+
+            let fields;
+            try {
+                fields = parse(line);
+            } catch (error) {
+                errors.push({ line: lineNumber, message: error.message });
+                continue;
+            }
+            if (options.country && !isSoldIn(fields, options.country)) {
+                counts.otherCountry++;
+                continue;
+            }
+            const { food, error } = toOffFood(fields);
+            if (error) {
+                errors.push({ line: lineNumber, message: error });
+                continue;
+            }
+            if (seenBarcodes.has(food.barcode)) {
+                counts.repeated++;
+                continue;
+            }
+            seenBarcodes.add(food.barcode);
+
+            if (foodsByBarcode.has(food.barcode)) {
+                if (!options.update) {
+                    counts.existing++;
+                    continue;
+                }
+                // The name is left alone in case it was changed after the first import
+                updates.push(Object.fromEntries(['barcode', ...OFF_UPDATE_FIELDS].map(key => [key, food[key]])));
+                counts.updated++;
+                if (batch.length + updates.length >= FOOD_IMPORT_BATCH_SIZE) await flush();
+                continue;
+            }
+
+            // Food names are unique, so a clash (often the same product in another size) gets its barcode added
+            if (names.has(food.name)) food.name = `${food.name} [${food.barcode}]`;
+            names.add(food.name);
+            batch.push(food);
+            counts.added++;
+            if (batch.length + updates.length >= FOOD_IMPORT_BATCH_SIZE) await flush();
+        }
+        await flush();
+    } finally {
+        if (!dryRun) await journal();
+    }
+    if (process.stderr.isTTY && lineNumber >= 100000) process.stderr.write('\n');
+
+    console.log(chalk.bold(`Open Food Facts import from ${file} (${format || 'empty'}):`));
+    console.log(`  ${chalk.green(counts.added)} new foods`);
+    if (options.update) console.log(`  ${chalk.yellow(counts.updated)} existing foods updated`);
+    else if (counts.existing > 0) console.log(`  ${chalk.yellow(counts.existing)} already in your food list (pass --update to refresh their nutrition)`);
+    if (options.country) console.log(`  ${counts.otherCountry} not sold in ${options.country}`);
+    if (counts.repeated > 0) console.log(`  ${counts.repeated} repeated barcodes skipped`);
+    if (errors.length > 0) {
+        console.log(`  ${chalk.red(errors.length)} products without usable data skipped:`);
+        errors.slice(0, 10).forEach(({ line, message }) => console.log(chalk.red(`    line ${line}: ${message}`)));
+        if (errors.length > 10) console.log(chalk.red(`    ...and ${errors.length - 10} more`));
+    }
+    console.log(dryRun ? chalk.gray('\nDry run: nothing was imported.') : chalk.green('\nImport complete.'));
+    return EXIT_CODES.OK;
+};
+
+export { runFoodImport };
@@ -0,0 +1,88 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import { EXIT_CODES } from '../cli-utils.js';
+import { recordAction } from '../journal.js';
+import { pushEntries } from '../log-entries.js';
+import Log from '../models/Log.js';
+import { foodCache, forProfile } from '../session.js';
+import { getTimeSlots } from '../settings.js';
+import { readCsvEntries, readJsonEntries, planImport } from '../transfer-utils.js';
+import { runFoodImport } from './import-foods.js';
+
+const runImportCommand = async ({ args, options }) => {
+    if (args[0] === 'foods') return runFoodImport(args[1], options);
+
+    const [file] = args;
+    if (!file) {
+        console.error('Missing file. Usage: caltrack import <file> [--format csv|json|mfp|cronometer] [--dry-run]');
+        return EXIT_CODES.USAGE;
+    }
+
+    const format = options.format ? options.format.toLowerCase() : null;
+    if (format && !['csv', 'json', 'mfp', 'cronometer'].includes(format)) {
+        console.error(`Unknown import format "${options.format}". Use csv, json, mfp or cronometer.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        console.error(`Could not read ${file}: ${error.message}`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const isJson = format === 'json' || (!format && file.toLowerCase().endsWith('.json'));
+    const slots = await getTimeSlots();
+    let parsed;
+    try {
+        parsed = isJson ? readJsonEntries(text, slots) : readCsvEntries(text, format === 'csv' ? 'caltrack' : format, slots);
+    } catch (error) {
+        console.error(`Could not parse ${file}: ${error.message}`);
+        return EXIT_CODES.ERROR;
+    }
+    if (!parsed.format) {
+        console.error(`Could not recognize the columns in ${file}. Pass --format to say which export it is.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const dates = [...new Set(parsed.entries.map(entry => entry.date))];
+    const existingLogs = dates.length > 0 ? await Log.find(forProfile({ date: { $in: dates } })) : [];
+    const { toAdd, duplicates } = planImport(parsed.entries, existingLogs);
+
+    const byDate = new Map();
+    const foodsByName = new Map(foodCache.map(food => [food.name.toLowerCase(), food._id]));
+    toAdd.forEach(({ date, ...entry }) => {
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push({ ...entry, food: foodsByName.get(entry.name.toLowerCase()) });
+    });
+
+    console.log(chalk.bold(`Import preview for ${file} (${parsed.format} format):`));
+    console.log(`  ${chalk.green(toAdd.length)} new entries across ${byDate.size} days`);
+    console.log(`  ${chalk.yellow(duplicates.length)} duplicates of existing entries will be skipped`);
+    if (parsed.errors.length > 0) {
+        console.log(`  ${chalk.red(parsed.errors.length)} invalid rows will be skipped:`);
+        parsed.errors.slice(0, 10).forEach(({ line, message }) => console.log(chalk.red(`    line ${line}: ${message}`)));
+        if (parsed.errors.length > 10) console.log(chalk.red(`    ...and ${parsed.errors.length - 10} more`));
+    }
+    [...byDate.keys()].sort().forEach(date => {
+        const entries = byDate.get(date);
+        const kcal = entries.reduce((sum, entry) => sum + entry.kcal, 0);
+        console.log(`  ${date}  +${entries.length} entries  +${kcal} kcal`);
+    });
+
+    if (options['dry-run']) {
+        console.log(chalk.gray('\nDry run: nothing was imported.'));
+        return EXIT_CODES.OK;
+    }
+
+    await recordAction(`Imported ${toAdd.length} entries from ${file}`, [[Log, forProfile({ date: { $in: [...byDate.keys()] } })]], async () => {
+        for (const [date, entries] of byDate) {
+            await pushEntries(date, entries);
+        }
+    });
+    console.log(chalk.green(`\nImported ${toAdd.length} entries.`));
+    return EXIT_CODES.OK;
+};
+
+export { runImportCommand };
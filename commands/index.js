@@ -0,0 +1,30 @@
+import { EXIT_CODES } from '../cli-utils.js';
+import { runAddCommand } from './add.js';
+import { runTodayCommand } from './today.js';
+import { runHistoryCommand } from './history.js';
+import { runGoalCommand } from './goal.js';
+import { runProfilesCommand } from './profiles.js';
+import { runExportCommand } from './export.js';
+import { runImportCommand } from './import.js';
+import { runBackupCommand } from './backup.js';
+import { runRestoreCommand } from './restore.js';
+import { runSeedsCommand } from './seeds.js';
+import { runCheckCommand } from './check.js';
+
+// Each subcommand takes the parsed command line and resolves to the exit code
+const commands = {
+    add: runAddCommand,
+    today: runTodayCommand,
+    history: runHistoryCommand,
+    goal: runGoalCommand,
+    profiles: runProfilesCommand,
+    export: runExportCommand,
+    import: runImportCommand,
+    backup: runBackupCommand,
+    restore: runRestoreCommand,
+    seeds: runSeedsCommand,
+    check: runCheckCommand,
+    help: async () => EXIT_CODES.OK,
+};
+
+export { commands };
@@ -0,0 +1,54 @@
+import chalk from 'chalk';
+import { EXIT_CODES } from '../cli-utils.js';
+import Log from '../models/Log.js';
+import { listProfiles, findProfile, createProfile, renameProfile, profileNameValidator } from '../profiles.js';
+import { printJson } from './common.js';
+
+const runProfilesCommand = async ({ args, options }) => {
+    const [action = 'list', ...names] = args;
+    const profiles = await listProfiles();
+
+    if (action === 'list' && names.length === 0) {
+        const counts = await Promise.all(profiles.map(profileName => Log.countDocuments({ profileName })));
+        if (options.json) {
+            printJson(profiles.map((name, i) => ({ name, loggedDays: counts[i] })));
+            return EXIT_CODES.OK;
+        }
+        profiles.forEach((name, i) => console.log(`${name.padEnd(20)} ${counts[i]} day(s) logged`));
+        if (profiles.length === 0) console.log(chalk.gray('No profiles yet. One is created the first time you run caltrack.'));
+        return EXIT_CODES.OK;
+    }
+
+    const checkNewName = (name) => {
+        const problem = profileNameValidator(profiles)(name);
+        if (problem === true) return true;
+        console.error(`Invalid profile name "${name}": ${problem}`);
+        return false;
+    };
+
+    if (action === 'add' && names.length === 1) {
+        const [name] = names;
+        if (!checkNewName(name)) return EXIT_CODES.USAGE;
+        await createProfile(name.trim());
+        console.log(`Created profile "${name.trim()}".`);
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'rename' && names.length === 2) {
+        const [from, to] = names;
+        const existing = findProfile(profiles, from);
+        if (!existing) {
+            console.error(`No profile named "${from}".`);
+            return EXIT_CODES.USAGE;
+        }
+        if (!checkNewName(to)) return EXIT_CODES.USAGE;
+        await renameProfile(existing, to.trim());
+        console.log(`Renamed "${existing}" to "${to.trim()}".`);
+        return EXIT_CODES.OK;
+    }
+
+    console.error('Usage: caltrack profiles [list | add <name> | rename <old> <new>]');
+    return EXIT_CODES.USAGE;
+};
+
+export { runProfilesCommand };
@@ -0,0 +1,135 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import inquirer from 'inquirer';
+import path from 'path';
+import { validateArchive, planRestore } from '../backup-utils.js';
+import { EXIT_CODES } from '../cli-utils.js';
+import { toPlainDocs } from '../journal.js';
+import { DEFAULT_PROFILE } from '../utils.js';
+import { BACKUP_COLLECTIONS, writeBackup } from './backup.js';
+
+// Points food references in recipes, templates and log entries at the ids the foods already have in this database
+const remapFoodReferences = (docsByCollection, foodIdMap) => {
+    const remap = (id) => foodIdMap.get(id) || id;
+    docsByCollection.foods.forEach(food => (food.ingredients || []).forEach(i => { if (i.food) i.food = remap(i.food); }));
+    docsByCollection.mealTemplates.forEach(template => (template.items || []).forEach(i => { if (i.food) i.food = remap(i.food); }));
+    docsByCollection.logs.forEach(log => (log.entries || []).forEach(e => { if (e.food) e.food = remap(e.food); }));
+};
+
+const runRestoreCommand = async ({ args, options }) => {
+    const [file] = args;
+    const mode = (options.mode || 'merge').toLowerCase();
+    if (!file || !['merge', 'replace'].includes(mode)) {
+        console.error('Usage: caltrack restore <file> [--mode merge|replace] [--dry-run] [--yes]');
+        return EXIT_CODES.USAGE;
+    }
+
+    let archive;
+    try {
+        archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${file}: ${error.message}`);
+        return EXIT_CODES.ERROR;
+    }
+
+    // Collections added after the archive's version was written are left as they are
+    const collections = BACKUP_COLLECTIONS.filter(({ sinceVersion = 1 }) => !(archive && archive.version < sinceVersion));
+
+    // --- Validate everything before touching the database ---
+    const errors = validateArchive(archive, collections.map(c => c.name));
+    for (const { name, model, keyOf, perProfile } of collections) {
+        if (errors.length > 0) break;
+        const documents = archive.collections[name].documents;
+        // Backups from before profiles existed hold the default profile's data
+        if (perProfile) documents.forEach(doc => { if (!doc.profileName) doc.profileName = DEFAULT_PROFILE; });
+        const seenKeys = new Set();
+        for (const [index, doc] of documents.entries()) {
+            try {
+                await new model(doc).validate();
+            } catch (error) {
+                errors.push(`${name}[${index}]: ${error.message}`);
+            }
+            if (seenKeys.has(keyOf(doc))) errors.push(`${name}[${index}]: duplicate "${keyOf(doc)}"`);
+            seenKeys.add(keyOf(doc));
+        }
+    }
+    if (errors.length > 0) {
+        console.error(chalk.red(`${file} is not a valid backup; nothing was changed:`));
+        errors.slice(0, 10).forEach(error => console.error(chalk.red(`  - ${error}`)));
+        return EXIT_CODES.ERROR;
+    }
+
+    // --- Work out what would change ---
+    const incoming = Object.fromEntries(collections.map(({ name }) => [name, archive.collections[name].documents]));
+    const existing = {};
+    for (const { name, model } of collections) {
+        existing[name] = toPlainDocs(await model.find({}).lean());
+    }
+
+    const existingFoodIds = new Map(existing.foods.map(food => [food.name, food._id]));
+    const foodIdMap = new Map(incoming.foods
+        .filter(food => existingFoodIds.has(food.name) && existingFoodIds.get(food.name) !== food._id)
+        .map(food => [food._id, existingFoodIds.get(food.name)]));
+    remapFoodReferences(incoming, foodIdMap);
+
+    const plans = collections.map(spec => ({
+        spec,
+        plan: planRestore(existing[spec.name], incoming[spec.name], spec.keyOf, mode),
+    }));
+
+    console.log(chalk.bold(`Restore plan for ${file} (backup from ${archive.createdAt}, ${mode} mode):`));
+    plans.forEach(({ spec, plan }) => {
+        console.log(`  ${chalk.bold(spec.name)}: ${chalk.green(`+${plan.added.length} new`)}, ${chalk.yellow(`~${plan.changed.length} changed`)}, ${chalk.red(`-${plan.removed.length} removed`)}, ${plan.unchanged.length} unchanged`);
+        const describe = (label, docs) => {
+            if (docs.length === 0) return;
+            const keys = docs.map(spec.keyOf);
+            console.log(chalk.gray(`      ${label}: ${keys.slice(0, 8).join(', ')}${keys.length > 8 ? `, ...and ${keys.length - 8} more` : ''}`));
+        };
+        describe('new', plan.added);
+        describe('changed', plan.changed.map(c => c.incoming));
+        describe('removed', plan.removed);
+    });
+
+    const hasChanges = plans.some(({ plan }) => plan.added.length + plan.changed.length + plan.removed.length > 0);
+    if (!hasChanges) {
+        console.log(chalk.green('\nThe database already matches this backup.'));
+        return EXIT_CODES.OK;
+    }
+    if (options['dry-run']) {
+        console.log(chalk.gray('\nDry run: nothing was changed.'));
+        return EXIT_CODES.OK;
+    }
+    if (!options.yes) {
+        const { confirmRestore } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmRestore',
+            message: 'Apply these changes?',
+            default: false,
+        }]);
+        if (!confirmRestore) {
+            console.log(chalk.yellow('Restore cancelled.'));
+            return EXIT_CODES.OK;
+        }
+    }
+
+    // --- Apply, keeping a snapshot of the current state in case anything goes wrong ---
+    const safetyFile = path.join(path.dirname(file), `caltrack-backup-before-restore-${Date.now()}.json`);
+    await writeBackup(safetyFile);
+    console.log(chalk.gray(`Saved the current data to ${safetyFile} first.`));
+
+    for (const { spec, plan } of plans) {
+        const removeIds = [...plan.removed, ...plan.changed.map(c => c.existing)].map(doc => doc._id);
+        if (removeIds.length > 0) await spec.model.deleteMany({ _id: { $in: removeIds } });
+
+        const toInsert = [
+            ...plan.added,
+            ...plan.changed.map(({ existing: current, incoming: restored }) => ({ ...restored, _id: current._id })),
+        ];
+        if (toInsert.length > 0) await spec.model.insertMany(toInsert);
+    }
+
+    console.log(chalk.green('\n✅ Restore complete.'));
+    return EXIT_CODES.OK;
+};
+
+export { runRestoreCommand };
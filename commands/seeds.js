@@ -0,0 +1,155 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { EXIT_CODES } from '../cli-utils.js';
+import SEED_PACKS from '../data/packs/index.js';
+import { planSeedUpdates, planSeedPack, planPackRemoval, applyPackUpdate, setPackEnabled, installSeedPacks } from '../db.js';
+import { recordAction } from '../journal.js';
+import Food from '../models/Food.js';
+import SeedPack from '../models/SeedPack.js';
+import { seedValues } from '../seed-utils.js';
+import { printJson } from './common.js';
+
+// "protein 11 → 1.5, tags beer → beer, lager"
+const describeSeedChanges = (food, item, fields) => {
+    const before = seedValues(food);
+    const after = seedValues(item);
+    const show = (value) => (Array.isArray(value) ? value.join(', ') || '-' : value ?? '-');
+    return fields.map(field => `${field} ${show(before[field])} → ${show(after[field])}`).join('; ');
+};
+
+const findSeedPack = (id) => SEED_PACKS.find(pack => pack.id === String(id || '').toLowerCase());
+
+// The documents a change to a seed pack can touch: its state, its foods and the foods it takes over
+const seedPackTargets = (pack, plan) => [
+    [SeedPack, { pack: pack.id }],
+    [Food, { $or: [{ 'seed.pack': pack.id }, { _id: { $in: plan.link.map(({ food }) => food._id) } }] }],
+];
+
+// Adds the packs this database hasn't seen yet, journaled in the active profile
+const installNewSeedPacks = async () => {
+    const unseen = (await planSeedUpdates()).filter(({ state }) => !state);
+    if (unseen.length === 0) return;
+    const names = unseen.map(({ pack }) => pack.name).join(', ');
+    await recordAction(`Added seed packs: ${names}`, unseen.flatMap(({ pack, plan }) => seedPackTargets(pack, plan)), () => installSeedPacks(unseen));
+};
+
+const runSeedsCommand = async ({ args, options }) => {
+    const [action = 'list', ...packIds] = args;
+
+    if (action === 'list' && packIds.length === 0) {
+        const states = new Map((await SeedPack.find({}).lean()).map(state => [state.pack, state]));
+        const plans = new Map((await planSeedUpdates()).map(({ pack, plan }) => [pack.id, plan]));
+        const rows = SEED_PACKS.map(pack => {
+            const state = states.get(pack.id);
+            const plan = plans.get(pack.id);
+            return {
+                id: pack.id,
+                name: pack.name,
+                enabled: !state || state.enabled,
+                version: pack.version,
+                appliedVersion: state ? state.version : 0,
+                foods: pack.foods.length,
+                updates: plan ? plan.added.length + plan.changed.length : 0,
+            };
+        });
+        if (options.json) {
+            printJson(rows);
+            return EXIT_CODES.OK;
+        }
+        rows.forEach(row => {
+            const status = row.enabled ? chalk.green('on ') : chalk.gray('off');
+            const updates = row.updates > 0 ? chalk.yellow(`  ${row.updates} update(s) available`) : '';
+            console.log(`${status} ${row.id.padEnd(20)} ${row.name.padEnd(20)} v${row.version}, ${row.foods} foods${updates}`);
+        });
+        return EXIT_CODES.OK;
+    }
+
+    if (['enable', 'disable'].includes(action) && packIds.length === 1) {
+        const pack = findSeedPack(packIds[0]);
+        if (!pack) {
+            console.error(`No seed pack "${packIds[0]}". Use one of: ${SEED_PACKS.map(p => p.id).join(', ')}.`);
+            return EXIT_CODES.USAGE;
+        }
+        const plan = await planSeedPack(pack);
+        const turn = () => recordAction(`Turned ${action === 'enable' ? 'on' : 'off'} seed pack "${pack.name}"`, seedPackTargets(pack, plan), () => (
+            setPackEnabled(pack, action === 'enable')
+        ));
+        if (action === 'enable') {
+            const { added } = await turn();
+            console.log(`Turned on "${pack.name}"${added > 0 ? ` and added ${added} foods` : ''}.`);
+            return EXIT_CODES.OK;
+        }
+
+        const { removable, kept } = await planPackRemoval(pack);
+        console.log(chalk.bold(`Turning off "${pack.name}" removes ${removable.length} foods:`));
+        removable.forEach(food => console.log(chalk.red(`  - ${food.name} (${food.kcal} kcal)`)));
+        if (kept.length > 0) console.log(chalk.gray(`Keeps ${kept.length} foods you have changed or used in logs, recipes or templates.`));
+        if (options['dry-run']) {
+            console.log(chalk.gray('\nDry run: nothing was changed.'));
+            return EXIT_CODES.OK;
+        }
+        if (!options.yes) {
+            const { confirmDisable } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirmDisable',
+                message: `Turn off "${pack.name}"? You can undo this from the Audit Log.`,
+                default: false,
+            }]);
+            if (!confirmDisable) {
+                console.log(chalk.yellow('Nothing was changed.'));
+                return EXIT_CODES.OK;
+            }
+        }
+        const { removed } = await turn();
+        console.log(`Turned off "${pack.name}" and removed ${removed} foods.`);
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'update') {
+        const unknown = packIds.filter(id => !findSeedPack(id));
+        if (unknown.length > 0) {
+            console.error(`No seed pack "${unknown[0]}". Use one of: ${SEED_PACKS.map(p => p.id).join(', ')}.`);
+            return EXIT_CODES.USAGE;
+        }
+        const plans = (await planSeedUpdates()).filter(({ pack }) => packIds.length === 0 || packIds.some(id => findSeedPack(id) === pack));
+
+        plans.forEach(({ pack, plan }) => {
+            const pending = plan.added.length + plan.changed.length;
+            console.log(chalk.bold(`${pack.name} (${pack.id}) v${pack.version}: `) + (pending > 0 ? chalk.yellow(`${pending} update(s)`) : chalk.green('up to date')));
+            plan.added.forEach(item => console.log(chalk.green(`  + ${item.name} (${item.kcal} kcal)`)));
+            plan.changed.forEach(({ food, item, fields }) => console.log(chalk.yellow(`  ~ ${food.name}: ${describeSeedChanges(food, item, fields)}`)));
+            plan.edited.forEach(({ food }) => console.log(chalk.gray(`  = ${food.name}: you have changed it, so it is kept as it is`)));
+            plan.conflicts.forEach(({ item }) => console.log(chalk.gray(`  ! ${item.name}: not added, one of your own foods already has this name`)));
+        });
+
+        const hasChanges = plans.some(({ plan }) => plan.added.length + plan.changed.length > 0);
+        if (!hasChanges) return EXIT_CODES.OK;
+        if (options['dry-run']) {
+            console.log(chalk.gray('\nDry run: nothing was changed.'));
+            return EXIT_CODES.OK;
+        }
+        if (!options.yes) {
+            const { confirmUpdate } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirmUpdate',
+                message: 'Apply these updates?',
+                default: true,
+            }]);
+            if (!confirmUpdate) {
+                console.log(chalk.yellow('Update cancelled.'));
+                return EXIT_CODES.OK;
+            }
+        }
+        const names = plans.map(({ pack }) => pack.name).join(', ');
+        await recordAction(`Updated seed packs: ${names}`, plans.flatMap(({ pack, plan }) => seedPackTargets(pack, plan)), async () => {
+            for (const { pack, plan } of plans) await applyPackUpdate(pack, plan);
+        });
+        console.log(chalk.green('\n✅ Foods updated.'));
+        return EXIT_CODES.OK;
+    }
+
+    console.error('Usage: caltrack seeds [list | update [pack...] | enable <pack> | disable <pack>]');
+    return EXIT_CODES.USAGE;
+};
+
+export { installNewSeedPacks, runSeedsCommand };
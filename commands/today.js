@@ -0,0 +1,53 @@
+import chalk from 'chalk';
+import { EXIT_CODES } from '../cli-utils.js';
+import { formatMacroChecks } from '../format.js';
+import { getGoalForDate } from '../goal-utils.js';
+import Log from '../models/Log.js';
+import { resolveMacroTargets, checkMacroTargets } from '../nutrition-utils.js';
+import { forProfile } from '../session.js';
+import { getConfig } from '../settings.js';
+import { getLocalDate } from '../utils.js';
+import { printJson, toEntryJson } from './common.js';
+
+const runTodayCommand = async ({ options }) => {
+    const today = getLocalDate();
+    const [log, config] = await Promise.all([Log.findOne(forProfile({ date: today })), getConfig()]);
+    const dailyGoal = getGoalForDate(config, today);
+
+    const summary = {
+        date: today,
+        dailyGoal,
+        totalKcal: log ? log.totalKcal : 0,
+        totalProtein: log ? log.totalProtein : 0,
+        totalCarbs: log ? log.totalCarbs : 0,
+        totalFat: log ? log.totalFat : 0,
+        entries: log ? log.entries.map(toEntryJson) : [],
+    };
+    summary.remainingKcal = dailyGoal - summary.totalKcal;
+
+    const macroTargets = resolveMacroTargets(config && config.macroGoals, dailyGoal);
+    if (macroTargets) {
+        summary.macroTargets = checkMacroTargets({ protein: summary.totalProtein, carbs: summary.totalCarbs, fat: summary.totalFat }, macroTargets);
+    }
+
+    if (options.json) {
+        printJson(summary);
+        return EXIT_CODES.OK;
+    }
+
+    const remainLabel = summary.remainingKcal >= 0 ? 'remaining' : 'over';
+    console.log(`${chalk.bold(today)}: ${summary.totalKcal} / ${dailyGoal} kcal (${Math.abs(summary.remainingKcal)} ${remainLabel})`);
+    console.log(`Protein ${summary.totalProtein}g | Carbs ${summary.totalCarbs}g | Fat ${summary.totalFat}g`);
+    if (summary.macroTargets) {
+        console.log(`Macro targets: ${formatMacroChecks(summary.macroTargets)}`);
+    }
+    if (summary.entries.length === 0) {
+        console.log(chalk.gray('No meals logged today.'));
+    }
+    summary.entries.forEach(entry => {
+        console.log(`  ${entry.time}  ${entry.timeSlot.padEnd(10)} ${entry.name.padEnd(30)} ${String(entry.kcal).padStart(5)} kcal`);
+    });
+    return EXIT_CODES.OK;
+};
+
+export { runTodayCommand };
@@ -1,186 +0,0 @@
-const foods = [
-  { name: 'Pad Kra Pao Moo Saap', kcal: 680 },
-  { name: 'Khao Man Gai', kcal: 600 },
-  { name: 'Som Tum Thai', kcal: 120 },
-  { name: 'Tom Yum Goong', kcal: 280 },
-  { name: 'Gaeng Keow Wan Gai (Green Curry)', kcal: 450 },
-  { name: 'Pad Thai', kcal: 700 },
-  { name: 'Khao Pad (Fried Rice)', kcal: 550 },
-  { name: 'Moo Ping (Grilled Pork Skewers)', kcal: 150 },
-  { name: 'Larb Moo', kcal: 250 },
-  { name: 'Pad See Ew', kcal: 650 },
-  { name: 'Khao Soi', kcal: 600 },
-  { name: 'Massaman Curry', kcal: 500 },
-  { name: 'Panang Curry', kcal: 400 },
-  { name: 'Gai Tod (Fried Chicken)', kcal: 350 },
-  { name: 'Jok (Rice Porridge)', kcal: 200 },
-  { name: 'Kuay Teow Reua (Boat Noodles)', kcal: 350 },
-  { name: 'Yen Ta Fo (Pink Noodle Soup)', kcal: 400 },
-  { name: 'Khao Kha Moo (Stewed Pork Leg)', kcal: 700 },
-  { name: 'Hoy Tod (Mussel Omelette)', kcal: 500 },
-  { name: 'Sai Oua (Northern Thai Sausage)', kcal: 300 },
-  { name: 'Nam Tok Moo (Grilled Pork Salad)', kcal: 280 },
-  { name: 'Gai Yang (Grilled Chicken)', kcal: 400 },
-  { name: 'Pla Pao (Grilled Fish)', kcal: 300 },
-  { name: 'Tom Kha Gai', kcal: 350 },
-  { name: 'Americano (Hot)', kcal: 15 },
-  { name: 'Latte (Hot)', kcal: 120 },
-  { name: 'Cappuccino (Hot)', kcal: 110 },
-  { name: 'Mocha (Hot)', kcal: 190 },
-  { name: 'Espresso', kcal: 5 },
-  { name: 'Iced Americano', kcal: 15 },
-  { name: 'Iced Latte', kcal: 100 },
-  { name: 'Iced Cappuccino', kcal: 110 },
-  { name: 'Iced Mocha', kcal: 170 },
-  { name: 'Thai Iced Tea', kcal: 150 },
-  { name: 'Thai Iced Coffee', kcal: 160 },
-  { name: 'Lime Soda', kcal: 80 },
-  { name: 'Singha Beer', kcal: 140 },
-  { name: 'Chang Beer', kcal: 150 },
-  { name: 'Leo Beer', kcal: 145 },
-  { name: 'Sticky Rice', kcal: 200 },
-  { name: 'Jasmine Rice', kcal: 205 },
-  // --- New Additions ---
-  { name: 'Bamee Haeng (Dry Egg Noodles)', kcal: 400 },
-  { name: 'Kuay Jab (Rolled Noodle Soup)', kcal: 450 },
-  { name: 'Suki Nam (Thai Suki Soup)', kcal: 350 },
-  { name: 'Khao Kluk Kapi (Rice w/ Shrimp Paste)', kcal: 500 },
-  { name: 'Khao Mok Gai (Chicken Biryani)', kcal: 550 },
-  { name: 'Pad Prik Gaeng (Red Curry Stir-fry)', kcal: 500 },
-  { name: 'Yum Woon Sen (Glass Noodle Salad)', kcal: 180 },
-  { name: 'Gai Satay (Chicken Satay)', kcal: 300 },
-  { name: 'Tod Mun Pla (Fried Fish Cake)', kcal: 250 },
-  { name: 'Khao Niao Mamuang (Mango Sticky Rice)', kcal: 400 },
-  { name: 'Roti Gluay (Banana Roti)', kcal: 350 },
-  { name: 'Luk Chin Ping (Grilled Meatballs)', kcal: 150 },
-  { name: 'Cha Manao (Iced Lemon Tea)', kcal: 100 },
-  { name: 'Nam Anchan (Butterfly Pea Juice)', kcal: 90 },
-  { name: 'Oliang (Thai Iced Black Coffee)', kcal: 100 },
-  { name: 'Patongo (Chinese Doughnut)', kcal: 100 },
-  { name: 'Nam Tao Hoo (Soy Milk)', kcal: 80 },
-  // --- International & Fruits ---
-  { name: 'Caesar Salad', kcal: 480 },
-  { name: 'Spaghetti Carbonara', kcal: 700 },
-  { name: 'Margherita Pizza (1 slice)', kcal: 280 },
-  { name: 'Pepperoni Pizza (1 slice)', kcal: 320 },
-  { name: 'Cheeseburger', kcal: 550 },
-  { name: 'French Fries (medium)', kcal: 380 },
-  { name: 'Steak (200g)', kcal: 500 },
-  { name: 'Grilled Salmon (150g)', kcal: 350 },
-  { name: 'Sushi (California Roll, 8 pcs)', kcal: 300 },
-  { name: 'Ramen (Tonkotsu)', kcal: 600 },
-  { name: 'Croissant', kcal: 230 },
-  { name: 'Pancakes (2 medium)', kcal: 180 },
-  { name: 'Scrambled Eggs (2 eggs)', kcal: 200 },
-  { name: 'Omelette (2 eggs, cheese)', kcal: 300 },
-  { name: 'Boiled Egg', kcal: 78 },
-  { name: 'Fried Egg', kcal: 90 },
-  { name: 'Apple', kcal: 95 },
-  { name: 'Banana', kcal: 105 },
-  { name: 'Orange', kcal: 62 },
-  { name: 'Grapes (1 cup)', kcal: 104 },
-  { name: 'Watermelon (1 cup)', kcal: 46 },
-  { name: 'Pineapple (1 cup)', kcal: 82 },
-  { name: 'Mango (1 cup)', kcal: 99 },
-  { name: 'Durian (1 cup)', kcal: 357 },
-  { name: 'Mangosteen (1 fruit)', kcal: 12 },
-  { name: 'Rambutan (1 fruit)', kcal: 7 },
-  // --- More Thai Dishes ---
-  { name: 'Khao Pad Sapparot (Pineapple Fried Rice)', kcal: 600 },
-  { name: 'Pad Pak Boong Fai Daeng (Stir-fried Morning Glory)', kcal: 150 },
-  { name: 'Tom Saap (Spicy Pork Ribs Soup)', kcal: 300 },
-  { name: 'Gaeng Som (Sour Curry)', kcal: 250 },
-  { name: 'Hor Mok Talay (Steamed Seafood Curry)', kcal: 350 },
-  { name: 'Pla Meuk Yang (Grilled Squid)', kcal: 200 },
-  { name: 'Hoy Lai Pad Prik Pao (Clams in Chili Paste)', kcal: 380 },
-  { name: 'Pad Woon Sen (Stir-fried Glass Noodles)', kcal: 400 },
-  { name: 'Khao Niao Moo Ping (Sticky Rice with Grilled Pork)', kcal: 350 },
-  { name: 'Sai Krok Isan (Isan Sausage)', kcal: 280 },
-  { name: 'Khanom Jeen Nam Ya (Rice Noodles with Fish Curry)', kcal: 450 },
-  { name: 'Khao Chae (Rice in Jasmine Water)', kcal: 300 },
-  { name: 'Goong Ob Woon Sen (Prawns with Glass Noodles)', kcal: 400 },
-  { name: 'Mee Krob (Crispy Noodles)', kcal: 500 },
-  { name: 'Pad Cha Talay (Spicy Stir-fried Seafood)', kcal: 420 },
-  { name: 'Gaeng Phet Ped Yang (Red Curry with Roasted Duck)', kcal: 550 },
-  { name: 'Phanaeng Gai (Chicken Panang Curry)', kcal: 450 },
-  { name: 'Tom Kha Gai (Chicken Coconut Soup)', kcal: 350 },
-  { name: 'Pad Priew Wan (Sweet and Sour Stir-fry)', kcal: 300 },
-  { name: 'Pad Kee Mao (Drunken Noodles)', kcal: 750 },
-  { name: 'Khao Pad Tom Yum (Tom Yum Fried Rice)', kcal: 600 },
-  { name: 'Gaeng Pa (Jungle Curry)', kcal: 180 },
-  { name: 'Suki Haeng (Dry Suki)', kcal: 350 },
-  { name: 'Kuay Teow Sukhothai (Sukhothai Noodles)', kcal: 380 },
-  { name: 'Laab Gai (Chicken Larb)', kcal: 220 },
-  { name: 'Nam Prik Ong (Northern Thai Chili Dip)', kcal: 150 },
-  { name: 'Nam Prik Noom (Green Chili Dip)', kcal: 100 },
-  { name: 'Gaeng Hung Lay (Burmese Pork Curry)', kcal: 500 },
-  { name: 'Khanom Tuay (Coconut Milk Custard)', kcal: 100 },
-  { name: 'Thong Yip (Pinched Gold Egg Yolks)', kcal: 120 },
-  { name: 'Thong Yod (Teardrop Gold Egg Yolks)', kcal: 110 },
-  { name: 'Foy Thong (Golden Egg Yolk Threads)', kcal: 130 },
-  { name: 'Kanom Chan (Layer Sweet Cake)', kcal: 150 },
-  { name: 'Look Choup (Mung Bean Paste)', kcal: 80 },
-  { name: 'Khao Lam (Sticky Rice in Bamboo)', kcal: 400 },
-  { name: 'Durian Sticky Rice', kcal: 600 },
-  { name: 'Longan', kcal: 60 },
-  { name: 'Lychee', kcal: 66 },
-  { name: 'Guava', kcal: 68 },
-  { name: 'Rose Apple', kcal: 25 },
-  // --- Even More Thai Dishes & Snacks ---
-  { name: 'Pad Prik King (Red Curry Paste Stir-fry)', kcal: 480 },
-  { name: 'Goong Pad Prik Pao (Shrimp with Chili Paste)', kcal: 450 },
-  { name: 'Gaeng Lieng (Spicy Vegetable Soup)', kcal: 100 },
-  { name: 'Khao Niao Dam Sangkhaya (Black Sticky Rice with Custard)', kcal: 300 },
-  { name: 'Salapao (Steamed Bun, Pork)', kcal: 250 },
-  { name: 'Khanom Krok (Coconut Pancake)', kcal: 150 },
-  { name: 'Tong Muan (Crispy Coconut Roll)', kcal: 80 },
-  { name: 'Roti Sai Mai (Ayutthaya Cotton Candy Crepe)', kcal: 200 },
-  { name: 'Cha Yen (Thai Iced Tea)', kcal: 200 },
-  { name: 'Ovaltine Yen (Iced Ovaltine)', kcal: 220 },
-  { name: 'Nom Yen (Iced Pink Milk)', kcal: 210 },
-  { name: 'Gai Pad Med Mamuang (Chicken with Cashew Nuts)', kcal: 580 },
-  { name: 'Ped Pad Prik Thai Dam (Duck with Black Pepper)', kcal: 620 },
-  { name: 'Pla Nueng Manao (Steamed Fish with Lime)', kcal: 300 },
-  { name: 'Gaeng Som Pla Chon (Sour Curry with Snakehead Fish)', kcal: 280 },
-  { name: 'Yum Pla Duk Foo (Crispy Catfish Salad)', kcal: 400 },
-  { name: 'Khao Phad Gai (Chicken Fried Rice)', kcal: 550 },
-  { name: 'Khao Phad Moo (Pork Fried Rice)', kcal: 580 },
-  { name: 'Khao Phad Goong (Shrimp Fried Rice)', kcal: 520 },
-  { name: 'Khao Phad Talay (Seafood Fried Rice)', kcal: 570 },
-  { name: 'MAMA Pad (Stir-fried Instant Noodles)', kcal: 450 },
-  { name: 'Pad Mama (Stir-fried Instant Noodles with Seafood)', kcal: 500 },
-  { name: 'Tom Kloang Pla Krob (Smoked Dry Fish Spicy Soup)', kcal: 250 },
-  { name: 'Gang Om Gai (Isan Herbal Chicken Curry)', kcal: 320 },
-  { name: 'Nam Prik Pla Too (Mackerel Chili Paste)', kcal: 200 },
-  { name: 'Miang Kham (Savoury Leaf Wraps)', kcal: 180 },
-  { name: 'Ka Nom Pang Na Moo (Minced Pork on Toast)', kcal: 350 },
-  { name: 'Guay Tiew Kua Gai (Stir-fried Noodles with Chicken)', kcal: 480 },
-  { name: 'Pad Sator Goong (Stir-fried Stink Beans with Shrimp)', kcal: 400 },
-  { name: 'Gaeng Tai Pla (Southern Thai Fish Curry)', kcal: 300 },
-  { name: 'Khao Yam (Southern Thai Rice Salad)', kcal: 280 },
-  // --- Western Fast Food & Desserts ---
-  { name: 'Hamburger (plain)', kcal: 350 },
-  { name: 'Hot Dog', kcal: 300 },
-  { name: 'Pizza Slice (Cheese)', kcal: 250 },
-  { name: 'Fried Chicken (Drumstick)', kcal: 180 },
-  { name: 'Donut (glazed)', kcal: 260 },
-  { name: 'Chocolate Chip Cookie', kcal: 150 },
-  { name: 'Ice Cream (Vanilla, 1 cup)', kcal: 270 },
-  { name: 'Milkshake (Chocolate)', kcal: 400 },
-  { name: 'Coca-Cola (can)', kcal: 140 },
-  { name: 'Orange Juice (1 cup)', kcal: 110 },
-  { name: 'Coffee (black)', kcal: 5 },
-  { name: 'Tea (black, unsweetened)', kcal: 2 },
-  // --- Breakfast Items ---
-  { name: 'Oatmeal (cooked)', kcal: 150 },
-  { name: 'Cereal (with milk)', kcal: 250 },
-  { name: 'Toast (1 slice)', kcal: 80 },
-  { name: 'Bagel (plain)', kcal: 250 },
-  // --- Miscellaneous ---
-  { name: 'Peanuts (1/4 cup)', kcal: 210 },
-  { name: 'Almonds (1/4 cup)', kcal: 170 },
-  { name: 'Yogurt (plain)', kcal: 100 },
-  { name: 'Cheese (cheddar, 1 slice)', kcal: 113 },
-];
-
-export default foods;
\ No newline at end of file
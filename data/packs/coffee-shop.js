@@ -0,0 +1,28 @@
+// Coffee, tea and bakery items from a typical coffee shop.
+export default {
+  id: 'coffee-shop',
+  name: 'Coffee shop',
+  version: 1,
+  foods: [
+    { name: 'Americano (Hot)', kcal: 15, protein: 0.5, carbs: 3, fat: 0, category: 'carb-heavy', aliases: ['อเมริกาโน่ร้อน'], tags: ['coffee'] },
+    { name: 'Latte (Hot)', kcal: 120, protein: 7, carbs: 10, fat: 6, category: 'mixed', aliases: ['ลาเต้ร้อน'], tags: ['coffee'] },
+    { name: 'Cappuccino (Hot)', kcal: 110, protein: 6, carbs: 9, fat: 6, category: 'mixed', aliases: ['คาปูชิโน่ร้อน'], tags: ['coffee'] },
+    { name: 'Mocha (Hot)', kcal: 190, protein: 7, carbs: 26, fat: 7, category: 'mixed', aliases: ['มอคค่าร้อน'], tags: ['coffee'] },
+    { name: 'Espresso', kcal: 5, protein: 0.3, carbs: 1, fat: 0, category: 'carb-heavy', aliases: ['เอสเพรสโซ่'], tags: ['coffee'] },
+    { name: 'Iced Americano', kcal: 15, protein: 0.5, carbs: 3, fat: 0, category: 'carb-heavy', aliases: ['อเมริกาโน่เย็น'], tags: ['coffee'] },
+    { name: 'Iced Latte', kcal: 100, protein: 6, carbs: 9, fat: 5, category: 'mixed', aliases: ['ลาเต้เย็น'], tags: ['coffee'] },
+    { name: 'Iced Cappuccino', kcal: 110, protein: 6, carbs: 11, fat: 5, category: 'mixed', aliases: ['คาปูชิโน่เย็น'], tags: ['coffee'] },
+    { name: 'Iced Mocha', kcal: 170, protein: 6, carbs: 24, fat: 6, category: 'mixed', aliases: ['มอคค่าเย็น'], tags: ['coffee'] },
+    { name: 'Thai Iced Tea', kcal: 150, protein: 3, carbs: 28, fat: 4, category: 'carb-heavy', aliases: ['ชาไทย'], tags: ['tea'] },
+    { name: 'Thai Iced Coffee', kcal: 160, protein: 3, carbs: 30, fat: 4, category: 'carb-heavy', aliases: ['กาแฟเย็น'], tags: ['coffee'] },
+    { name: 'Croissant', kcal: 230, protein: 5, carbs: 26, fat: 12, category: 'mixed', tags: ['bakery'] },
+    { name: 'Coffee (black)', kcal: 5, protein: 0.3, carbs: 1, fat: 0, category: 'carb-heavy', aliases: ['กาแฟดำ'], tags: ['coffee'] },
+    { name: 'Tea (black, unsweetened)', kcal: 2, protein: 0, carbs: 0.5, fat: 0, category: 'carb-heavy', tags: ['tea'] },
+    { name: 'Matcha Latte (Iced)', kcal: 200, protein: 7, carbs: 30, fat: 6, category: 'mixed', aliases: ['มัทฉะลาเต้เย็น', 'ชาเขียวเย็น'], tags: ['tea'] },
+    { name: 'Caramel Macchiato (Iced)', kcal: 190, protein: 6, carbs: 30, fat: 5, category: 'carb-heavy', aliases: ['คาราเมลมัคคิอาโต้เย็น'], tags: ['coffee'] },
+    { name: 'Iced Cocoa', kcal: 220, protein: 6, carbs: 36, fat: 6, category: 'carb-heavy', aliases: ['โกโก้เย็น'], tags: ['drink'] },
+    { name: 'Blueberry Muffin', kcal: 380, protein: 5, carbs: 52, fat: 17, category: 'mixed', tags: ['bakery'] },
+    { name: 'Chocolate Brownie', kcal: 240, protein: 3, carbs: 30, fat: 12, category: 'mixed', tags: ['bakery', 'dessert'] },
+    { name: 'Banana Cake (1 slice)', kcal: 220, protein: 3, carbs: 32, fat: 9, category: 'mixed', aliases: ['เค้กกล้วยหอม'], tags: ['bakery'] },
+  ],
+};
@@ -0,0 +1,26 @@
+// Ready meals, snacks and drinks from convenience stores such as 7-Eleven.
+export default {
+  id: 'convenience-store',
+  name: 'Convenience store',
+  version: 1,
+  foods: [
+    { name: 'Singha Beer', kcal: 140, protein: 1.5, carbs: 11, fat: 0, category: 'carb-heavy', aliases: ['เบียร์สิงห์'], tags: ['beer'] },
+    { name: 'Chang Beer', kcal: 150, protein: 1.5, carbs: 12, fat: 0, category: 'carb-heavy', aliases: ['เบียร์ช้าง'], tags: ['beer'] },
+    { name: 'Leo Beer', kcal: 145, protein: 1.5, carbs: 11, fat: 0, category: 'carb-heavy', aliases: ['เบียร์ลีโอ'], tags: ['beer'] },
+    { name: 'Coca-Cola (can)', kcal: 140, protein: 0, carbs: 35, fat: 0, category: 'carb-heavy', aliases: ['Coke', 'โค้ก'], tags: ['drink'] },
+    { name: 'Ham & Cheese Toastie', kcal: 280, protein: 13, carbs: 30, fat: 12, category: 'mixed', aliases: ['แซนด์วิชแฮมชีส', 'ขนมปังอบแฮมชีส'], tags: ['snack'] },
+    { name: 'Tuna Mayo Onigiri', kcal: 180, protein: 5, carbs: 32, fat: 3.5, category: 'carb-heavy', aliases: ['ข้าวปั้นทูน่ามายองเนส', 'ข้าวปั้น'], tags: ['snack'] },
+    { name: 'Basil Chicken Rice (Frozen Meal)', kcal: 400, protein: 17, carbs: 58, fat: 11, category: 'mixed', aliases: ['ข้าวกะเพราไก่แช่แข็ง'] },
+    { name: 'Chicken Gyoza (6 pcs)', kcal: 230, protein: 10, carbs: 24, fat: 10.5, category: 'mixed', aliases: ['เกี๊ยวซ่าไก่'], tags: ['snack'] },
+    { name: 'MAMA Cup (Tom Yum Shrimp)', kcal: 270, protein: 6, carbs: 36, fat: 11.5, category: 'mixed', aliases: ['มาม่าคัพ', 'มาม่าถ้วย'], tags: ['noodles'] },
+    { name: 'Crab Stick Sandwich', kcal: 260, protein: 10, carbs: 30, fat: 11, category: 'mixed', aliases: ['แซนด์วิชปูอัด'], tags: ['snack'] },
+    { name: 'Custard Bun', kcal: 200, protein: 5, carbs: 34, fat: 5, category: 'carb-heavy', aliases: ['ซาลาเปาไส้ครีม'], tags: ['snack'] },
+    { name: 'Grilled Sausage (1 stick)', kcal: 150, protein: 6, carbs: 3, fat: 13, category: 'fat-heavy', aliases: ['ไส้กรอกย่าง'], tags: ['snack'] },
+    { name: 'Lay\'s Classic (50g)', kcal: 270, protein: 3, carbs: 25, fat: 17.5, category: 'fat-heavy', aliases: ['เลย์'], tags: ['snack'] },
+    { name: 'Pocky Chocolate (1 box)', kcal: 230, protein: 3.5, carbs: 31, fat: 10, category: 'mixed', aliases: ['ป๊อกกี้'], tags: ['snack'] },
+    { name: 'Lactasoy Soy Milk (250 ml)', kcal: 130, protein: 5, carbs: 18, fat: 4.5, category: 'mixed', aliases: ['แลคตาซอย'], tags: ['drink'] },
+    { name: 'Oishi Green Tea (380 ml)', kcal: 130, protein: 0, carbs: 32, fat: 0, category: 'carb-heavy', aliases: ['โออิชิ', 'ชาเขียวโออิชิ'], tags: ['tea', 'drink'] },
+    { name: 'M-150 Energy Drink', kcal: 100, protein: 0, carbs: 25, fat: 0, category: 'carb-heavy', aliases: ['เอ็ม 150', 'เอ็มร้อย'], tags: ['drink'] },
+    { name: 'Coke Zero (can)', kcal: 1, protein: 0, carbs: 0, fat: 0, category: 'mixed', aliases: ['โค้กซีโร่'], tags: ['drink'] },
+  ],
+};
@@ -0,0 +1,50 @@
+// Western staples, fast food, breakfast items, fruit and nuts.
+export default {
+  id: 'everyday',
+  name: 'Everyday basics',
+  version: 1,
+  foods: [
+    { name: 'Caesar Salad', kcal: 480, protein: 20, carbs: 20, fat: 36, category: 'fat-heavy' },
+    { name: 'Spaghetti Carbonara', kcal: 700, protein: 28, carbs: 80, fat: 30, category: 'mixed' },
+    { name: 'Margherita Pizza (1 slice)', kcal: 280, protein: 12, carbs: 34, fat: 10, category: 'mixed' },
+    { name: 'Pepperoni Pizza (1 slice)', kcal: 320, protein: 13, carbs: 35, fat: 14, category: 'mixed' },
+    { name: 'Cheeseburger', kcal: 550, protein: 30, carbs: 40, fat: 29, category: 'mixed' },
+    { name: 'French Fries (medium)', kcal: 380, protein: 4, carbs: 48, fat: 19, category: 'mixed' },
+    { name: 'Steak (200g)', kcal: 500, protein: 52, carbs: 0, fat: 32, category: 'protein-heavy' },
+    { name: 'Grilled Salmon (150g)', kcal: 350, protein: 34, carbs: 0, fat: 23, category: 'fat-heavy' },
+    { name: 'Sushi (California Roll, 8 pcs)', kcal: 300, protein: 9, carbs: 56, fat: 7, category: 'carb-heavy' },
+    { name: 'Ramen (Tonkotsu)', kcal: 600, protein: 25, carbs: 70, fat: 25, category: 'mixed' },
+    { name: 'Pancakes (2 medium)', kcal: 180, protein: 5, carbs: 28, fat: 5, category: 'carb-heavy' },
+    { name: 'Scrambled Eggs (2 eggs)', kcal: 200, protein: 13, carbs: 2, fat: 15, category: 'fat-heavy' },
+    { name: 'Omelette (2 eggs, cheese)', kcal: 300, protein: 19, carbs: 2, fat: 24, category: 'fat-heavy' },
+    { name: 'Boiled Egg', kcal: 78, protein: 6.3, carbs: 0.6, fat: 5.3, category: 'fat-heavy' },
+    { name: 'Fried Egg', kcal: 90, protein: 6.3, carbs: 0.4, fat: 7, category: 'fat-heavy' },
+    { name: 'Apple', kcal: 95, protein: 0.5, carbs: 25, fat: 0.3, category: 'carb-heavy', tags: ['fruit'] },
+    { name: 'Banana', kcal: 105, protein: 1.3, carbs: 27, fat: 0.4, category: 'carb-heavy', aliases: ['กล้วย'], tags: ['fruit'] },
+    { name: 'Orange', kcal: 62, protein: 1.2, carbs: 15, fat: 0.2, category: 'carb-heavy', tags: ['fruit'] },
+    { name: 'Grapes (1 cup)', kcal: 104, protein: 1.1, carbs: 27, fat: 0.2, category: 'carb-heavy', tags: ['fruit'] },
+    { name: 'Watermelon (1 cup)', kcal: 46, protein: 0.9, carbs: 11.5, fat: 0.2, category: 'carb-heavy', aliases: ['แตงโม'], tags: ['fruit'] },
+    { name: 'Pineapple (1 cup)', kcal: 82, protein: 0.9, carbs: 22, fat: 0.2, category: 'carb-heavy', aliases: ['สับปะรด'], tags: ['fruit'] },
+    { name: 'Mango (1 cup)', kcal: 99, protein: 1.4, carbs: 25, fat: 0.6, category: 'carb-heavy', aliases: ['มะม่วง'], tags: ['fruit'] },
+    { name: 'Durian (1 cup)', kcal: 357, protein: 3.6, carbs: 66, fat: 13, category: 'carb-heavy', aliases: ['ทุเรียน'], tags: ['fruit'] },
+    { name: 'Mangosteen (1 fruit)', kcal: 12, protein: 0.1, carbs: 3, fat: 0.1, category: 'carb-heavy', aliases: ['มังคุด'], tags: ['fruit'] },
+    { name: 'Rambutan (1 fruit)', kcal: 7, protein: 0.1, carbs: 1.8, fat: 0, category: 'carb-heavy', aliases: ['เงาะ'], tags: ['fruit'] },
+    { name: 'Hamburger (plain)', kcal: 350, protein: 17, carbs: 33, fat: 15, category: 'mixed' },
+    { name: 'Hot Dog', kcal: 300, protein: 11, carbs: 24, fat: 17, category: 'fat-heavy' },
+    { name: 'Pizza Slice (Cheese)', kcal: 250, protein: 11, carbs: 30, fat: 10, category: 'mixed' },
+    { name: 'Fried Chicken (Drumstick)', kcal: 180, protein: 14, carbs: 5, fat: 11, category: 'fat-heavy' },
+    { name: 'Donut (glazed)', kcal: 260, protein: 4, carbs: 31, fat: 14, category: 'mixed', tags: ['dessert'] },
+    { name: 'Chocolate Chip Cookie', kcal: 150, protein: 2, carbs: 20, fat: 7.5, category: 'mixed', tags: ['dessert'] },
+    { name: 'Ice Cream (Vanilla, 1 cup)', kcal: 270, protein: 4.6, carbs: 31, fat: 14.5, category: 'mixed', tags: ['dessert'] },
+    { name: 'Milkshake (Chocolate)', kcal: 400, protein: 10, carbs: 60, fat: 13, category: 'carb-heavy', tags: ['drink', 'dessert'] },
+    { name: 'Orange Juice (1 cup)', kcal: 110, protein: 1.7, carbs: 26, fat: 0.5, category: 'carb-heavy', aliases: ['น้ำส้ม'], tags: ['drink'] },
+    { name: 'Oatmeal (cooked)', kcal: 150, protein: 5.5, carbs: 27, fat: 3, category: 'carb-heavy' },
+    { name: 'Cereal (with milk)', kcal: 250, protein: 9, carbs: 40, fat: 6, category: 'carb-heavy' },
+    { name: 'Toast (1 slice)', kcal: 80, protein: 3, carbs: 14, fat: 1, category: 'carb-heavy' },
+    { name: 'Bagel (plain)', kcal: 250, protein: 10, carbs: 49, fat: 1.5, category: 'carb-heavy' },
+    { name: 'Peanuts (1/4 cup)', kcal: 210, protein: 9.5, carbs: 6, fat: 18, category: 'fat-heavy' },
+    { name: 'Almonds (1/4 cup)', kcal: 170, protein: 6, carbs: 6, fat: 15, category: 'fat-heavy' },
+    { name: 'Yogurt (plain)', kcal: 100, protein: 8.5, carbs: 11.5, fat: 2.5, category: 'mixed' },
+    { name: 'Cheese (cheddar, 1 slice)', kcal: 113, protein: 7, carbs: 0.4, fat: 9.3, category: 'fat-heavy' },
+  ],
+};
@@ -0,0 +1,11 @@
+import thai from './thai.js';
+import coffeeShop from './coffee-shop.js';
+import convenienceStore from './convenience-store.js';
+import everyday from './everyday.js';
+
+// The seed packs, all turned on for new databases. Raise a pack's `version` whenever its foods change;
+// existing databases are offered the changes by `caltrack seeds update`. An item keeps its identity
+// across versions through `key`, which defaults to its name, so give a renamed item its old name as key.
+const SEED_PACKS = [thai, coffeeShop, convenienceStore, everyday];
+
+export default SEED_PACKS;
@@ -0,0 +1,123 @@
+// Thai dishes, street food, desserts and drinks.
+export default {
+  id: 'thai',
+  name: 'Thai dishes',
+  version: 1,
+  foods: [
+    { name: 'Pad Kra Pao Moo Saap', kcal: 680, protein: 30, carbs: 75, fat: 28, category: 'mixed', aliases: ['ผัดกะเพราหมูสับ', 'กะเพราหมู', 'Basil Pork'], tags: ['street food'] },
+    { name: 'Khao Man Gai', kcal: 600, protein: 30, carbs: 75, fat: 20, category: 'mixed', aliases: ['ข้าวมันไก่', 'Hainanese Chicken Rice'], tags: ['street food'] },
+    { name: 'Som Tum Thai', kcal: 120, protein: 4, carbs: 22, fat: 2, category: 'carb-heavy', aliases: ['ส้มตำไทย', 'ส้มตำ', 'Papaya Salad'], tags: ['street food', 'isan'] },
+    { name: 'Tom Yum Goong', kcal: 280, protein: 26, carbs: 12, fat: 14, category: 'mixed', aliases: ['ต้มยำกุ้ง', 'Spicy Shrimp Soup'], tags: ['soup'] },
+    { name: 'Gaeng Keow Wan Gai (Green Curry)', kcal: 450, protein: 25, carbs: 12, fat: 34, category: 'fat-heavy', aliases: ['แกงเขียวหวานไก่', 'แกงเขียวหวาน'], tags: ['curry'] },
+    { name: 'Pad Thai', kcal: 700, protein: 24, carbs: 90, fat: 26, category: 'mixed', aliases: ['ผัดไทย'], tags: ['street food', 'noodles'] },
+    { name: 'Khao Pad (Fried Rice)', kcal: 550, protein: 16, carbs: 75, fat: 20, category: 'mixed', aliases: ['ข้าวผัด'] },
+    { name: 'Moo Ping (Grilled Pork Skewers)', kcal: 150, protein: 12, carbs: 6, fat: 9, category: 'fat-heavy', aliases: ['หมูปิ้ง'], tags: ['street food'] },
+    { name: 'Larb Moo', kcal: 250, protein: 22, carbs: 8, fat: 14, category: 'fat-heavy', aliases: ['ลาบหมู', 'Minced Pork Salad'], tags: ['isan'] },
+    { name: 'Pad See Ew', kcal: 650, protein: 22, carbs: 80, fat: 26, category: 'mixed', aliases: ['ผัดซีอิ๊ว'], tags: ['noodles'] },
+    { name: 'Khao Soi', kcal: 600, protein: 25, carbs: 60, fat: 28, category: 'mixed', aliases: ['ข้าวซอย', 'Curry Noodle Soup'], tags: ['noodles', 'soup'] },
+    { name: 'Massaman Curry', kcal: 500, protein: 22, carbs: 30, fat: 32, category: 'fat-heavy', aliases: ['แกงมัสมั่น'], tags: ['curry'] },
+    { name: 'Panang Curry', kcal: 400, protein: 24, carbs: 12, fat: 28, category: 'fat-heavy', aliases: ['พะแนง'], tags: ['curry'] },
+    { name: 'Gai Tod (Fried Chicken)', kcal: 350, protein: 24, carbs: 10, fat: 23, category: 'fat-heavy', aliases: ['ไก่ทอด'], tags: ['street food'] },
+    { name: 'Jok (Rice Porridge)', kcal: 200, protein: 10, carbs: 30, fat: 4, category: 'carb-heavy', aliases: ['โจ๊ก', 'Congee'] },
+    { name: 'Kuay Teow Reua (Boat Noodles)', kcal: 350, protein: 18, carbs: 45, fat: 11, category: 'mixed', aliases: ['ก๋วยเตี๋ยวเรือ'], tags: ['street food', 'noodles', 'soup'] },
+    { name: 'Yen Ta Fo (Pink Noodle Soup)', kcal: 400, protein: 20, carbs: 55, fat: 12, category: 'mixed', aliases: ['เย็นตาโฟ'], tags: ['noodles', 'soup'] },
+    { name: 'Khao Kha Moo (Stewed Pork Leg)', kcal: 700, protein: 32, carbs: 75, fat: 30, category: 'mixed', aliases: ['ข้าวขาหมู'], tags: ['street food'] },
+    { name: 'Hoy Tod (Mussel Omelette)', kcal: 500, protein: 18, carbs: 30, fat: 34, category: 'fat-heavy', aliases: ['หอยทอด'], tags: ['street food'] },
+    { name: 'Sai Oua (Northern Thai Sausage)', kcal: 300, protein: 14, carbs: 4, fat: 25, category: 'fat-heavy', aliases: ['ไส้อั่ว'] },
+    { name: 'Nam Tok Moo (Grilled Pork Salad)', kcal: 280, protein: 24, carbs: 8, fat: 16, category: 'fat-heavy', aliases: ['น้ำตกหมู'], tags: ['isan'] },
+    { name: 'Gai Yang (Grilled Chicken)', kcal: 400, protein: 40, carbs: 6, fat: 24, category: 'protein-heavy', aliases: ['ไก่ย่าง'], tags: ['street food', 'isan'] },
+    { name: 'Pla Pao (Grilled Fish)', kcal: 300, protein: 50, carbs: 4, fat: 9, category: 'protein-heavy', aliases: ['ปลาเผา'] },
+    { name: 'Tom Kha Gai', kcal: 350, protein: 18, carbs: 10, fat: 26, category: 'fat-heavy', aliases: ['ต้มข่าไก่'], tags: ['soup'] },
+    { name: 'Lime Soda', kcal: 80, protein: 0, carbs: 20, fat: 0, category: 'carb-heavy', aliases: ['มะนาวโซดา'], tags: ['drink'] },
+    { name: 'Sticky Rice', kcal: 200, protein: 4, carbs: 44, fat: 0.5, category: 'carb-heavy', aliases: ['ข้าวเหนียว'], tags: ['rice'] },
+    { name: 'Jasmine Rice', kcal: 205, protein: 4, carbs: 45, fat: 0.4, category: 'carb-heavy', aliases: ['ข้าวสวย', 'ข้าวหอมมะลิ', 'Steamed Rice'], tags: ['rice'] },
+    { name: 'Bamee Haeng (Dry Egg Noodles)', kcal: 400, protein: 18, carbs: 50, fat: 14, category: 'mixed', aliases: ['บะหมี่แห้ง'], tags: ['noodles'] },
+    { name: 'Kuay Jab (Rolled Noodle Soup)', kcal: 450, protein: 22, carbs: 50, fat: 17, category: 'mixed', aliases: ['ก๋วยจั๊บ'], tags: ['street food', 'noodles', 'soup'] },
+    { name: 'Suki Nam (Thai Suki Soup)', kcal: 350, protein: 22, carbs: 40, fat: 10, category: 'mixed', aliases: ['สุกี้น้ำ'], tags: ['soup'] },
+    { name: 'Khao Kluk Kapi (Rice w/ Shrimp Paste)', kcal: 500, protein: 18, carbs: 70, fat: 17, category: 'mixed', aliases: ['ข้าวคลุกกะปิ'] },
+    { name: 'Khao Mok Gai (Chicken Biryani)', kcal: 550, protein: 28, carbs: 65, fat: 19, category: 'mixed', aliases: ['ข้าวหมกไก่'] },
+    { name: 'Pad Prik Gaeng (Red Curry Stir-fry)', kcal: 500, protein: 26, carbs: 16, fat: 36, category: 'fat-heavy' },
+    { name: 'Yum Woon Sen (Glass Noodle Salad)', kcal: 180, protein: 12, carbs: 24, fat: 4, category: 'mixed', aliases: ['ยำวุ้นเส้น'] },
+    { name: 'Gai Satay (Chicken Satay)', kcal: 300, protein: 24, carbs: 10, fat: 18, category: 'fat-heavy', aliases: ['สะเต๊ะไก่'], tags: ['street food'] },
+    { name: 'Tod Mun Pla (Fried Fish Cake)', kcal: 250, protein: 14, carbs: 14, fat: 15, category: 'fat-heavy', aliases: ['ทอดมันปลา'], tags: ['street food'] },
+    { name: 'Khao Niao Mamuang (Mango Sticky Rice)', kcal: 400, protein: 5, carbs: 70, fat: 11, category: 'carb-heavy', aliases: ['ข้าวเหนียวมะม่วง'], tags: ['dessert', 'street food'] },
+    { name: 'Roti Gluay (Banana Roti)', kcal: 350, protein: 5, carbs: 45, fat: 17, category: 'mixed', aliases: ['โรตีกล้วย'], tags: ['dessert', 'street food'] },
+    { name: 'Luk Chin Ping (Grilled Meatballs)', kcal: 150, protein: 10, carbs: 12, fat: 7, category: 'mixed', aliases: ['ลูกชิ้นปิ้ง'], tags: ['street food'] },
+    { name: 'Cha Manao (Iced Lemon Tea)', kcal: 100, protein: 0, carbs: 25, fat: 0, category: 'carb-heavy', aliases: ['ชามะนาว'], tags: ['tea'] },
+    { name: 'Nam Anchan (Butterfly Pea Juice)', kcal: 90, protein: 0, carbs: 22, fat: 0, category: 'carb-heavy', aliases: ['น้ำอัญชัน'], tags: ['drink'] },
+    { name: 'Oliang (Thai Iced Black Coffee)', kcal: 100, protein: 0.5, carbs: 24, fat: 0, category: 'carb-heavy', aliases: ['โอเลี้ยง'], tags: ['coffee'] },
+    { name: 'Patongo (Chinese Doughnut)', kcal: 100, protein: 2, carbs: 12, fat: 5, category: 'mixed', aliases: ['ปาท่องโก๋'], tags: ['street food'] },
+    { name: 'Nam Tao Hoo (Soy Milk)', kcal: 80, protein: 5, carbs: 9, fat: 3, category: 'mixed', aliases: ['น้ำเต้าหู้'], tags: ['drink', 'street food'] },
+    { name: 'Khao Pad Sapparot (Pineapple Fried Rice)', kcal: 600, protein: 16, carbs: 85, fat: 19, category: 'mixed', aliases: ['ข้าวผัดสับปะรด'] },
+    { name: 'Pad Pak Boong Fai Daeng (Stir-fried Morning Glory)', kcal: 150, protein: 4, carbs: 8, fat: 11, category: 'fat-heavy', aliases: ['ผัดผักบุ้งไฟแดง'] },
+    { name: 'Tom Saap (Spicy Pork Ribs Soup)', kcal: 300, protein: 25, carbs: 6, fat: 19, category: 'fat-heavy', aliases: ['ต้มแซ่บ'], tags: ['isan', 'soup'] },
+    { name: 'Gaeng Som (Sour Curry)', kcal: 250, protein: 20, carbs: 20, fat: 9, category: 'mixed', aliases: ['แกงส้ม'], tags: ['curry'] },
+    { name: 'Hor Mok Talay (Steamed Seafood Curry)', kcal: 350, protein: 24, carbs: 10, fat: 24, category: 'fat-heavy' },
+    { name: 'Pla Meuk Yang (Grilled Squid)', kcal: 200, protein: 34, carbs: 8, fat: 4, category: 'protein-heavy' },
+    { name: 'Hoy Lai Pad Prik Pao (Clams in Chili Paste)', kcal: 380, protein: 24, carbs: 22, fat: 22, category: 'fat-heavy' },
+    { name: 'Pad Woon Sen (Stir-fried Glass Noodles)', kcal: 400, protein: 14, carbs: 50, fat: 16, category: 'mixed', aliases: ['ผัดวุ้นเส้น'], tags: ['noodles'] },
+    { name: 'Khao Niao Moo Ping (Sticky Rice with Grilled Pork)', kcal: 350, protein: 14, carbs: 52, fat: 13, category: 'mixed', aliases: ['ข้าวเหนียวหมูปิ้ง'], tags: ['street food'] },
+    { name: 'Sai Krok Isan (Isan Sausage)', kcal: 280, protein: 12, carbs: 16, fat: 19, category: 'fat-heavy', aliases: ['ไส้กรอกอีสาน'], tags: ['street food', 'isan'] },
+    { name: 'Khanom Jeen Nam Ya (Rice Noodles with Fish Curry)', kcal: 450, protein: 18, carbs: 60, fat: 15, category: 'mixed', aliases: ['ขนมจีนน้ำยา'], tags: ['noodles', 'curry'] },
+    { name: 'Khao Chae (Rice in Jasmine Water)', kcal: 300, protein: 10, carbs: 50, fat: 7, category: 'carb-heavy' },
+    { name: 'Goong Ob Woon Sen (Prawns with Glass Noodles)', kcal: 400, protein: 22, carbs: 40, fat: 15, category: 'mixed' },
+    { name: 'Mee Krob (Crispy Noodles)', kcal: 500, protein: 10, carbs: 70, fat: 20, category: 'mixed' },
+    { name: 'Pad Cha Talay (Spicy Stir-fried Seafood)', kcal: 420, protein: 32, carbs: 12, fat: 28, category: 'fat-heavy' },
+    { name: 'Gaeng Phet Ped Yang (Red Curry with Roasted Duck)', kcal: 550, protein: 24, carbs: 16, fat: 43, category: 'fat-heavy' },
+    { name: 'Phanaeng Gai (Chicken Panang Curry)', kcal: 450, protein: 28, carbs: 14, fat: 31, category: 'fat-heavy' },
+    { name: 'Tom Kha Gai (Chicken Coconut Soup)', kcal: 350, protein: 18, carbs: 10, fat: 26, category: 'fat-heavy' },
+    { name: 'Pad Priew Wan (Sweet and Sour Stir-fry)', kcal: 300, protein: 16, carbs: 30, fat: 13, category: 'mixed' },
+    { name: 'Pad Kee Mao (Drunken Noodles)', kcal: 750, protein: 26, carbs: 95, fat: 29, category: 'mixed', aliases: ['ผัดขี้เมา'], tags: ['noodles'] },
+    { name: 'Khao Pad Tom Yum (Tom Yum Fried Rice)', kcal: 600, protein: 20, carbs: 80, fat: 20, category: 'mixed' },
+    { name: 'Gaeng Pa (Jungle Curry)', kcal: 180, protein: 16, carbs: 10, fat: 8, category: 'mixed' },
+    { name: 'Suki Haeng (Dry Suki)', kcal: 350, protein: 22, carbs: 35, fat: 12, category: 'mixed' },
+    { name: 'Kuay Teow Sukhothai (Sukhothai Noodles)', kcal: 380, protein: 18, carbs: 55, fat: 12, category: 'mixed' },
+    { name: 'Laab Gai (Chicken Larb)', kcal: 220, protein: 26, carbs: 8, fat: 10, category: 'protein-heavy', aliases: ['ลาบไก่'], tags: ['isan'] },
+    { name: 'Nam Prik Ong (Northern Thai Chili Dip)', kcal: 150, protein: 10, carbs: 10, fat: 8, category: 'mixed' },
+    { name: 'Nam Prik Noom (Green Chili Dip)', kcal: 100, protein: 2, carbs: 14, fat: 4, category: 'mixed' },
+    { name: 'Gaeng Hung Lay (Burmese Pork Curry)', kcal: 500, protein: 26, carbs: 20, fat: 35, category: 'fat-heavy' },
+    { name: 'Khanom Tuay (Coconut Milk Custard)', kcal: 100, protein: 1, carbs: 14, fat: 5, category: 'mixed' },
+    { name: 'Thong Yip (Pinched Gold Egg Yolks)', kcal: 120, protein: 3, carbs: 18, fat: 4, category: 'carb-heavy' },
+    { name: 'Thong Yod (Teardrop Gold Egg Yolks)', kcal: 110, protein: 3, carbs: 17, fat: 3.5, category: 'carb-heavy' },
+    { name: 'Foy Thong (Golden Egg Yolk Threads)', kcal: 130, protein: 3, carbs: 20, fat: 4.5, category: 'carb-heavy' },
+    { name: 'Kanom Chan (Layer Sweet Cake)', kcal: 150, protein: 1, carbs: 26, fat: 5, category: 'carb-heavy' },
+    { name: 'Look Choup (Mung Bean Paste)', kcal: 80, protein: 2, carbs: 14, fat: 2, category: 'carb-heavy' },
+    { name: 'Khao Lam (Sticky Rice in Bamboo)', kcal: 400, protein: 6, carbs: 70, fat: 11, category: 'carb-heavy' },
+    { name: 'Durian Sticky Rice', kcal: 600, protein: 8, carbs: 95, fat: 21, category: 'carb-heavy' },
+    { name: 'Longan', kcal: 60, protein: 1.3, carbs: 15, fat: 0.1, category: 'carb-heavy', aliases: ['ลำไย'], tags: ['fruit'] },
+    { name: 'Lychee', kcal: 66, protein: 0.8, carbs: 16.5, fat: 0.4, category: 'carb-heavy', aliases: ['ลิ้นจี่'], tags: ['fruit'] },
+    { name: 'Guava', kcal: 68, protein: 2.6, carbs: 14, fat: 1, category: 'carb-heavy', aliases: ['ฝรั่ง'], tags: ['fruit'] },
+    { name: 'Rose Apple', kcal: 25, protein: 0.6, carbs: 5.7, fat: 0.3, category: 'carb-heavy', aliases: ['ชมพู่'], tags: ['fruit'] },
+    { name: 'Pad Prik King (Red Curry Paste Stir-fry)', kcal: 480, protein: 26, carbs: 18, fat: 32, category: 'fat-heavy' },
+    { name: 'Goong Pad Prik Pao (Shrimp with Chili Paste)', kcal: 450, protein: 28, carbs: 24, fat: 25, category: 'fat-heavy' },
+    { name: 'Gaeng Lieng (Spicy Vegetable Soup)', kcal: 100, protein: 6, carbs: 14, fat: 2.5, category: 'mixed' },
+    { name: 'Khao Niao Dam Sangkhaya (Black Sticky Rice with Custard)', kcal: 300, protein: 6, carbs: 48, fat: 9, category: 'carb-heavy' },
+    { name: 'Salapao (Steamed Bun, Pork)', kcal: 250, protein: 10, carbs: 38, fat: 6.5, category: 'carb-heavy', aliases: ['ซาลาเปา'] },
+    { name: 'Khanom Krok (Coconut Pancake)', kcal: 150, protein: 2, carbs: 18, fat: 8, category: 'mixed', aliases: ['ขนมครก'], tags: ['dessert', 'street food'] },
+    { name: 'Tong Muan (Crispy Coconut Roll)', kcal: 80, protein: 1, carbs: 12, fat: 3.5, category: 'mixed' },
+    { name: 'Roti Sai Mai (Ayutthaya Cotton Candy Crepe)', kcal: 200, protein: 3, carbs: 38, fat: 4, category: 'carb-heavy' },
+    { name: 'Cha Yen (Thai Iced Tea)', kcal: 200, protein: 3, carbs: 35, fat: 6.5, category: 'carb-heavy', aliases: ['ชาเย็น'], tags: ['tea'] },
+    { name: 'Ovaltine Yen (Iced Ovaltine)', kcal: 220, protein: 6, carbs: 38, fat: 5, category: 'carb-heavy', aliases: ['โอวัลตินเย็น'], tags: ['drink'] },
+    { name: 'Nom Yen (Iced Pink Milk)', kcal: 210, protein: 6, carbs: 36, fat: 5, category: 'carb-heavy', aliases: ['นมเย็น'], tags: ['drink'] },
+    { name: 'Gai Pad Med Mamuang (Chicken with Cashew Nuts)', kcal: 580, protein: 32, carbs: 30, fat: 34, category: 'fat-heavy', aliases: ['ไก่ผัดเม็ดมะม่วง'] },
+    { name: 'Ped Pad Prik Thai Dam (Duck with Black Pepper)', kcal: 620, protein: 30, carbs: 18, fat: 48, category: 'fat-heavy' },
+    { name: 'Pla Nueng Manao (Steamed Fish with Lime)', kcal: 300, protein: 46, carbs: 8, fat: 9, category: 'protein-heavy' },
+    { name: 'Gaeng Som Pla Chon (Sour Curry with Snakehead Fish)', kcal: 280, protein: 30, carbs: 18, fat: 9, category: 'protein-heavy' },
+    { name: 'Yum Pla Duk Foo (Crispy Catfish Salad)', kcal: 400, protein: 18, carbs: 22, fat: 26, category: 'fat-heavy' },
+    { name: 'Khao Phad Gai (Chicken Fried Rice)', kcal: 550, protein: 22, carbs: 72, fat: 19, category: 'mixed', aliases: ['ข้าวผัดไก่'] },
+    { name: 'Khao Phad Moo (Pork Fried Rice)', kcal: 580, protein: 20, carbs: 72, fat: 23, category: 'mixed', aliases: ['ข้าวผัดหมู'] },
+    { name: 'Khao Phad Goong (Shrimp Fried Rice)', kcal: 520, protein: 20, carbs: 70, fat: 17, category: 'mixed', aliases: ['ข้าวผัดกุ้ง'] },
+    { name: 'Khao Phad Talay (Seafood Fried Rice)', kcal: 570, protein: 24, carbs: 72, fat: 20, category: 'mixed' },
+    { name: 'MAMA Pad (Stir-fried Instant Noodles)', kcal: 450, protein: 12, carbs: 55, fat: 20, category: 'mixed', aliases: ['มาม่าผัด'], tags: ['noodles'] },
+    { name: 'Pad Mama (Stir-fried Instant Noodles with Seafood)', kcal: 500, protein: 20, carbs: 56, fat: 21, category: 'mixed' },
+    { name: 'Tom Kloang Pla Krob (Smoked Dry Fish Spicy Soup)', kcal: 250, protein: 26, carbs: 10, fat: 12, category: 'protein-heavy' },
+    { name: 'Gang Om Gai (Isan Herbal Chicken Curry)', kcal: 320, protein: 32, carbs: 10, fat: 17, category: 'mixed' },
+    { name: 'Nam Prik Pla Too (Mackerel Chili Paste)', kcal: 200, protein: 18, carbs: 8, fat: 10, category: 'mixed' },
+    { name: 'Miang Kham (Savoury Leaf Wraps)', kcal: 180, protein: 4, carbs: 22, fat: 8, category: 'mixed' },
+    { name: 'Ka Nom Pang Na Moo (Minced Pork on Toast)', kcal: 350, protein: 12, carbs: 24, fat: 23, category: 'fat-heavy' },
+    { name: 'Guay Tiew Kua Gai (Stir-fried Noodles with Chicken)', kcal: 480, protein: 22, carbs: 55, fat: 18, category: 'mixed' },
+    { name: 'Pad Sator Goong (Stir-fried Stink Beans with Shrimp)', kcal: 400, protein: 22, carbs: 20, fat: 26, category: 'fat-heavy' },
+    { name: 'Gaeng Tai Pla (Southern Thai Fish Curry)', kcal: 300, protein: 26, carbs: 12, fat: 15, category: 'mixed' },
+    { name: 'Khao Yam (Southern Thai Rice Salad)', kcal: 280, protein: 8, carbs: 50, fat: 6, category: 'carb-heavy' },
+  ],
+};
@@ -1,65 +1,204 @@
 import mongoose from 'mongoose';
 import Food from './models/Food.js';
 import Config from './models/Config.js';
-import { estimateMacros } from './nutrition-utils.js';
-import seedFoods from './data/foods.js';
+import Log from './models/Log.js';
+import Weight from './models/Weight.js';
+import MealTemplate from './models/MealTemplate.js';
+import SeedPack from './models/SeedPack.js';
+import { DEFAULT_PROFILE } from './utils.js';
+import { seedValues, seedHash, seedKey, planPackUpdate } from './seed-utils.js';
+import SEED_PACKS from './data/packs/index.js';
+import { BACKENDS, getStorageConfig, useFileStorage, getActiveBackend } from './storage/index.js';
 
-const connectDB = async () => {
+// Status messages are suppressed in quiet mode so scripted commands keep stdout clean
+let log = console.log;
+
+const connectDB = async ({ quiet = false } = {}) => {
+  log = quiet ? () => {} : console.log;
+  const { backend, dataDir } = getStorageConfig();
   try {
-    await mongoose.connect(process.env.MONGO_URI);
-    console.log('MongoDB Connected...');
-    await seedDatabase();
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${BACKENDS.join(', ')}.`);
+    }
+    if (backend === 'file') {
+      useFileStorage(dataDir);
+      log(`Using local file storage in ${dataDir}`);
+    } else {
+      await mongoose.connect(process.env.MONGO_URI);
+      log('MongoDB Connected...');
+    }
+    await migrateToProfiles();
+    await reportSeedUpdates();
   } catch (err) {
     console.error(err.message);
     process.exit(1);
   }
 };
 
-const seedDatabase = async () => {
-  try {
-    // Upsert seeding for Food collection
-    const existingFoods = await Food.find({}, 'name').lean();
-    const existingFoodNames = new Set(existingFoods.map(food => food.name));
+// Collections whose documents belong to a profile
+const PROFILE_MODELS = [Log, Weight, Config];
+
+// Moves data from before profiles existed into the default profile. Safe to run on every start.
+const migrateToProfiles = async () => {
+  const legacy = { profileName: { $exists: false } };
+  const counts = await Promise.all(PROFILE_MODELS.map(model => model.countDocuments(legacy)));
+  if (counts.every(count => count === 0)) return;
+
+  log(`Moving existing data into the "${DEFAULT_PROFILE}" profile...`);
+  for (const model of PROFILE_MODELS) {
+    await model.updateMany(legacy, { $set: { profileName: DEFAULT_PROFILE } });
+  }
+  if (getActiveBackend() === 'mongo') {
+    // Replaces the old one-log-per-date unique indexes with the per-profile ones
+    await Promise.all(PROFILE_MODELS.map(model => model.syncIndexes()));
+  }
+  log('Existing data now belongs to the default profile.');
+};
 
-    const newFoodsToSeed = seedFoods.filter(seedFood => !existingFoodNames.has(seedFood.name));
+// The fields a food gets from a pack item, plus the link back to the item
+const packFoodUpdate = (pack, item) => {
+  const { servingGrams, ...values } = seedValues(item);
+  const seed = { pack: pack.id, key: seedKey(item), version: pack.version, hash: seedHash(item) };
+  return servingGrams
+    ? { $set: { ...values, servingGrams, seed } }
+    : { $set: { ...values, seed }, $unset: { servingGrams: 1 } };
+};
 
-    if (newFoodsToSeed.length > 0) {
-      console.log(`Found ${newFoodsToSeed.length} new food items to seed. Seeding data...`);
+const insertPackFoods = async (pack, items) => {
+  if (items.length === 0) return;
+  await Food.insertMany(items.map(item => packFoodUpdate(pack, item).$set));
+};
 
-      // Add macronutrients to new foods using estimation
-      const foodsWithMacros = newFoodsToSeed.map(food => {
-        const { protein, carbs, fat } = estimateMacros(food.kcal, 'mixed');
-        return { ...food, protein, carbs, fat, category: 'mixed' };
-      });
+// Links foods left from the old seed list to their pack items, keeping their values for now:
+// the values they have are what the next update compares against
+const linkPackFoods = async (links) => {
+  for (const { food } of links) {
+    await Food.updateOne({ _id: food._id }, { $set: { seed: food.seed } });
+  }
+};
 
-      await Food.insertMany(foodsWithMacros);
-      console.log('New food data seeded successfully.');
-    } else {
-      console.log('Food database is up to date.');
-    }
+/**
+ * Plans an update of every enabled seed pack against the current foods. Nothing is written.
+ * @returns {Promise<Object[]>} [{ pack, state, plan }] with the plan from planPackUpdate.
+ */
+const planSeedUpdates = async () => {
+  const foods = await Food.find({}).lean();
+  const states = new Map((await SeedPack.find({}).lean()).map(state => [state.pack, state]));
+  return SEED_PACKS
+    .map(pack => ({ pack, state: states.get(pack.id) || null }))
+    .filter(({ state }) => !state || state.enabled)
+    .map(({ pack, state }) => ({ pack, state, plan: planPackUpdate(pack, foods) }));
+};
+
+/**
+ * Plans applying one seed pack, whether it is turned on or not. Nothing is written.
+ * @param {Object} pack - The pack.
+ * @returns {Promise<Object>} The plan from planPackUpdate.
+ */
+const planSeedPack = async (pack) => planPackUpdate(pack, await Food.find({}).lean());
 
-    // Ensure default config exists
-    const config = await Config.findOne({ key: 'user_settings' });
-    if (!config) {
-      console.log('Default config not found. Creating one...');
-      await Config.create({
-        key: 'user_settings',
-        dailyGoal: 2000,
-      });
-      console.log('Default config created.');
+/**
+ * Applies a planned pack update: links the foods it takes over, adds the new foods and updates the ones the user hasn't changed.
+ * @param {Object} pack - The pack.
+ * @param {Object} plan - Its plan from planSeedUpdates.
+ */
+const applyPackUpdate = async (pack, plan) => {
+  await linkPackFoods(plan.link);
+  await insertPackFoods(pack, plan.added);
+  const outdated = plan.unchanged.filter(({ food }) => food.seed.version !== pack.version);
+  for (const { item, food } of [...plan.changed, ...outdated]) {
+    await Food.updateOne({ _id: food._id }, packFoodUpdate(pack, item));
+  }
+  await SeedPack.updateOne({ pack: pack.id }, { $set: { enabled: true, version: pack.version } }, { upsert: true });
+};
+
+/**
+ * Works out which of a pack's foods turning it off would remove: those the user hasn't changed
+ * and that aren't used in a log, recipe or meal template. Nothing is written.
+ * @param {Object} pack - The pack.
+ * @returns {Promise<Object>} { removable, kept } lists of foods.
+ */
+const planPackRemoval = async (pack) => {
+  const foods = (await Food.find({}).lean()).filter(food => food.seed && food.seed.pack === pack.id);
+  const removal = { removable: [], kept: [] };
+  for (const food of foods) {
+    const used = await Log.exists({ 'entries.food': food._id })
+      || await Food.exists({ 'ingredients.food': food._id })
+      || await MealTemplate.exists({ 'items.food': food._id });
+    if (!used && seedHash(food) === food.seed.hash) removal.removable.push(food);
+    else removal.kept.push(food);
+  }
+  return removal;
+};
+
+/**
+ * Turns a seed pack on, adding any of its foods that are missing, or off, removing the foods planPackRemoval lists.
+ * @param {Object} pack - The pack.
+ * @param {boolean} enabled - Whether it should be on.
+ * @returns {Promise<Object>} { added, removed, kept } food counts.
+ */
+const setPackEnabled = async (pack, enabled) => {
+  if (enabled) {
+    const plan = await planSeedPack(pack);
+    await SeedPack.updateOne({ pack: pack.id }, { $set: { enabled: true } }, { upsert: true });
+    await linkPackFoods(plan.link);
+    await insertPackFoods(pack, plan.added);
+    return { added: plan.added.length, removed: 0, kept: 0 };
+  }
+
+  const { removable, kept } = await planPackRemoval(pack);
+  if (removable.length > 0) await Food.deleteMany({ _id: { $in: removable.map(food => food._id) } });
+  await SeedPack.updateOne({ pack: pack.id }, { $set: { enabled: false } }, { upsert: true });
+  return { added: 0, removed: removable.length, kept: kept.length };
+};
+
+/**
+ * Adds the foods of packs this database hasn't seen yet; updates to known packs wait for `caltrack seeds update`.
+ * @param {Object[]} plans - [{ pack, plan }] from planSeedUpdates for the new packs.
+ */
+const installSeedPacks = async (plans) => {
+  for (const { pack, plan } of plans) {
+    await insertPackFoods(pack, plan.added);
+    await SeedPack.create({ pack: pack.id, version: pack.version });
+    if (plan.added.length > 0) log(`Added ${plan.added.length} foods from the "${pack.name}" pack.`);
+  }
+};
+
+// Mentions pending updates to known packs. New packs are installed once a profile is picked, so they are journaled.
+const reportSeedUpdates = async () => {
+  try {
+    const pending = (await planSeedUpdates())
+      .filter(({ state, plan }) => state && plan.added.length + plan.changed.length > 0)
+      .map(({ pack }) => pack.name);
+
+    if (pending.length > 0) {
+      log(`Food updates are available for: ${pending.join(', ')}. Run "caltrack seeds update" to review them.`);
+    } else {
+      log('Food database is up to date.');
     }
   } catch (err) {
-    console.error('Error seeding database:', err.message);
+    console.error('Error checking seed packs:', err.message);
   }
 };
 
 const disconnectDB = async () => {
+  // The file backend writes through on every change, so there is nothing to close
+  if (getActiveBackend() === 'file') return;
   try {
     await mongoose.disconnect();
-    console.log('MongoDB Disconnected.');
+    log('MongoDB Disconnected.');
   } catch (err) {
     console.error('Error disconnecting from MongoDB:', err.message);
   }
 };
 
-export { connectDB, disconnectDB };
+export {
+  connectDB,
+  disconnectDB,
+  planSeedUpdates,
+  planSeedPack,
+  planPackRemoval,
+  applyPackUpdate,
+  setPackEnabled,
+  installSeedPacks,
+};
@@ -0,0 +1,114 @@
+import { daysBetween } from './weight-utils.js';
+
+/**
+ * Activity multipliers applied to BMR to estimate total daily energy expenditure.
+ */
+const ACTIVITY_LEVELS = {
+  sedentary: { label: 'Sedentary (desk job, little exercise)', factor: 1.2 },
+  light: { label: 'Lightly active (exercise 1-3 days/week)', factor: 1.375 },
+  moderate: { label: 'Moderately active (exercise 3-5 days/week)', factor: 1.55 },
+  active: { label: 'Very active (exercise 6-7 days/week)', factor: 1.725 },
+  extra: { label: 'Extra active (physical job or training twice a day)', factor: 1.9 },
+};
+
+// Roughly how many kcal one kg of body weight stores
+const KCAL_PER_KG = 7700;
+
+// The adaptive estimate needs at least this many days between weigh-ins and this many logged days
+const MIN_ADAPTIVE_SPAN_DAYS = 14;
+const MIN_ADAPTIVE_LOGGED_DAYS = 10;
+
+// Suggestions never go below these, whatever the target rate
+const MIN_GOAL_KCAL = { male: 1500, female: 1200 };
+
+/**
+ * Checks that a profile has everything the TDEE formula needs.
+ * @param {Object} profile - { sex, age, heightCm, activityLevel }.
+ * @returns {boolean} True if the profile is complete.
+ */
+const isProfileComplete = (profile) => {
+  return Boolean(profile && ['male', 'female'].includes(profile.sex)
+    && profile.age > 0 && profile.heightCm > 0 && ACTIVITY_LEVELS[profile.activityLevel]);
+};
+
+/**
+ * Calculates basal metabolic rate with the Mifflin-St Jeor equation.
+ * @param {Object} profile - { sex, age, heightCm }.
+ * @param {number} weightKg - Body weight in kg.
+ * @returns {number} BMR in kcal/day.
+ */
+const calculateBmr = (profile, weightKg) => {
+  const base = 10 * weightKg + 6.25 * profile.heightCm - 5 * profile.age;
+  return Math.round(base + (profile.sex === 'male' ? 5 : -161));
+};
+
+/**
+ * Estimates total daily energy expenditure from the profile.
+ * @param {Object} profile - A complete profile.
+ * @param {number} weightKg - Body weight in kg.
+ * @returns {Object} { bmr, factor, tdee }
+ */
+const calculateTdee = (profile, weightKg) => {
+  const bmr = calculateBmr(profile, weightKg);
+  const { factor } = ACTIVITY_LEVELS[profile.activityLevel];
+  return { bmr, factor, tdee: Math.round(bmr * factor) };
+};
+
+/**
+ * Estimates TDEE from what was actually eaten and how the trend weight moved:
+ * intake minus the energy that went into (or came out of) body weight.
+ * @param {Object[]} trendPoints - Output of calculateTrend.
+ * @param {Object[]} logs - Logs with date and totalKcal.
+ * @param {number} [days] - How many days back from the latest weigh-in to look.
+ * @returns {Object|null} { tdee, averageIntake, loggedDays, spanDays, trendChange, startDate, endDate },
+ *   or null when there isn't enough data yet.
+ */
+const calculateAdaptiveTdee = (trendPoints, logs, days = 28) => {
+  if (trendPoints.length < 2) return null;
+  const end = trendPoints[trendPoints.length - 1];
+  const start = trendPoints.find(point => daysBetween(point.date, end.date) <= days);
+  const spanDays = daysBetween(start.date, end.date);
+  if (spanDays < MIN_ADAPTIVE_SPAN_DAYS) return null;
+
+  // Days with nothing logged are left out rather than counted as zero intake
+  const logged = logs.filter(log => log.date > start.date && log.date <= end.date && log.totalKcal > 0);
+  if (logged.length < MIN_ADAPTIVE_LOGGED_DAYS) return null;
+
+  const averageIntake = logged.reduce((sum, log) => sum + log.totalKcal, 0) / logged.length;
+  const trendChange = end.trend - start.trend;
+  return {
+    tdee: Math.round(averageIntake - (trendChange * KCAL_PER_KG) / spanDays),
+    averageIntake: Math.round(averageIntake),
+    loggedDays: logged.length,
+    spanDays,
+    trendChange: Math.round(trendChange * 100) / 100,
+    startDate: start.date,
+    endDate: end.date,
+  };
+};
+
+/**
+ * Suggests a daily calorie goal for a target rate of weight change.
+ * @param {number} tdee - Estimated maintenance calories.
+ * @param {number} ratePerWeek - Target change in kg/week (negative to lose).
+ * @param {string} [sex] - Used for the minimum safe intake.
+ * @returns {Object} { goal, dailyAdjustment, minimum, floored } where floored means the minimum was applied.
+ */
+const suggestDailyGoal = (tdee, ratePerWeek, sex) => {
+  const dailyAdjustment = Math.round((ratePerWeek * KCAL_PER_KG) / 7);
+  const minimum = MIN_GOAL_KCAL[sex] || MIN_GOAL_KCAL.female;
+  const raw = Math.round((tdee + dailyAdjustment) / 10) * 10;
+  return { goal: Math.max(minimum, raw), dailyAdjustment, minimum, floored: raw < minimum };
+};
+
+export {
+  ACTIVITY_LEVELS,
+  KCAL_PER_KG,
+  MIN_ADAPTIVE_SPAN_DAYS,
+  MIN_ADAPTIVE_LOGGED_DAYS,
+  isProfileComplete,
+  calculateBmr,
+  calculateTdee,
+  calculateAdaptiveTdee,
+  suggestDailyGoal,
+};
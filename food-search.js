@@ -0,0 +1,31 @@
+import Log from './models/Log.js';
+import { buildFoodStats, createFoodSearch } from './search-utils.js';
+import { foodCache, forProfile } from './session.js';
+import { getTimeSlots } from './settings.js';
+import { getLocalDate, getTimeSlot, addDays } from './utils.js';
+
+// How far back logs count toward ranking foods in search
+const FOOD_STATS_DAYS = 90;
+
+// Keys entries by their food: linked entries by the food's id, older ones by matching their name to a food
+const entryFoodKeyer = () => {
+  const foodsByName = new Map(foodCache.map(food => [food.name, food]));
+  return (entry) => {
+    if (entry.food) return String(entry.food);
+    const food = foodsByName.get(entry.name);
+    return food ? String(food._id) : `name:${entry.name}`;
+  };
+};
+
+// The food search for this profile, ranked by what it logs and what it usually eats in `slot`
+// (by default the time slot it is now)
+const loadFoodSearch = async (slot) => {
+  const since = addDays(getLocalDate(), -FOOD_STATS_DAYS);
+  const [logs, slots] = await Promise.all([Log.find(forProfile({ date: { $gte: since } })).lean(), getTimeSlots()]);
+  return createFoodSearch(foodCache, {
+    stats: buildFoodStats(logs, entryFoodKeyer()),
+    slot: slot || getTimeSlot(new Date().getHours(), slots),
+  });
+};
+
+export { entryFoodKeyer, loadFoodSearch };
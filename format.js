@@ -0,0 +1,15 @@
+import chalk from 'chalk';
+import { EARLIEST_DATE } from './goal-utils.js';
+import { MACROS } from './nutrition-utils.js';
+
+// Compact "P✓ C✓ F✗" summary for history lists
+const formatMacroChecks = (check) => {
+  return MACROS.map(macro => {
+    const letter = macro[0].toUpperCase();
+    return check[macro].met ? chalk.green(`${letter}✓`) : chalk.red(`${letter}✗`);
+  }).join(' ');
+};
+
+const formatEffectiveDate = (date) => (date === EARLIEST_DATE ? 'Initial goal' : date);
+
+export { formatMacroChecks, formatEffectiveDate };
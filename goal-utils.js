@@ -0,0 +1,93 @@
+const DEFAULT_DAILY_GOAL = 2000;
+
+// Effective date given to the goal that applied before any change was recorded
+const EARLIEST_DATE = '0000-01-01';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Gets the day of the week for a "YYYY-MM-DD" date, independent of the local timezone.
+ * @param {string} date - The date.
+ * @returns {number} 0 (Sunday) to 6 (Saturday).
+ */
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const sortByEffectiveDate = (history) => {
+  return [...history].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+};
+
+/**
+ * Finds the goal change that was in effect on a date.
+ * @param {Object} config - The user config, with goalHistory.
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @returns {Object|null} The { effectiveDate, dailyGoal, weekdayGoals } entry, or null if goals were never changed.
+ */
+const getGoalEntryForDate = (config, date) => {
+  const history = sortByEffectiveDate((config && config.goalHistory) || []);
+  return history.filter(entry => entry.effectiveDate <= date).pop() || history[0] || null;
+};
+
+/**
+ * Gets the calorie goal a date should be judged against: the goal in effect on that date,
+ * using its weekday goal when one is set.
+ * @param {Object} config - The user config.
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @returns {number} The daily calorie goal.
+ */
+const getGoalForDate = (config, date) => {
+  const entry = getGoalEntryForDate(config, date);
+  if (!entry) return config ? config.dailyGoal : DEFAULT_DAILY_GOAL;
+
+  const weekdayGoals = entry.weekdayGoals || [];
+  return weekdayGoals.length === 7 && weekdayGoals[getWeekday(date)] > 0
+    ? weekdayGoals[getWeekday(date)]
+    : entry.dailyGoal;
+};
+
+/**
+ * Adds a goal change to the history. The first change also records the goal that applied
+ * until then, so days logged before it keep being judged against the old number.
+ * A change on a date that already has one replaces it.
+ * @param {Object} config - The user config.
+ * @param {Object} change - { effectiveDate, dailyGoal, weekdayGoals }.
+ * @returns {Object[]} The new goal history, oldest first.
+ */
+const addGoalChange = (config, change) => {
+  const history = ((config && config.goalHistory) || []).map(entry => ({
+    effectiveDate: entry.effectiveDate,
+    dailyGoal: entry.dailyGoal,
+    weekdayGoals: [...(entry.weekdayGoals || [])],
+  }));
+  if (history.length === 0) {
+    history.push({ effectiveDate: EARLIEST_DATE, dailyGoal: config ? config.dailyGoal : DEFAULT_DAILY_GOAL, weekdayGoals: [] });
+  }
+
+  return sortByEffectiveDate([
+    ...history.filter(entry => entry.effectiveDate !== change.effectiveDate),
+    { effectiveDate: change.effectiveDate, dailyGoal: change.dailyGoal, weekdayGoals: change.weekdayGoals || [] },
+  ]);
+};
+
+/**
+ * Describes a goal change for display, e.g. "2000 kcal (Sat 2400, Sun 2400)".
+ * @param {Object} entry - A goal history entry.
+ * @returns {string} The description.
+ */
+const describeGoal = (entry) => {
+  const weekdayGoals = entry.weekdayGoals || [];
+  const overrides = [1, 2, 3, 4, 5, 6, 0]
+    .filter(day => weekdayGoals[day] > 0 && weekdayGoals[day] !== entry.dailyGoal)
+    .map(day => `${WEEKDAYS[day].slice(0, 3)} ${weekdayGoals[day]}`);
+  return overrides.length > 0 ? `${entry.dailyGoal} kcal (${overrides.join(', ')})` : `${entry.dailyGoal} kcal`;
+};
+
+export {
+  DEFAULT_DAILY_GOAL,
+  EARLIEST_DATE,
+  WEEKDAYS,
+  getWeekday,
+  getGoalEntryForDate,
+  getGoalForDate,
+  addGoalChange,
+  describeGoal,
+};
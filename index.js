@@ -1,16 +1,82 @@
+#!/usr/bin/env node
 import dotenv from 'dotenv';
-dotenv.config();
+dotenv.config({ quiet: true }); // Keep stdout clean for --json output
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import Fuse from 'fuse.js';
 import { connectDB, disconnectDB } from './db.js';
-import { getLocalDate, getCurrentTime, getTimeSlot } from './utils.js';
-import { estimateMacros } from './nutrition-utils.js';
+import {
+  DEFAULT_PROFILE,
+  isValidProfileName,
+  DEFAULT_TIME_SLOTS,
+  getLocalDate,
+  getCurrentTime,
+  getTimeSlot,
+  findTimeSlot,
+  sortTimeSlots,
+  groupEntriesBySlot,
+  isValidDateString,
+  addDays,
+  parseDateInput,
+  parseList,
+} from './utils.js';
+import { EXIT_CODES, USAGE, parseCommandLine } from './cli-utils.js';
+import {
+  MACROS,
+  estimateMacros,
+  calculateCaloriesFromMacros,
+  checkMacroConsistency,
+  inferCategory,
+  resolveMacroTargets,
+  checkMacroTargets,
+  scaleNutrition,
+  calculateRecipeNutrition,
+  parseQuantity,
+  formatQuantity,
+} from './nutrition-utils.js';
 import Log from './models/Log.js';
 import Food from './models/Food.js';
 import Config from './models/Config.js';
+import MealTemplate from './models/MealTemplate.js';
+import Weight from './models/Weight.js';
+import AuditEntry from './models/AuditEntry.js';
+import SeedPack from './models/SeedPack.js';
 import Table from 'cli-table3';
 import inquirerAutocompletePrompt from 'inquirer-autocomplete-prompt';
+import { summarizeUsage, applyFoodToEntries } from './usage-utils.js';
+import {
+  BROWSE_PAGE_SIZE,
+  FOOD_SORTS,
+  proteinDensity,
+  parseKcalRange,
+  describeKcalRange,
+  selectFoods,
+  paginate,
+} from './browse-utils.js';
+import { daysBetween, calculateTrend, calculateWeeklyRate, formatWeeklyRate } from './weight-utils.js';
+import { listDates, getMonthRange, summarizeRange } from './report-utils.js';
+import { DEFAULT_STREAK_RULES, dayMeetsRules, findStreaks, describeStreakRules } from './streak-utils.js';
+import {
+  ACTIVITY_LEVELS,
+  KCAL_PER_KG,
+  MIN_ADAPTIVE_SPAN_DAYS,
+  MIN_ADAPTIVE_LOGGED_DAYS,
+  isProfileComplete,
+  calculateTdee,
+  calculateAdaptiveTdee,
+  suggestDailyGoal,
+} from './energy-utils.js';
+import { WEEKDAYS, getWeekday, getGoalEntryForDate, getGoalForDate, describeGoal } from './goal-utils.js';
+import { parseTime } from './transfer-utils.js';
+import { normalizeBarcode, isBarcode } from './off-utils.js';
+import { foodCache, activeProfile, forProfile, settingsFilter, setFoodCache, setActiveProfile } from './session.js';
+import { listProfiles, findProfile, createProfile, renameProfile, profileNameValidator } from './profiles.js';
+import { getTimeSlots, updateSettings, recordGoalChange } from './settings.js';
+import { recordAction, isBulkEntry, revertAuditEntry, findUndoable, findRedoable } from './journal.js';
+import { logMeal, logEntries, pushEntries, pullEntry, updateEntry } from './log-entries.js';
+import { entryFoodKeyer, loadFoodSearch } from './food-search.js';
+import { formatMacroChecks, formatEffectiveDate } from './format.js';
+import { commands } from './commands/index.js';
+import { installNewSeedPacks } from './commands/seeds.js';
 
 const debounce = (func, timeout = 150) => {
   let timer;
@@ -22,22 +88,64 @@ const debounce = (func, timeout = 150) => {
 
 inquirer.registerPrompt('autocomplete', inquirerAutocompletePrompt);
 
-// In-memory cache for food data to make search instant
-let foodCache = [];
+// Commands that manage profiles, cover all of them (backups) or only look at the shared foods don't need one picked.
+// Changes to the shared foods are journaled in a profile, so the commands making them do.
+const isProfileFreeCommand = ({ command, args, options }) => {
+  const dryRun = Boolean(options['dry-run']);
+  if (command === 'seeds') return (args[0] || 'list') === 'list' || dryRun;
+  if (command === 'check') return !options.fix;
+  if (command === 'import' && args[0] === 'foods') return dryRun;
+  return ['profiles', 'backup', 'restore'].includes(command) || (command === 'export' && args[0] === 'foods');
+};
 
 const main = async () => {
-  await connectDB();
+  const cli = parseCommandLine(process.argv.slice(2));
+  if (cli.error || (cli.command && !commands[cli.command])) {
+    console.error(cli.error || `Unknown command "${cli.command}".`);
+    console.error(`\n${USAGE}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  if (cli.command === 'help') {
+    console.log(USAGE);
+    process.exit(EXIT_CODES.OK);
+  }
+
+  const isScripted = Boolean(cli.command);
+  await connectDB({ quiet: isScripted });
 
   const loadFoodCache = async () => {
     try {
-        foodCache = await Food.find({});
-        console.log(`\n${foodCache.length} food items loaded into memory for searching.`);
+        setFoodCache(await Food.find({}));
+        if (!isScripted) console.log(`\n${foodCache.length} food items loaded into memory for searching.`);
     } catch (err) {
         console.error('Failed to load food cache:', err.message);
     }
   }
+
+  if (!isProfileFreeCommand(cli)) {
+    const profile = await chooseProfile(cli.options.profile, isScripted);
+    if (!profile) {
+      await disconnectDB();
+      process.exit(isScripted ? EXIT_CODES.USAGE : EXIT_CODES.OK);
+    }
+    setActiveProfile(profile);
+    await installNewSeedPacks();
+  }
   await loadFoodCache();
 
+  // Subcommands run once and exit with a status code instead of entering the menu loop
+  if (isScripted) {
+    let exitCode;
+    try {
+      exitCode = await commands[cli.command](cli);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      exitCode = EXIT_CODES.ERROR;
+    }
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+
   // The main application loop. A simple while(true) is more stable.
   while (true) {
     try {
@@ -53,33 +161,152 @@ const main = async () => {
 import boxen from 'boxen';
 import gradient from 'gradient-string';
 
-const calculateStreak = async (dailyGoal) => {
-    let streak = 0;
-    const today = new Date();
-    today.setHours(0,0,0,0);
-    
-    // Check backwards from Yesterday
-    for (let i = 1; i < 365; i++) { // Check up to a year back
-        const historyDate = new Date(today);
-        historyDate.setDate(today.getDate() - i);
-        const dateStr = historyDate.toISOString().split('T')[0];
-
-        const log = await Log.findOne({ date: dateStr });
-        if (log && log.totalKcal <= dailyGoal && log.totalKcal > 0) {
-            streak++;
-        } else {
-            break; // Streak broken
-        }
-    }
-    
-    // Check Today (if goal met, add to streak)
-    const todayDate = getLocalDate();
-    const todayLog = await Log.findOne({ date: todayDate });
-    if (todayLog && todayLog.totalKcal <= dailyGoal) {
-         if (todayLog.totalKcal > 0) streak++;
+// --- Profiles ---
+
+const promptNewProfile = async (profiles) => {
+  const { name } = await inquirer.prompt([{
+    type: 'input',
+    name: 'name',
+    message: 'Name for the new profile:',
+    validate: profileNameValidator(profiles),
+    filter: input => input.trim(),
+  }]);
+  await createProfile(name);
+  console.log(chalk.green(`\n✅ Created profile "${name}".`));
+  return name;
+};
+
+// Works out which profile to use from --profile, or by asking when there is more than one.
+// Returns null when there is no profile to use.
+const chooseProfile = async (requested, isScripted) => {
+  const profiles = await listProfiles();
+
+  if (requested) {
+    const found = findProfile(profiles, requested);
+    if (found) return found;
+    if (isScripted || !isValidProfileName(requested.trim())) {
+      console.error(`No profile named "${requested}". Create it with: caltrack profiles add "${requested}"`);
+      return null;
     }
-    
-    return streak;
+    const { confirmCreate } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmCreate',
+      message: `There is no profile named "${requested}". Create it?`,
+      default: true,
+    }]);
+    if (!confirmCreate) return null;
+    await createProfile(requested.trim());
+    return requested.trim();
+  }
+
+  if (profiles.length === 0) {
+    await createProfile(DEFAULT_PROFILE);
+    return DEFAULT_PROFILE;
+  }
+  if (profiles.length === 1) return profiles[0];
+
+  if (isScripted) {
+    if (profiles.includes(DEFAULT_PROFILE)) return DEFAULT_PROFILE;
+    console.error(`There are several profiles (${profiles.join(', ')}). Pick one with --profile <name>.`);
+    return null;
+  }
+
+  const { profile } = await inquirer.prompt([{
+    type: 'list',
+    name: 'profile',
+    message: "Who's tracking?",
+    choices: [
+      ...profiles.map(name => ({ name: `👤 ${name}`, value: name })),
+      new inquirer.Separator(),
+      { name: '➕ New profile', value: null },
+    ],
+  }]);
+  return profile || promptNewProfile(profiles);
+};
+
+const manageProfiles = async () => {
+  const profiles = await listProfiles();
+  console.log(chalk.bold(`\nProfiles: ${profiles.map(name => (name === activeProfile ? chalk.cyan(`${name} (current)`) : name)).join(', ')}`));
+  console.log(chalk.gray('Each profile has its own logs, goals, streaks and weigh-ins. Foods and templates are shared.\n'));
+
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: 'What would you like to do?',
+    choices: [
+      { name: '🔀 Switch profile', value: 'switch', disabled: profiles.length < 2 && 'only one profile' },
+      { name: '➕ New profile', value: 'add' },
+      { name: '✏️  Rename a profile', value: 'rename' },
+      new inquirer.Separator(),
+      { name: '⬅️  Go Back', value: 'back' },
+    ],
+  }]);
+
+  if (action === 'switch') {
+    const { profile } = await inquirer.prompt([{
+      type: 'list',
+      name: 'profile',
+      message: 'Switch to:',
+      choices: profiles.map(name => ({ name: `👤 ${name}`, value: name })),
+      default: activeProfile,
+    }]);
+    setActiveProfile(profile);
+  } else if (action === 'add') {
+    const name = await promptNewProfile(profiles);
+    const { switchTo } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'switchTo',
+      message: `Switch to "${name}" now?`,
+      default: true,
+    }]);
+    if (switchTo) setActiveProfile(name);
+  } else if (action === 'rename') {
+    const { from, to } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'from',
+        message: 'Which profile?',
+        choices: profiles,
+        default: activeProfile,
+      },
+      {
+        type: 'input',
+        name: 'to',
+        message: 'New name:',
+        validate: profileNameValidator(profiles),
+        filter: input => input.trim(),
+      },
+    ]);
+    await renameProfile(from, to);
+    console.log(chalk.green(`\n✅ Renamed "${from}" to "${to}".`));
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+  }
+};
+
+const getStreakRules = (config) => ({ ...DEFAULT_STREAK_RULES, ...((config && config.toObject().streakRules) || {}) });
+
+// Works out every streak under the user's streak rules. Returns { streaks, current, longest }.
+const calculateStreaks = async (config) => {
+    const today = getLocalDate();
+    const rules = getStreakRules(config);
+    const logs = await Log.find(forProfile({ date: { $lte: today } })).sort({ date: 1 });
+    if (logs.length === 0) return { streaks: [], current: 0, longest: 0 };
+
+    const logsByDate = new Map(logs.map(log => [log.date, log]));
+    const isMet = (date) => {
+        const log = logsByDate.get(date);
+        if (!log) return false;
+        const goal = getGoalForDate(config, date);
+        const macroTargets = resolveMacroTargets(config && config.macroGoals, goal);
+        return dayMeetsRules({
+            kcal: log.totalKcal,
+            entryCount: log.entries.length,
+            goal,
+            macroCheck: macroTargets && checkMacroTargets({ protein: log.totalProtein, carbs: log.totalCarbs, fat: log.totalFat }, macroTargets),
+        }, rules);
+    };
+
+    return findStreaks(logs[0].date, today, isMet, rules.graceDaysPerWeek);
 };
 
 // Simple helper for a delay
@@ -100,7 +327,7 @@ const animateStartup = async () => {
 // Variable to only run animation once per session
 let hasAnimated = false;
 
-const getWeeklyChartData = async (dailyGoal) => {
+const getWeeklyChartData = async (config) => {
     const today = new Date();
     const dayOfWeek = today.getDay(); // 0(Sun) - 6(Sat)
     
@@ -118,10 +345,10 @@ const getWeeklyChartData = async (dailyGoal) => {
         const dateStr = d.toISOString().split('T')[0];
         const dayName = d.toLocaleDateString('en-US', { weekday: 'short' }); 
 
-        const log = await Log.findOne({ date: dateStr });
+        const log = await Log.findOne(forProfile({ date: dateStr }));
         const kcal = log ? log.totalKcal : 0;
         
-        chartData.push({ day: dayName, kcal, date: dateStr });
+        chartData.push({ day: dayName, kcal, date: dateStr, goal: getGoalForDate(config, dateStr) });
         weeklyTotal += kcal;
     }
 
@@ -138,13 +365,14 @@ const showDashboard = async () => {
   process.stdout.write('\x1Bc'); // Clear console
   const today = getLocalDate();
   
-  const config = await Config.findOne({ key: 'user_settings' });
-  const dailyGoal = config ? config.dailyGoal : 2000;
+  const config = await Config.findOne(settingsFilter());
+  const dailyGoal = getGoalForDate(config, today);
   
-  const [log, { chartData, weeklyTotal }, streak] = await Promise.all([
-    Log.findOne({ date: today }),
-    getWeeklyChartData(dailyGoal),
-    calculateStreak(dailyGoal)
+  const [log, { chartData, weeklyTotal }, { current: streak }, profiles] = await Promise.all([
+    Log.findOne(forProfile({ date: today })),
+    getWeeklyChartData(config),
+    calculateStreaks(config),
+    listProfiles()
   ]);
 
   const currentKcal = log ? log.totalKcal : 0;
@@ -154,6 +382,7 @@ const showDashboard = async () => {
 
   const remainingKcal = dailyGoal - currentKcal;
   const progress = Math.min(100, (currentKcal / dailyGoal) * 100);
+  const macroTargets = resolveMacroTargets(config && config.macroGoals, dailyGoal);
 
   // --- UI Rendering ---
   const getProgressColor = (p) => p >= 100 ? chalk.red : p > 75 ? chalk.yellow : chalk.green;
@@ -178,9 +407,19 @@ const showDashboard = async () => {
 
   // Macronutrient display
   dailyContent += chalk.bold.underline('📊 Macros:\n');
-  dailyContent += `🥩 Protein: ${chalk.bold(currentProtein)}g\n`;
-  dailyContent += `🍞 Carbs:   ${chalk.bold(currentCarbs)}g\n`;
-  dailyContent += `🥑 Fat:     ${chalk.bold(currentFat)}g\n\n`;
+  if (macroTargets) {
+    const check = checkMacroTargets({ protein: currentProtein, carbs: currentCarbs, fat: currentFat }, macroTargets);
+    MACROS.forEach(macro => {
+      const { actual, target } = check[macro];
+      const pct = target > 0 ? (actual / target) * 100 : 100;
+      dailyContent += `${MACRO_LABELS[macro]} [${getMacroColor(macro, pct)(createProgressBar(pct, 10))}] ${chalk.bold(actual)}/${target}g\n`;
+    });
+    dailyContent += '\n';
+  } else {
+    dailyContent += `🥩 Protein: ${chalk.bold(currentProtein)}g\n`;
+    dailyContent += `🍞 Carbs:   ${chalk.bold(currentCarbs)}g\n`;
+    dailyContent += `🥑 Fat:     ${chalk.bold(currentFat)}g\n\n`;
+  }
 
   dailyContent += `Progress:\n[${getProgressColor(progress)(progressBar)}] ${progress.toFixed(0)}%\n\n`;
 
@@ -192,12 +431,12 @@ const showDashboard = async () => {
   
   chartData.forEach(d => {
       const isToday = d.date === today;
-      const pct = Math.min(1.5, d.kcal / dailyGoal); 
+      const pct = Math.min(1.5, d.kcal / d.goal); 
       const barLen = Math.floor(pct * 20); 
       
       let barChar = '█';
       let barColor = chalk.green;
-      if (d.kcal > dailyGoal) barColor = chalk.red;
+      if (d.kcal > d.goal) barColor = chalk.red;
       else if (d.kcal === 0) { barColor = chalk.gray; barChar = '·'; }
       
       const bar = barColor(barChar.repeat(d.kcal === 0 ? 1 : barLen));
@@ -219,7 +458,8 @@ const showDashboard = async () => {
   mealsContent += `${chalk.bold('🥣  Today\'s Logs')}\n`;
   if (log && log.entries.length > 0) {
     log.entries.slice(-5).reverse().forEach(entry => {
-      mealsContent += `  ${chalk.cyan('•')} ${chalk.white(entry.name.padEnd(25))} ${chalk.yellow((entry.kcal + ' kcal').padStart(10))}  ${chalk.dim(entry.timeSlot)}\n`;
+      const entryName = entry.quantity && entry.quantity !== 1 ? `${entry.name} ${formatQuantity(entry.quantity)}` : entry.name;
+      mealsContent += `  ${chalk.cyan('•')} ${chalk.white(entryName.padEnd(25))} ${chalk.yellow((entry.kcal + ' kcal').padStart(10))}  ${chalk.dim(entry.timeSlot)}\n`;
       mealsContent += `    ${chalk.gray(`  🥩${entry.protein}g | 🍞${entry.carbs}g | 🥑${entry.fat}g`)}\n`;
     });
   } else {
@@ -230,7 +470,8 @@ const showDashboard = async () => {
 
   // --- Wrap it all in Boxen ---
   const appContent = table.toString();
-  const styledTitle = gradient.pastel('   CalTrack Terminal   ');
+  const styledTitle = gradient.pastel('   CalTrack Terminal   ')
+    + (profiles.length > 1 ? chalk.gray(`\n👤 ${activeProfile}`) : '');
   const finalOutput = `${styledTitle}\n\n${appContent}`;
   
   const boxedOutput = boxen(finalOutput, {
@@ -244,19 +485,27 @@ const showDashboard = async () => {
   console.log(boxedOutput);
 
   // --- Menu ---
+  const [undoable, redoable] = await Promise.all([findUndoable(), findRedoable()]);
   const { choice } = await inquirer.prompt([
     {
       type: 'list',
       name: 'choice',
       message: 'Menu:',
-      pageSize: 10,
+      pageSize: 16,
       choices: [
         { name: '➕  Add Meal', value: 'add' },
+        { name: '📋  Meal Templates', value: 'templates' },
         { name: '🥑  Manage Foods', value: 'food' },
         { name: '📜  History', value: 'history' },
-        { name: '📈  Weekly Report', value: 'report' },
+        { name: '📈  Reports', value: 'report' },
+        { name: '🔥  Streaks', value: 'streaks' },
+        { name: '⚖️   Log Weight', value: 'weight' },
         { name: '🎯  Set Goal', value: 'goal' },
+        { name: '⚙️   Settings', value: 'settings' },
+        { name: '🧾  Audit Log', value: 'audit' },
         new inquirer.Separator(),
+        ...(undoable ? [{ name: `↩️   Undo: ${undoable.action}`, value: 'undo' }] : []),
+        ...(redoable ? [{ name: `↪️   Redo: ${redoable.action}`, value: 'redo' }] : []),
         { name: '👋  Exit', value: 'exit' },
       ],
     },
@@ -266,17 +515,38 @@ const showDashboard = async () => {
     case 'add':
       await addMeal();
       break;
+    case 'templates':
+      await manageTemplates();
+      break;
     case 'history':
       await viewHistory();
       break;
     case 'report':
-      await showWeeklyReport();
+      await showReports();
+      break;
+    case 'weight':
+      await logWeight();
+      break;
+    case 'streaks':
+      await showStreaks();
       break;
     case 'food':
       await manageFoods();
       break;
     case 'goal':
-      await setDailyGoal();
+      await setGoals();
+      break;
+    case 'settings':
+      await showSettings();
+      break;
+    case 'audit':
+      await showAuditLog();
+      break;
+    case 'undo':
+      await undoOrRedo(undoable);
+      break;
+    case 'redo':
+      await undoOrRedo(redoable);
       break;
     case 'refresh':
       break;
@@ -286,6 +556,129 @@ const showDashboard = async () => {
   }
 };
 
+const showReports = async () => {
+    const today = getLocalDate();
+    const { period } = await inquirer.prompt([{
+        type: 'list',
+        name: 'period',
+        message: 'Which report?',
+        choices: [
+            { name: '📊 Last 7 days', value: 'week' },
+            { name: '📅 This month', value: 'month' },
+            { name: '🗓️  Choose a month', value: 'pick' },
+            { name: '↔️  Custom date range', value: 'range' },
+            new inquirer.Separator(),
+            { name: '⬅️  Go Back', value: 'back' },
+        ],
+    }]);
+
+    if (period === 'week') {
+        await showWeeklyReport();
+    } else if (period === 'month') {
+        const { from, to } = getMonthRange(today.slice(0, 7));
+        await showRangeReport(from, to);
+    } else if (period === 'pick') {
+        const { month } = await inquirer.prompt([{
+            type: 'input',
+            name: 'month',
+            message: 'Month (YYYY-MM):',
+            default: addDays(`${today.slice(0, 7)}-01`, -1).slice(0, 7),
+            validate: input => getMonthRange(input.trim()) !== null || 'Please enter a month as YYYY-MM.',
+            filter: input => input.trim(),
+        }]);
+        const { from, to } = getMonthRange(month);
+        await showRangeReport(from, to);
+    } else if (period === 'range') {
+        const dateValidator = input => isValidDateString(input.trim()) || 'Please enter a date as YYYY-MM-DD.';
+        const { from } = await inquirer.prompt([{
+            type: 'input',
+            name: 'from',
+            message: 'From (YYYY-MM-DD):',
+            default: addDays(today, -29),
+            validate: dateValidator,
+            filter: input => input.trim(),
+        }]);
+        const { to } = await inquirer.prompt([{
+            type: 'input',
+            name: 'to',
+            message: 'To (YYYY-MM-DD):',
+            default: today,
+            validate: input => {
+                const valid = dateValidator(input);
+                if (valid !== true) return valid;
+                if (input.trim() < from) return 'The end date must not be before the start date.';
+                return listDates(from, input.trim()).length <= MAX_REPORT_DAYS || `Please choose a range of at most ${MAX_REPORT_DAYS} days.`;
+            },
+            filter: input => input.trim(),
+        }]);
+        await showRangeReport(from, to);
+    }
+};
+
+// Longest range a report will cover
+const MAX_REPORT_DAYS = 366;
+
+// Heatmap colors: well under goal, close to goal, over goal, nothing logged
+const getHeatmapColor = (day) => {
+    if (day.status === 'future') return chalk.dim;
+    if (day.status === 'unlogged') return chalk.bgGray.black;
+    if (day.status === 'over') return chalk.bgRed.white;
+    return day.kcal / day.goal >= 0.75 ? chalk.bgGreen.black : chalk.bgYellow.black;
+};
+
+// Draws the days as a Monday-first calendar, labelling each row where a new month starts
+const renderHeatmap = (weeks) => {
+    const lines = [`     ${chalk.bold(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map(day => ` ${day} `).join(''))}`];
+    weeks.forEach((week, index) => {
+        const offset = (getWeekday(week.days[0].date) + 6) % 7;
+        const cells = week.days.map(day => getHeatmapColor(day)(` ${String(Number(day.date.slice(8))).padStart(2)} `));
+        const startsMonth = index === 0 || week.days.some(day => day.date.endsWith('-01'));
+        const monthDay = week.days.find(day => day.date.endsWith('-01')) || week.days[0];
+        const label = startsMonth
+            ? new Date(`${monthDay.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' })
+            : '';
+        lines.push(`${chalk.gray(label.padEnd(4))} ${'    '.repeat(offset)}${cells.join('')}`);
+    });
+    return lines.join('\n');
+};
+
+const showRangeReport = async (from, to) => {
+    console.clear();
+    console.log(chalk.bold.cyan(`\n--- 📅 Report: ${from} to ${to} ---\n`));
+
+    const [logs, config] = await Promise.all([
+        Log.find(forProfile({ date: { $gte: from, $lte: to } })),
+        Config.findOne(settingsFilter()),
+    ]);
+    const summary = summarizeRange(listDates(from, to), logs, date => getGoalForDate(config, date), getLocalDate());
+
+    console.log(renderHeatmap(summary.weeks));
+    console.log(`\n     ${chalk.bgYellow.black(' < 75% ')} ${chalk.bgGreen.black(' 75-100% ')} ${chalk.bgRed.white(' over ')} ${chalk.bgGray.black(' not logged ')}  of the day's goal\n`);
+
+    const { averages } = summary;
+    const pastDays = summary.loggedDays + summary.unloggedDays;
+    console.log(chalk.bold('Summary:'));
+    console.log(`  - Logged Days: ${chalk.yellow(summary.loggedDays)} of ${pastDays}`);
+    console.log(`  - ${chalk.green(`Within goal: ${summary.underDays}`)} | ${chalk.red(`Over goal: ${summary.overDays}`)} | ${chalk.gray(`Not logged: ${summary.unloggedDays}`)}`);
+    if (summary.loggedDays === 0) {
+        console.log(chalk.gray('\n  Nothing was logged in this period.'));
+    } else {
+        console.log(`  - Average Daily Calories: ${chalk.yellow(averages.kcal)} kcal (average goal ${averages.goal} kcal, logged days only)`);
+        console.log(`  - Average Macros: 🥩 ${averages.protein}g protein | 🍞 ${averages.carbs}g carbs | 🥑 ${averages.fat}g fat\n`);
+
+        const weekTable = new Table({
+            head: [chalk.bold('Week of'), chalk.bold('Logged'), chalk.bold('Avg kcal/day')],
+            colWidths: [15, 10, 16],
+        });
+        summary.weeks.filter(week => week.days[0].status !== 'future').forEach(week => {
+            weekTable.push([week.days[0].date, `${week.loggedDays}/${week.days.filter(day => day.status !== 'future').length}`, week.loggedDays > 0 ? chalk.yellow(week.averageKcal) : chalk.gray('-')]);
+        });
+        console.log(weekTable.toString());
+    }
+
+    await inquirer.prompt({ type: 'input', name: 'ack', message: '\nPress Enter to continue...' });
+};
+
 const showWeeklyReport = async () => {
     console.clear();
     console.log(chalk.bold.cyan('\n--- 📊 Weekly Report ---'));
@@ -303,7 +696,7 @@ const showWeeklyReport = async () => {
     }
 
     const startDate = weekDates[0];
-    const logs = await Log.find({ date: { $gte: startDate } });
+    const logs = await Log.find(forProfile({ date: { $gte: startDate } }));
 
     logs.forEach(log => {
         if (weekData.has(log.date)) {
@@ -316,7 +709,14 @@ const showWeeklyReport = async () => {
 
     console.log(`\n${chalk.bold('Weekly Summary:')}`);
     console.log(`  - Total Calories: ${chalk.yellow(weeklyTotal.toFixed(0))} kcal`);
-    console.log(`  - Average Daily Calories: ${chalk.yellow(weeklyAverage.toFixed(0))} kcal\n`);
+    console.log(`  - Average Daily Calories: ${chalk.yellow(weeklyAverage.toFixed(0))} kcal`);
+
+    const weightTrend = calculateTrend(await Weight.find(forProfile()).lean());
+    if (weightTrend.length > 0) {
+        const latest = weightTrend[weightTrend.length - 1];
+        console.log(`  - Weight Trend: ${chalk.yellow(latest.trend.toFixed(1))} kg (${formatWeeklyRate(calculateWeeklyRate(weightTrend))})`);
+    }
+    console.log('');
 
     const chartTable = new Table({
         head: [chalk.bold('Date'), chalk.bold('Calories'), ''],
@@ -341,12 +741,328 @@ const showWeeklyReport = async () => {
     await inquirer.prompt({ type: 'input', name: 'ack', message: '\nPress Enter to continue...' });
 };
 
+// Number of past streaks listed in the streaks view
+const STREAK_LIST_LENGTH = 15;
+
+const showStreaks = async () => {
+    let stayOnPage = true;
+    while (stayOnPage) {
+        console.clear();
+        console.log(chalk.bold.cyan('\n--- 🔥 Streaks ---\n'));
+
+        const config = await Config.findOne(settingsFilter());
+        const { streaks, current, longest } = await calculateStreaks(config);
+
+        console.log(`  ${chalk.italic('Current Streak:')} ${chalk.bold.yellow(`${current} Days`)}`);
+        console.log(`  ${chalk.italic('Longest Streak:')} ${chalk.bold.yellow(`${longest} Days`)}`);
+        console.log(chalk.gray(`  A day counts when it is ${describeStreakRules(getStreakRules(config))}.\n`));
+
+        if (streaks.length === 0) {
+            console.log(chalk.gray('No streaks yet.\n'));
+        } else {
+            const streakTable = new Table({
+                head: [chalk.bold('From'), chalk.bold('To'), chalk.bold('Days'), chalk.bold('Grace days')],
+                colWidths: [14, 14, 8, 12],
+                style: { head: ['cyan'] }
+            });
+            streaks.slice(-STREAK_LIST_LENGTH).reverse().forEach((streak, index) => {
+                const isCurrent = index === 0 && current > 0;
+                const days = streak.length === longest ? chalk.bold.yellow(streak.length) : streak.length;
+                streakTable.push([streak.start, isCurrent ? chalk.green('ongoing') : streak.end, days, streak.graceDays || '']);
+            });
+            console.log(streakTable.toString());
+        }
+
+        const { choice } = await inquirer.prompt([{
+            type: 'list',
+            name: 'choice',
+            message: 'What would you like to do?',
+            choices: [
+                { name: '⚙️  Change streak rules', value: 'rules' },
+                { name: '⬅️  Go Back', value: 'back' },
+            ],
+        }]);
+
+        if (choice === 'rules') await editStreakRules();
+        else stayOnPage = false;
+    }
+};
+
+const editStreakRules = async () => {
+    const config = await Config.findOne(settingsFilter());
+    const current = getStreakRules(config);
+    const wholeNumberValidator = (min, max) => input => {
+        const value = Number(input);
+        return Number.isInteger(value) && value >= min && value <= max || `Please enter a whole number from ${min} to ${max}.`;
+    };
+
+    const { calorieRule } = await inquirer.prompt([{
+        type: 'list',
+        name: 'calorieRule',
+        message: 'Count a day when calories are:',
+        choices: [
+            { name: 'At or under my goal', value: 'under' },
+            { name: 'Within a percentage of my goal (over or under)', value: 'within' },
+        ],
+        default: current.tolerancePercent > 0 ? 'within' : 'under',
+    }]);
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'tolerancePercent',
+            message: 'Within how many percent of the goal (e.g. 10)?',
+            default: current.tolerancePercent || 10,
+            when: () => calorieRule === 'within',
+            validate: wholeNumberValidator(1, 100),
+        },
+        {
+            type: 'input',
+            name: 'minEntries',
+            message: 'Minimum number of logged entries:',
+            default: current.minEntries,
+            validate: wholeNumberValidator(1, 50),
+        },
+        {
+            type: 'confirm',
+            name: 'requireMacros',
+            message: 'Require macro targets to be met (when targets are set)?',
+            default: current.requireMacros,
+        },
+        {
+            type: 'input',
+            name: 'graceDaysPerWeek',
+            message: 'Grace days per week (missed days that don\'t break a streak):',
+            default: current.graceDaysPerWeek,
+            validate: wholeNumberValidator(0, 6),
+        },
+    ]);
+
+    const streakRules = {
+        tolerancePercent: calorieRule === 'within' ? Number(answers.tolerancePercent) : 0,
+        minEntries: Number(answers.minEntries),
+        requireMacros: answers.requireMacros,
+        graceDaysPerWeek: Number(answers.graceDaysPerWeek),
+    };
+    await updateSettings('Changed streak rules', { streakRules }, { upsert: true, setDefaultsOnInsert: true });
+    console.log(chalk.green(`\nStreak rules updated: ${describeStreakRules(streakRules)}.`));
+};
+
+// Number of weigh-ins drawn in the trend chart
+const WEIGHT_CHART_POINTS = 14;
+
+const logWeight = async () => {
+    const today = getLocalDate();
+    const last = await Weight.findOne(forProfile()).sort({ date: -1 });
+
+    const { weightStr, date } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'weightStr',
+            message: 'Weight (kg):',
+            default: last ? last.weight : undefined,
+            validate: input => {
+                const weight = parseFloat(input);
+                return !isNaN(weight) && weight > 0 || 'Please enter a valid weight.';
+            }
+        },
+        {
+            type: 'input',
+            name: 'date',
+            message: 'Date (YYYY-MM-DD):',
+            default: today,
+            validate: input => isValidDateString(input.trim()) || 'Please enter a date as YYYY-MM-DD.',
+            filter: input => input.trim(),
+        },
+    ]);
+
+    const weight = roundToTenth(parseFloat(weightStr));
+    const previous = await recordAction(`Logged ${weight} kg on ${date}`, [[Weight, forProfile({ date })]], () => (
+        Weight.findOneAndUpdate(forProfile({ date }), { weight }, { upsert: true })
+    ));
+    console.log(chalk.green(previous
+        ? `\nReplaced the ${previous.weight} kg weigh-in on ${date} with ${weight} kg.`
+        : `\nLogged ${weight} kg on ${date}.`));
+
+    await showWeightTrend();
+};
+
+const showWeightTrend = async () => {
+    console.log(chalk.bold.cyan('\n--- ⚖️  Weight Trend ---'));
+
+    const trend = calculateTrend(await Weight.find(forProfile()).lean());
+    const recent = trend.slice(-WEIGHT_CHART_POINTS);
+    const latest = recent[recent.length - 1];
+
+    // Intake over the same stretch as the chart, counting only days with a log
+    const logs = await Log.find(forProfile({ date: { $gte: recent[0].date } }));
+    const averageIntake = logs.length > 0 ? logs.reduce((sum, log) => sum + log.totalKcal, 0) / logs.length : 0;
+
+    console.log(`\n${chalk.bold('Summary:')}`);
+    console.log(`  - Trend Weight: ${chalk.yellow(latest.trend.toFixed(1))} kg (last weigh-in ${latest.weight} kg on ${latest.date})`);
+    console.log(`  - Weekly Change: ${chalk.yellow(formatWeeklyRate(calculateWeeklyRate(trend)))}`);
+    console.log(`  - Average Daily Calories: ${chalk.yellow(averageIntake.toFixed(0))} kcal since ${recent[0].date}\n`);
+
+    const chartTable = new Table({
+        head: [chalk.bold('Date'), chalk.bold('Trend'), chalk.bold('Weight')],
+        colWidths: [15, 30, 18],
+    });
+
+    // Bars show the trend relative to the lowest point in view, so small changes stay visible
+    const values = recent.flatMap(point => [point.weight, point.trend]);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+
+    recent.forEach(point => {
+        const barLength = 1 + Math.round(((point.trend - min) / range) * 24);
+        chartTable.push([
+            point.date,
+            chalk.cyan('█'.repeat(barLength)),
+            chalk.yellow(`${point.weight} kg`) + chalk.gray(` (${point.trend.toFixed(1)})`)
+        ]);
+    });
+
+    console.log(chartTable.toString());
+
+    await inquirer.prompt({ type: 'input', name: 'ack', message: '\nPress Enter to continue...' });
+};
+
 const createProgressBar = (percentage, length) => {
-  const filledLength = Math.round((percentage / 100) * length);
+  const filledLength = Math.min(length, Math.round((Math.max(0, percentage) / 100) * length));
   const emptyLength = length - filledLength;
   return '█'.repeat(filledLength) + '░'.repeat(emptyLength);
 };
 
+const CATEGORY_CHOICES = [
+    { name: 'Protein-heavy (chicken, fish, meat, eggs)', value: 'protein-heavy' },
+    { name: 'Carb-heavy (rice, pasta, bread, fruits)', value: 'carb-heavy' },
+    { name: 'Fat-heavy (oils, nuts, butter, avocado)', value: 'fat-heavy' },
+    { name: 'Mixed (balanced meals, snacks)', value: 'mixed' }
+];
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+const gramsPrompt = (name, message, defaultValue) => ({
+    type: 'input',
+    name,
+    message,
+    default: defaultValue,
+    validate: input => {
+        const grams = parseFloat(input);
+        return !isNaN(grams) && grams >= 0 || 'Please enter a valid number of grams.';
+    }
+});
+
+// Asks for calories and macros, either estimated from a category or typed in from a nutrition label.
+// Returns { kcal, protein, carbs, fat, category, estimated }.
+const promptNutrition = async (label, defaults = {}) => {
+    const { mode } = await inquirer.prompt([{
+        type: 'list',
+        name: 'mode',
+        message: `How do you want to enter nutrition for ${label}?`,
+        choices: [
+            { name: 'Estimate macros from calories and food type', value: 'estimate' },
+            { name: 'Enter protein, carbs and fat (e.g. from a nutrition label)', value: 'macros' },
+        ],
+        default: 'estimate'
+    }]);
+
+    if (mode === 'estimate') {
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'kcalStr',
+                message: `Calories (kcal) for ${label}:`,
+                default: defaults.kcal,
+                validate: input => {
+                    const kcal = parseFloat(input);
+                    return !isNaN(kcal) && kcal >= 0 || 'Please enter a valid number for calories.';
+                }
+            },
+            {
+                type: 'list',
+                name: 'category',
+                message: `What type of food is ${label}?`,
+                choices: CATEGORY_CHOICES,
+                default: defaults.category || 'mixed'
+            }
+        ]);
+        const kcal = parseFloat(answers.kcalStr);
+        return { kcal, ...estimateMacros(kcal, answers.category), category: answers.category, estimated: true };
+    }
+
+    const macros = await inquirer.prompt([
+        gramsPrompt('proteinStr', 'Protein (g):', defaults.protein),
+        gramsPrompt('carbsStr', 'Carbs (g):', defaults.carbs),
+        gramsPrompt('fatStr', 'Fat (g):', defaults.fat),
+    ]);
+    const protein = roundToTenth(parseFloat(macros.proteinStr));
+    const carbs = roundToTenth(parseFloat(macros.carbsStr));
+    const fat = roundToTenth(parseFloat(macros.fatStr));
+    const calculatedKcal = calculateCaloriesFromMacros(protein, carbs, fat);
+
+    const { kcalStr } = await inquirer.prompt([{
+        type: 'input',
+        name: 'kcalStr',
+        message: `Calories (kcal) from the label, or leave blank to use ${calculatedKcal} kcal from the macros:`,
+        validate: input => {
+            if (input.trim() === '') return true;
+            const kcal = parseFloat(input);
+            return !isNaN(kcal) && kcal >= 0 || 'Please enter a valid number for calories.';
+        }
+    }]);
+    const kcal = kcalStr.trim() === '' ? calculatedKcal : parseFloat(kcalStr);
+
+    const { calculated, isConsistent } = checkMacroConsistency(kcal, protein, carbs, fat);
+    if (!isConsistent) {
+        console.log(chalk.yellow(`\n⚠️  ${kcal} kcal doesn't match the macros, which add up to ${calculated} kcal.`));
+        const { keep } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'keep',
+            message: 'Keep these values anyway? (Alcohol and fiber can explain a gap.)',
+            default: false,
+        }]);
+        if (!keep) return promptNutrition(label, { kcal, protein, carbs, fat });
+    }
+
+    return { kcal, protein, carbs, fat, category: inferCategory(protein, carbs, fat), estimated: false };
+};
+
+// Asks for other names and tags, both comma-separated. Returns { aliases, tags }.
+const promptAliasesAndTags = async (defaults = {}) => {
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'aliases',
+            message: 'Other names to find it by, in any language (comma-separated, optional):',
+            default: (defaults.aliases || []).join(', '),
+        },
+        {
+            type: 'input',
+            name: 'tags',
+            message: 'Tags such as coffee, street food or homemade (comma-separated, optional):',
+            default: (defaults.tags || []).join(', '),
+        },
+    ]);
+    return { aliases: parseList(answers.aliases), tags: parseList(answers.tags).map(tag => tag.toLowerCase()) };
+};
+
+const describeMacros = ({ protein, carbs, fat, estimated }) => {
+    return `${estimated ? 'Estimated' : 'Macros'}: ${protein}g protein, ${carbs}g carbs, ${fat}g fat`;
+};
+
+const MACRO_LABELS = {
+  protein: '🥩 Protein',
+  carbs: '🍞 Carbs  ',
+  fat: '🥑 Fat    ',
+};
+
+// Protein turns green once the target is reached; carbs and fat turn red once they go over
+const getMacroColor = (macro, pct) => {
+  if (macro === 'protein') return pct >= 100 ? chalk.green : pct > 50 ? chalk.yellow : chalk.gray;
+  return pct > 100 ? chalk.red : pct > 90 ? chalk.yellow : chalk.green;
+};
+
 const createNewFood = async () => {
     const { name } = await inquirer.prompt([
       {
@@ -362,41 +1078,26 @@ const createNewFood = async () => {
         return null;
     }
 
-    const { kcalStr } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'kcalStr',
-        message: `Calories (kcal) for "${name}":`,
-        validate: input => {
-          const kcal = parseFloat(input);
-          return !isNaN(kcal) && kcal >= 0 || 'Please enter a valid number for calories.';
-        }
-      },
-    ]);
+    const nutrition = await promptNutrition(`"${name}"`);
+    const { kcal, protein, carbs, fat, category } = nutrition;
 
-    const { category } = await inquirer.prompt([
+    const { servingGramsStr } = await inquirer.prompt([
       {
-        type: 'list',
-        name: 'category',
-        message: `What type of food is "${name}"?`,
-        choices: [
-          { name: 'Protein-heavy (chicken, fish, meat, eggs)', value: 'protein-heavy' },
-          { name: 'Carb-heavy (rice, pasta, bread, fruits)', value: 'carb-heavy' },
-          { name: 'Fat-heavy (oils, nuts, butter, avocado)', value: 'fat-heavy' },
-          { name: 'Mixed (balanced meals, snacks)', value: 'mixed' }
-        ],
-        default: 'mixed'
+        type: 'input',
+        name: 'servingGramsStr',
+        message: 'Weight of one serving in grams (optional, leave blank to skip):',
+        validate: input => input.trim() === '' || parseFloat(input) > 0 || 'Please enter a positive number or leave blank.'
       }
     ]);
 
-    const kcal = parseFloat(kcalStr);
-    const { protein, carbs, fat } = estimateMacros(kcal, category);
+    const servingGrams = servingGramsStr.trim() === '' ? undefined : parseFloat(servingGramsStr);
+    const { aliases, tags } = await promptAliasesAndTags();
 
     try {
-      const newFood = new Food({ name, kcal, protein, carbs, fat, category });
-      const savedFood = await newFood.save();
+      const newFood = new Food({ name, kcal, protein, carbs, fat, category, servingGrams, aliases, tags });
+      const savedFood = await recordAction(`Created food "${name}"`, [[Food, { _id: newFood._id }]], () => newFood.save());
       foodCache.push(savedFood); // Update cache
-      console.log(chalk.green(`\n✅ Learned "${name}"! Estimated: ${protein}g protein, ${carbs}g carbs, ${fat}g fat`));
+      console.log(chalk.green(`\n✅ Learned "${name}"! ${describeMacros(nutrition)}`));
       return savedFood;
     } catch (error) {
       if (error.code === 11000) { // Duplicate key error
@@ -409,34 +1110,53 @@ const createNewFood = async () => {
     }
 };
 
-const addMeal = async () => {
-  let foodToAdd = null;
+// --- Food search ---
 
-  const fuse = new Fuse(foodCache, {
-    keys: ['name'],
-    includeScore: true,
-    threshold: 0.4,
-  });
+const SEARCH_TAGS = { recent: '🕘 ', frequent: '⭐ ' };
 
+// Asks for a food with the shared search and returns the picked choice's value.
+// `actions` are listed above the results; with `barcodes`, typing or scanning a barcode finds its product.
+const promptFood = async (message, actions, { barcodes = false } = {}) => {
+  const search = await loadFoodSearch();
   const { foodId } = await inquirer.prompt({
     type: 'autocomplete',
     name: 'foodId',
-    message: 'Search for a food or select "Create New":',
+    message,
     source: async (answersSoFar, input) => {
       input = input || '';
-      const searchResults = fuse.search(input).map(result => ({
-        name: `${result.item.name} (${result.item.kcal} kcal)`,
-        value: result.item._id,
+      // A barcode goes straight to its product, listed first so a scanner's Enter picks it
+      if (barcodes && isBarcode(input)) {
+        const barcode = normalizeBarcode(input);
+        const product = foodCache.find(food => food.barcode === barcode);
+        return [
+          product
+            ? { name: `📦 ${product.name} (${product.kcal} kcal)`, value: product._id }
+            : new inquirer.Separator(chalk.gray(`No product with barcode ${input.trim()}`)),
+          ...actions,
+        ];
+      }
+      const searchResults = search(input).map(({ item, tag, alias }) => ({
+        name: `${SEARCH_TAGS[tag] || ''}${item.name} (${item.kcal} kcal)${alias ? chalk.gray(` · ${alias}`) : ''}`,
+        value: item._id,
       }));
-      
+
       return [
-        { name: '➕ Create New Food', value: 'CREATE_NEW' },
-        { name: '❌ Cancel', value: 'CANCEL' },
+        ...actions,
         new inquirer.Separator(),
         ...searchResults,
       ];
     },
   });
+  return foodId;
+};
+
+const addMeal = async () => {
+  let foodToAdd = null;
+
+  const foodId = await promptFood('Search for a food, type or scan a barcode, or select "Create New":', [
+    { name: '➕ Create New Food', value: 'CREATE_NEW' },
+    { name: '❌ Cancel', value: 'CANCEL' },
+  ], { barcodes: true });
 
   if (foodId === 'CANCEL') {
     console.log(chalk.yellow('\nAction cancelled.'));
@@ -451,79 +1171,631 @@ const addMeal = async () => {
   }
 
   if (foodToAdd) {
-    // --- Prompt for Time Slot ---
-    const { slot } = await inquirer.prompt([
+    const { date, time } = await promptWhenEaten();
+
+    const timeSlot = await promptTimeSlot(parseInt(time, 10));
+
+    // --- Prompt for Quantity ---
+    const { quantityStr } = await inquirer.prompt([
         {
-            type: 'list',
-            name: 'slot',
-            message: 'Which time slot for this meal?',
-            choices: ['Auto', 'Morning', 'Afternoon', 'Evening', 'Night'],
-            default: 'Auto',
+            type: 'input',
+            name: 'quantityStr',
+            message: foodToAdd.servingGrams
+                ? `How many servings? (1 serving = ${foodToAdd.servingGrams}g, or enter grams like "150g")`
+                : 'How many servings? (e.g. 1, 0.5, 2)',
+            default: '1',
+            validate: input => parseQuantity(input, foodToAdd.servingGrams) !== null || 'Please enter a positive number of servings.',
         }
     ]);
-    
-    const timeSlot = slot === 'Auto' ? getTimeSlot() : slot;
 
-    await logMeal(foodToAdd, timeSlot);
-    console.log(chalk.green(`\n✅ Added "${foodToAdd.name}" to ${timeSlot}!`));
+    const quantity = parseQuantity(quantityStr, foodToAdd.servingGrams);
+
+    await logMeal(foodToAdd, timeSlot, quantity, { date, time });
+    const { kcal } = scaleNutrition(foodToAdd, quantity);
+    const dayLabel = date === getLocalDate() ? '' : ` on ${date}`;
+    console.log(chalk.green(`\n✅ Added "${foodToAdd.name}" ${formatQuantity(quantity)} (${kcal} kcal) to ${timeSlot}${dayLabel}!`));
   }
 };
 
-const logMeal = async (food, timeSlot) => {
-  const today = getLocalDate();
-  const time = getCurrentTime();
-
-  await Log.findOneAndUpdate(
-    { date: today },
-    {
-      $push: {
-        entries: {
-          name: food.name,
-          kcal: food.kcal,
-          protein: food.protein,
-          carbs: food.carbs,
-          fat: food.fat,
-          time,
-          timeSlot
-        }
-      },
-      $inc: {
-        totalKcal: food.kcal,
-        totalProtein: food.protein,
-        totalCarbs: food.carbs,
-        totalFat: food.fat
-      },
-    },
-    { upsert: true, new: true, setDefaultsOnInsert: true }
-  );
+const formatTimeSlot = (slot) => (slot.emoji ? `${slot.emoji} ${slot.name}` : slot.name);
+
+// Asks which slot a meal belongs in; "Auto" picks the slot for the given hour
+const promptTimeSlot = async (hour) => {
+  const slots = await getTimeSlots();
+  const autoSlot = getTimeSlot(hour, slots);
+  const { slot } = await inquirer.prompt([{
+    type: 'list',
+    name: 'slot',
+    message: 'Which time slot for this meal?',
+    choices: [
+      { name: `Auto (${autoSlot})`, value: autoSlot },
+      ...slots.map(s => ({ name: formatTimeSlot(s), value: s.name })),
+    ],
+  }]);
+  return slot;
 };
 
-const setDailyGoal = async () => {
-  const { newGoalStr } = await inquirer.prompt([
+// Asks whether a meal was eaten now or earlier. Returns { date, time }.
+const promptWhenEaten = async () => {
+  const today = getLocalDate();
+  const { when } = await inquirer.prompt([{
+    type: 'list',
+    name: 'when',
+    message: 'When did you eat this?',
+    choices: [
+      { name: 'Just now', value: 'now' },
+      { name: 'Earlier (another time or day)', value: 'earlier' },
+    ],
+  }]);
+  if (when === 'now') return { date: today, time: getCurrentTime() };
+
+  return inquirer.prompt([
+    datePrompt('date', 'Date (YYYY-MM-DD, yesterday, -2d):', today),
     {
       type: 'input',
-      name: 'newGoalStr',
-      message: 'Enter your new daily calorie goal:',
-      validate: input => {
-        const goal = parseFloat(input);
-        return !isNaN(goal) && goal > 0 || 'Please enter a valid positive number.';
-      }
+      name: 'time',
+      message: 'Time (HH:mm or 7:30pm):',
+      default: getCurrentTime(),
+      validate: input => parseTime(input) !== null || 'Please enter a time like 19:30 or 7:30pm.',
+      filter: input => parseTime(input) || input,
     },
   ]);
-  const newGoal = parseFloat(newGoalStr);
-  await Config.findOneAndUpdate({ key: 'user_settings' }, { dailyGoal: newGoal });
-  console.log(chalk.green(`\nGoal updated to ${newGoal} kcal!`));
 };
 
-const viewHistory = async () => {
-    console.clear();
-    const logs = await Log.find({}).sort({ date: -1 });
-    const config = await Config.findOne({ key: 'user_settings' });
-    const dailyGoal = config ? config.dailyGoal : 2000;
+// A prompt for a past or present date that accepts "yesterday" and "-2d" shortcuts
+const datePrompt = (name, message, defaultValue) => ({
+  type: 'input',
+  name,
+  message,
+  default: defaultValue,
+  validate: input => {
+    const date = parseDateInput(input);
+    if (!date) return 'Please enter a date as YYYY-MM-DD, "yesterday" or "-2d".';
+    return date <= getLocalDate() || 'That date is in the future.';
+  },
+  filter: input => parseDateInput(input) || input,
+});
+
+// --- Audit journal ---
+
+const describeAuditEntry = (entry) => {
+  const prefix = { change: '', undo: 'Undo: ', redo: 'Redo: ' }[entry.kind];
+  return `${prefix}${entry.action}`;
+};
 
-    if (logs.length === 0) {
-        console.log(chalk.yellow('No history found.'));
-        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+const describeDocument = (change) => {
+  const doc = change.after || change.before;
+  const label = {
+    Log: `log for ${doc.date}`,
+    Food: `food "${doc.name}"`,
+    Weight: `weigh-in on ${doc.date}`,
+    MealTemplate: `template "${doc.name}"`,
+    Config: `settings of "${doc.profileName}"`,
+    SeedPack: `seed pack "${doc.pack}"`,
+  };
+  return label[change.model] || `${change.model} ${change.documentId}`;
+};
+
+const undoOrRedo = async (entry) => {
+  const { conflicts } = await revertAuditEntry(entry);
+  if (conflicts) {
+    console.log(chalk.red(`\nCan't revert this: ${conflicts.map(describeDocument).join(', ')} changed again since.`));
+    console.log(chalk.gray('Revert the later changes first (see the Audit Log).'));
+  } else {
+    console.log(chalk.green(`\n✅ ${entry.kind === 'undo' ? 'Redone' : 'Undone'}: ${entry.action}`));
+  }
+  await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
+
+const formatAuditTime = (at) => {
+  const date = new Date(at);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const AUDIT_PAGE_SIZE = 30;
+
+const showAuditLog = async () => {
+  const entries = await AuditEntry.find(forProfile()).sort({ at: -1, _id: -1 }).limit(AUDIT_PAGE_SIZE);
+  if (entries.length === 0) {
+    console.log(chalk.yellow('\nNothing has been recorded yet.'));
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+    return;
+  }
+
+  const { entryId } = await inquirer.prompt([{
+    type: 'list',
+    name: 'entryId',
+    message: `Latest ${entries.length} changes. Pick one to revert it:`,
+    pageSize: 15,
+    loop: false,
+    choices: [
+      ...entries.map(entry => ({
+        name: `${chalk.gray(formatAuditTime(entry.at))}  ${describeAuditEntry(entry)}`,
+        value: entry._id,
+        disabled: entry.reverted && 'already reverted',
+      })),
+      new inquirer.Separator(),
+      { name: '⬅️  Go Back', value: 'back' },
+    ],
+  }]);
+  if (entryId === 'back') return;
+
+  const entry = entries.find(e => e._id.equals(entryId));
+  console.log(chalk.bold(`\n${describeAuditEntry(entry)}`));
+  entry.changes.forEach(change => {
+    const effect = !change.before ? 'created' : !change.after ? 'deleted' : 'changed';
+    console.log(chalk.gray(`  ${effect} ${describeDocument(change)}`));
+  });
+  entry.created.forEach(({ model, ids }) => console.log(chalk.gray(`  created ${ids.length} ${model} document(s)`)));
+  if (entry.overwritten.length > 0) console.log(chalk.gray(`  changed ${entry.overwritten.length} document(s)`));
+  const { confirmRevert } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmRevert',
+    message: isBulkEntry(entry) ? 'Revert this? It can\'t be redone afterwards.' : 'Revert this?',
+    default: true,
+  }]);
+  if (confirmRevert) await undoOrRedo(entry);
+};
+
+const showSettings = async () => {
+  const { setting } = await inquirer.prompt([{
+    type: 'list',
+    name: 'setting',
+    message: 'Settings:',
+    choices: [
+      { name: '🕒 Time slots and meal names', value: 'slots' },
+      { name: '👥 Profiles', value: 'profiles' },
+      new inquirer.Separator(),
+      { name: '⬅️  Go Back', value: 'back' },
+    ],
+  }]);
+
+  if (setting === 'slots') await manageTimeSlots();
+  if (setting === 'profiles') await manageProfiles();
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Saves the slots, renumbering their order from 1 so it stays tidy after edits
+const saveTimeSlots = async (slots, action) => {
+  const timeSlots = sortTimeSlots(slots).map((slot, index) => ({ ...slot, order: index + 1 }));
+  await updateSettings(action, { timeSlots }, { upsert: true, setDefaultsOnInsert: true });
+};
+
+// Asks for a slot's name, start hour, position and emoji. `current` is the slot being edited, if any.
+const promptTimeSlotFields = async (slots, current = {}) => {
+  const others = slots.filter(slot => slot.name !== current.name);
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Slot name (e.g. Second breakfast, Pre-workout):',
+      default: current.name,
+      validate: input => {
+        if (!input.trim()) return 'Please enter a name.';
+        return !findTimeSlot(input, others) || 'There is already a slot with that name.';
+      },
+      filter: input => input.trim(),
+    },
+    {
+      type: 'input',
+      name: 'startHour',
+      message: 'Starts at which hour (0-23)? Meals from then on are assigned to it automatically:',
+      default: current.startHour,
+      validate: input => {
+        const hour = Number(input);
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) return 'Please enter a whole hour from 0 to 23.';
+        const clash = others.find(slot => slot.startHour === hour);
+        return !clash || `${clash.name} already starts at ${formatHour(hour)}.`;
+      },
+    },
+    {
+      type: 'input',
+      name: 'order',
+      message: 'Position in lists (1 = first):',
+      default: current.order || others.length + 1,
+      validate: input => Number.isInteger(Number(input)) && Number(input) >= 1 || 'Please enter a whole number from 1.',
+    },
+    {
+      type: 'input',
+      name: 'emoji',
+      message: 'Emoji (optional):',
+      default: current.emoji || '',
+      filter: input => input.trim(),
+    },
+  ]);
+
+  // Land exactly at the chosen position: after the slot there when moving down, before it otherwise
+  const position = Number(answers.order);
+  const order = current.order && position > current.order ? position + 0.5 : position - 0.5;
+  return { name: answers.name, startHour: Number(answers.startHour), order, emoji: answers.emoji || undefined };
+};
+
+const manageTimeSlots = async () => {
+  let stayOnPage = true;
+  while (stayOnPage) {
+    console.clear();
+    console.log(chalk.bold.cyan('\n--- 🕒 Time Slots ---\n'));
+
+    const slots = await getTimeSlots();
+    const byStart = [...slots].sort((a, b) => a.startHour - b.startHour);
+    const slotTable = new Table({
+      head: [chalk.bold('#'), chalk.bold('Slot'), chalk.bold('Auto-assigned from')],
+      colWidths: [5, 26, 22],
+      style: { head: ['cyan'] }
+    });
+    slots.forEach((slot, index) => {
+      const next = byStart[(byStart.indexOf(slot) + 1) % byStart.length];
+      const range = byStart.length === 1 ? 'all day' : `${formatHour(slot.startHour)} to ${formatHour(next.startHour)}`;
+      slotTable.push([index + 1, formatTimeSlot(slot), range]);
+    });
+    console.log(slotTable.toString());
+
+    const { action } = await inquirer.prompt([{
+      type: 'list',
+      name: 'action',
+      message: 'What would you like to do?',
+      choices: [
+        { name: '➕ Add a slot', value: 'add' },
+        { name: '✏️  Edit a slot', value: 'edit' },
+        { name: '🗑️  Delete a slot', value: 'delete' },
+        { name: '↩️  Reset to the default slots', value: 'reset' },
+        new inquirer.Separator(),
+        { name: '⬅️  Go Back', value: 'back' },
+      ],
+    }]);
+
+    if (action === 'back') {
+      stayOnPage = false;
+      continue;
+    }
+    if (action === 'add') {
+      const slot = await promptTimeSlotFields(slots);
+      await saveTimeSlots([...slots, slot], `Added time slot "${slot.name}"`);
+      console.log(chalk.green(`\nAdded "${slot.name}".`));
+      continue;
+    }
+    if (action === 'reset') {
+      const { confirmReset } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmReset',
+        message: `Go back to ${DEFAULT_TIME_SLOTS.map(slot => slot.name).join(', ')}? Past entries keep their slot names.`,
+        default: false,
+      }]);
+      if (confirmReset) await updateSettings('Reset time slots', { timeSlots: [] });
+      continue;
+    }
+
+    const { slotName } = await inquirer.prompt([{
+      type: 'list',
+      name: 'slotName',
+      message: action === 'edit' ? 'Which slot would you like to edit?' : 'Which slot would you like to delete?',
+      choices: [...slots.map(slot => ({ name: formatTimeSlot(slot), value: slot.name })), new inquirer.Separator(), { name: 'Cancel', value: 'CANCEL' }],
+    }]);
+    if (slotName === 'CANCEL') continue;
+    const current = slots.find(slot => slot.name === slotName);
+
+    if (action === 'edit') {
+      const updated = await promptTimeSlotFields(slots, current);
+      await saveTimeSlots(slots.map(slot => (slot === current ? updated : slot)), `Edited time slot "${updated.name}"`);
+
+      if (updated.name !== current.name) {
+        const { renameEntries } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'renameEntries',
+          message: `Also rename "${current.name}" to "${updated.name}" on entries you've already logged?`,
+          default: true,
+        }]);
+        if (renameEntries) {
+          const filter = forProfile({ 'entries.timeSlot': current.name });
+          const result = await recordAction(`Moved logged "${current.name}" entries to "${updated.name}"`, [[Log, filter]], () => Log.updateMany(
+            filter,
+            { $set: { 'entries.$[elem].timeSlot': updated.name } },
+            { arrayFilters: [{ 'elem.timeSlot': current.name }] }
+          ));
+          console.log(chalk.gray(`Updated ${result.modifiedCount} day(s).`));
+        }
+      }
+      console.log(chalk.green(`\nSaved "${updated.name}".`));
+    } else if (slots.length === 1) {
+      console.log(chalk.yellow('\nYou need at least one time slot.'));
+      await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+    } else {
+      const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Delete "${current.name}"? Entries already logged in it keep the name.`,
+        default: false,
+      }]);
+      if (confirmDelete) await saveTimeSlots(slots.filter(slot => slot !== current), `Deleted time slot "${current.name}"`);
+    }
+  }
+};
+
+const setGoals = async () => {
+  const { target } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'target',
+      message: 'Which goal would you like to set?',
+      choices: [
+        { name: '🔥 Daily calorie goal', value: 'kcal' },
+        { name: '📊 Macro targets', value: 'macros' },
+        { name: '📜 Goal history', value: 'history' },
+        { name: '👤 Body profile (for calorie estimates)', value: 'profile' },
+        new inquirer.Separator(),
+        { name: '⬅️  Go Back', value: 'back' },
+      ],
+    },
+  ]);
+
+  if (target === 'kcal') await setDailyGoal();
+  if (target === 'macros') await setMacroGoals();
+  if (target === 'history') await showGoalHistory();
+  if (target === 'profile') await editProfile();
+};
+
+const setMacroGoals = async () => {
+  const config = await Config.findOne(settingsFilter());
+  const dailyGoal = getGoalForDate(config, getLocalDate());
+  const current = config && config.macroGoals;
+
+  const { mode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'How do you want to set macro targets?',
+      choices: [
+        { name: 'As a percentage of my calorie goal', value: 'percent' },
+        { name: 'In grams per day', value: 'grams' },
+        { name: 'Clear macro targets', value: 'clear' },
+      ],
+      default: current && current.mode,
+    },
+  ]);
+
+  if (mode === 'clear') {
+    await updateSettings('Cleared macro targets', { $unset: { macroGoals: 1 } });
+    console.log(chalk.green('\nMacro targets cleared.'));
+    return;
+  }
+
+  const unit = mode === 'percent' ? '%' : 'g';
+  const suggested = mode === 'percent' ? { protein: 30, carbs: 40, fat: 30 } : resolveMacroTargets({ mode: 'percent', protein: 30, carbs: 40, fat: 30 }, dailyGoal);
+  const answers = await inquirer.prompt(MACROS.map(macro => ({
+    type: 'input',
+    name: macro,
+    message: `${MACRO_LABELS[macro].trim()} target (${unit}):`,
+    default: current && current.mode === mode && typeof current[macro] === 'number' ? current[macro] : suggested[macro],
+    validate: input => {
+      const value = parseFloat(input);
+      return !isNaN(value) && value >= 0 || 'Please enter a valid non-negative number.';
+    }
+  })));
+
+  const macroGoals = { mode, ...Object.fromEntries(MACROS.map(macro => [macro, parseFloat(answers[macro])])) };
+  if (mode === 'percent') {
+    const total = macroGoals.protein + macroGoals.carbs + macroGoals.fat;
+    if (Math.abs(total - 100) > 1) {
+      console.log(chalk.red(`\nThe percentages add up to ${total}%, not 100%. Please try again.`));
+      return setMacroGoals();
+    }
+  }
+
+  await updateSettings('Changed macro targets', { macroGoals });
+  const targets = resolveMacroTargets(macroGoals, dailyGoal);
+  console.log(chalk.green(`\nMacro targets updated: ${targets.protein}g protein, ${targets.carbs}g carbs, ${targets.fat}g fat per day.`));
+};
+
+const positiveNumberPrompt = (name, message, defaultValue) => ({
+  type: 'input',
+  name,
+  message,
+  default: defaultValue,
+  validate: input => {
+    const value = parseFloat(input);
+    return !isNaN(value) && value > 0 || 'Please enter a valid positive number.';
+  }
+});
+
+const editProfile = async () => {
+  const config = await Config.findOne(settingsFilter());
+  const current = (config && config.profile) || {};
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'sex',
+      message: 'Sex (used by the BMR formula):',
+      choices: [{ name: 'Male', value: 'male' }, { name: 'Female', value: 'female' }],
+      default: current.sex,
+    },
+    positiveNumberPrompt('age', 'Age (years):', current.age),
+    positiveNumberPrompt('heightCm', 'Height (cm):', current.heightCm),
+    {
+      type: 'list',
+      name: 'activityLevel',
+      message: 'Activity level:',
+      choices: Object.entries(ACTIVITY_LEVELS).map(([value, { label }]) => ({ name: label, value })),
+      default: current.activityLevel,
+    },
+  ]);
+
+  const profile = {
+    sex: answers.sex,
+    age: Math.round(parseFloat(answers.age)),
+    heightCm: roundToTenth(parseFloat(answers.heightCm)),
+    activityLevel: answers.activityLevel,
+  };
+  await updateSettings('Changed body profile', { profile }, { upsert: true, setDefaultsOnInsert: true });
+  console.log(chalk.green('\nProfile saved.'));
+  return profile;
+};
+
+const TARGET_RATES = [
+  { name: 'Lose 0.75 kg/week', value: -0.75 },
+  { name: 'Lose 0.5 kg/week', value: -0.5 },
+  { name: 'Lose 0.25 kg/week', value: -0.25 },
+  { name: 'Maintain weight', value: 0 },
+  { name: 'Gain 0.25 kg/week', value: 0.25 },
+  { name: 'Gain 0.5 kg/week', value: 0.5 },
+];
+
+// Works out a goal for a target rate, printing each step of the calculation. Returns the suggested goal.
+const suggestGoal = async () => {
+  const config = await Config.findOne(settingsFilter());
+  let profile = config && config.profile;
+  if (!isProfileComplete(profile)) {
+    console.log(chalk.yellow('\nA few details are needed to estimate how many calories you burn.'));
+    profile = await editProfile();
+  }
+
+  const [weighIns, latestWeight] = await Promise.all([
+    Weight.find(forProfile()).lean(),
+    Weight.findOne(forProfile()).sort({ date: -1 }),
+  ]);
+  const { weightStr, rate } = await inquirer.prompt([
+    positiveNumberPrompt('weightStr', 'Current weight (kg):', latestWeight ? latestWeight.weight : undefined),
+    {
+      type: 'list',
+      name: 'rate',
+      message: 'What is your target?',
+      choices: TARGET_RATES,
+      default: 1,
+    },
+  ]);
+  const weight = parseFloat(weightStr);
+
+  const trend = calculateTrend(weighIns);
+  const logs = trend.length > 0 ? await Log.find(forProfile({ date: { $gte: trend[0].date } })).lean() : [];
+  const formula = calculateTdee(profile, weight);
+  const adaptive = calculateAdaptiveTdee(trend, logs);
+  const tdee = adaptive ? adaptive.tdee : formula.tdee;
+  const { goal, dailyAdjustment, minimum, floored } = suggestDailyGoal(tdee, rate, profile.sex);
+
+  const sexConstant = profile.sex === 'male' ? '+ 5' : '- 161';
+  console.log(chalk.bold('\nHow this goal was worked out:'));
+  console.log(`  1. Mifflin-St Jeor BMR: 10 × ${weight} kg + 6.25 × ${profile.heightCm} cm - 5 × ${profile.age} ${sexConstant} = ${chalk.yellow(formula.bmr)} kcal`);
+  console.log(`  2. × ${formula.factor} for your activity level = ${chalk.yellow(formula.tdee)} kcal/day estimated maintenance (TDEE)`);
+  if (adaptive) {
+    const direction = adaptive.trendChange <= 0 ? 'fell' : 'rose';
+    console.log(`  3. From your data: you averaged ${adaptive.averageIntake} kcal on ${adaptive.loggedDays} logged days while your trend weight ${direction} ${Math.abs(adaptive.trendChange)} kg`);
+    console.log(`     over ${adaptive.spanDays} days (${adaptive.startDate} to ${adaptive.endDate}), so you actually burn about ${chalk.yellow(adaptive.tdee)} kcal/day.`);
+    console.log('     This adaptive estimate is used instead of the formula.');
+  } else {
+    console.log(chalk.gray(`  3. Once you have ${MIN_ADAPTIVE_SPAN_DAYS}+ days of weigh-ins and ${MIN_ADAPTIVE_LOGGED_DAYS}+ logged days, your real intake and weight trend will refine this.`));
+  }
+  if (rate === 0) {
+    console.log(`  4. To maintain, eat about your TDEE: ${chalk.yellow(tdee)} kcal/day.`);
+  } else {
+    const sign = dailyAdjustment > 0 ? '+' : '-';
+    console.log(`  4. ${rate > 0 ? '+' : ''}${rate} kg/week × ${KCAL_PER_KG} kcal/kg ÷ 7 days = ${sign}${Math.abs(dailyAdjustment)} kcal/day, so ${tdee} ${sign} ${Math.abs(dailyAdjustment)} = ${chalk.yellow(tdee + dailyAdjustment)} kcal/day.`);
+  }
+  if (floored) {
+    console.log(chalk.yellow(`     That is below the ${minimum} kcal/day minimum recommended without medical supervision, so the suggestion is raised to it.`));
+  }
+  console.log(chalk.green(`\nSuggested goal: ${goal} kcal/day\n`));
+
+  return goal;
+};
+
+const goalValidator = input => {
+  const goal = parseFloat(input);
+  return !isNaN(goal) && goal > 0 || 'Please enter a valid positive number.';
+};
+
+const setDailyGoal = async () => {
+  const today = getLocalDate();
+  const config = await Config.findOne(settingsFilter());
+  const current = getGoalEntryForDate(config, today);
+  const currentGoal = current ? current.dailyGoal : getGoalForDate(config, today);
+  const currentWeekdayGoals = current ? current.weekdayGoals : [];
+
+  const { method } = await inquirer.prompt([{
+    type: 'list',
+    name: 'method',
+    message: 'How do you want to set your goal?',
+    choices: [
+      { name: 'Enter a number', value: 'manual' },
+      { name: 'Suggest one for a target rate (lose, maintain, gain)', value: 'suggest' },
+    ],
+  }]);
+  const suggestion = method === 'suggest' ? await suggestGoal() : null;
+
+  const { newGoalStr, effectiveDate, useWeekdayGoals } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'newGoalStr',
+      message: 'Enter your new daily calorie goal:',
+      default: suggestion || currentGoal,
+      validate: goalValidator,
+    },
+    {
+      type: 'input',
+      name: 'effectiveDate',
+      message: 'Effective from (YYYY-MM-DD). Days before this keep their old goal:',
+      default: today,
+      validate: input => isValidDateString(input.trim()) || 'Please enter a date as YYYY-MM-DD.',
+      filter: input => input.trim(),
+    },
+    {
+      type: 'confirm',
+      name: 'useWeekdayGoals',
+      message: 'Use different goals on some days of the week (e.g. higher on weekends)?',
+      default: currentWeekdayGoals.length === 7,
+    },
+  ]);
+  const newGoal = parseFloat(newGoalStr);
+
+  let weekdayGoals = [];
+  if (useWeekdayGoals) {
+    // Asked Monday first, stored Sunday first
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    const answers = await inquirer.prompt(order.map(day => ({
+      type: 'input',
+      name: String(day),
+      message: `${WEEKDAYS[day]} goal (kcal):`,
+      default: currentWeekdayGoals.length === 7 && currentWeekdayGoals[day] > 0 ? currentWeekdayGoals[day] : newGoal,
+      validate: goalValidator,
+    })));
+    weekdayGoals = WEEKDAYS.map((_, day) => parseFloat(answers[day]));
+    if (weekdayGoals.every(goal => goal === newGoal)) weekdayGoals = [];
+  }
+
+  const change = { effectiveDate, dailyGoal: newGoal, weekdayGoals };
+  await recordGoalChange(change);
+  console.log(chalk.green(`\nGoal updated to ${describeGoal(change)} from ${effectiveDate}!`));
+};
+
+const showGoalHistory = async () => {
+  console.clear();
+  const config = await Config.findOne(settingsFilter());
+  const today = getLocalDate();
+  const history = config ? [...config.goalHistory].reverse() : [];
+
+  console.log(chalk.bold(`Today's goal: ${getGoalForDate(config, today)} kcal\n`));
+  if (history.length === 0) {
+    console.log(chalk.gray('Your goal has not been changed yet.'));
+  } else {
+    const table = new Table({
+      head: [chalk.bold('Effective from'), chalk.bold('Goal')],
+      style: { head: ['cyan'] },
+    });
+    history.forEach(entry => table.push([formatEffectiveDate(entry.effectiveDate), describeGoal(entry)]));
+    console.log(table.toString());
+  }
+  await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
+
+const viewHistory = async () => {
+    console.clear();
+    const logs = await Log.find(forProfile()).sort({ date: -1 });
+    const config = await Config.findOne(settingsFilter());
+
+    if (logs.length === 0) {
+        console.log(chalk.yellow('No history found.'));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
         return;
     }
 
@@ -534,11 +1806,16 @@ const viewHistory = async () => {
             message: 'Select a day to view:',
             choices: [
                 ...logs.map(log => {
+                    const dailyGoal = getGoalForDate(config, log.date);
+                    const macroTargets = resolveMacroTargets(config && config.macroGoals, dailyGoal);
                     const progress = (log.totalKcal / dailyGoal) * 100;
                     const color = progress >= 100 ? chalk.red : progress > 75 ? chalk.yellow : chalk.green;
                     const totalKcalStr = String(log.totalKcal).padStart(5);
+                    const macroStatus = macroTargets
+                        ? `  ${formatMacroChecks(checkMacroTargets({ protein: log.totalProtein, carbs: log.totalCarbs, fat: log.totalFat }, macroTargets))}`
+                        : '';
                     return {
-                        name: color(`${log.date}  -  ${totalKcalStr} / ${dailyGoal} kcal`),
+                        name: color(`${log.date}  -  ${totalKcalStr} / ${dailyGoal} kcal`) + macroStatus,
                         value: log.date,
                     }
                 }),
@@ -558,7 +1835,7 @@ const showDayDetail = async (dateString) => {
     let stayOnPage = true;
     while(stayOnPage) {
         console.clear();
-        const log = await Log.findOne({ date: dateString });
+        const log = await Log.findOne(forProfile({ date: dateString }));
         
         if (!log) {
             console.log(chalk.yellow('Log for this day no longer exists.'));
@@ -567,8 +1844,8 @@ const showDayDetail = async (dateString) => {
             break;
         }
 
-        const config = await Config.findOne({ key: 'user_settings' });
-        const dailyGoal = config ? config.dailyGoal : 2000;
+        const config = await Config.findOne(settingsFilter());
+        const dailyGoal = getGoalForDate(config, log.date);
         const progress = (log.totalKcal / dailyGoal) * 100;
         const progressColor = progress >= 100 ? chalk.red : progress > 75 ? chalk.yellow : chalk.green;
         const progressBar = createProgressBar(progress, 2.0);
@@ -578,35 +1855,49 @@ const showDayDetail = async (dateString) => {
         summaryContent += chalk.bold(`📅 Daily Log for: ${log.date}\n`);
         summaryContent += `🔥 ${chalk.bold(log.totalKcal)} kcal / ${chalk.bold(dailyGoal)} kcal\n`;
         summaryContent += `📊 Progress: [${progressColor(progressBar)}] ${progress.toFixed(1)}%\n`;
+
+        const macroTargets = resolveMacroTargets(config && config.macroGoals, dailyGoal);
+        if (macroTargets) {
+            const check = checkMacroTargets({ protein: log.totalProtein, carbs: log.totalCarbs, fat: log.totalFat }, macroTargets);
+            MACROS.forEach(macro => {
+                const { actual, target, met } = check[macro];
+                const goalWord = macro === 'protein' ? 'at least' : 'at most';
+                summaryContent += `${MACRO_LABELS[macro]}  ${chalk.bold(actual)}g / ${goalWord} ${target}g ${met ? chalk.green('✓') : chalk.red('✗')}\n`;
+            });
+        }
         console.log(summaryContent);
         
-        // --- Meals Table ---
+        // --- Meals Table, grouped by time slot ---
         const mealsTable = new Table({
             head: [
                 chalk.bold('#'),
-                chalk.bold('Time Slot'),
                 chalk.bold('Name'),
+                chalk.bold('Qty'),
                 chalk.bold('Kcal'),
                 chalk.bold('Protein'),
                 chalk.bold('Carbs'),
                 chalk.bold('Fat'),
                 chalk.bold('Time')
             ],
-            colWidths: [5, 12, 20, 8, 8, 8, 8, 8],
+            colWidths: [5, 24, 7, 8, 9, 8, 8, 8],
             style: { head: ['cyan'] }
         });
 
-        log.entries.forEach((entry, index) => {
-            mealsTable.push([
-                index + 1,
-                entry.timeSlot,
-                entry.name,
-                chalk.yellow(entry.kcal),
-                chalk.blue(entry.protein),
-                chalk.magenta(entry.carbs),
-                chalk.red(entry.fat),
-                entry.time,
-            ]);
+        groupEntriesBySlot(log.entries, await getTimeSlots()).forEach(({ slot, items }) => {
+            const slotKcal = items.reduce((sum, { entry }) => sum + entry.kcal, 0);
+            mealsTable.push([{ colSpan: 8, content: chalk.bold(`${formatTimeSlot(slot)}  ${chalk.gray(`${slotKcal} kcal`)}`) }]);
+            items.forEach(({ entry, index }) => {
+                mealsTable.push([
+                    index + 1,
+                    entry.name,
+                    formatQuantity(entry.quantity),
+                    chalk.yellow(entry.kcal),
+                    chalk.blue(entry.protein),
+                    chalk.magenta(entry.carbs),
+                    chalk.red(entry.fat),
+                    entry.time,
+                ]);
+            });
         });
 
         console.log(mealsTable.toString());
@@ -618,6 +1909,8 @@ const showDayDetail = async (dateString) => {
             choices: [
                 { name: '✏️  Edit an Entry', value: 'edit' },
                 { name: '🗑️  Delete an Entry', value: 'delete' },
+                { name: '📦  Move or Copy an Entry', value: 'move' },
+                { name: '💾  Save as Meal Template', value: 'template' },
                 new inquirer.Separator(),
                 { name: '⬅️  Go Back to History', value: 'back' },
             ]
@@ -630,6 +1923,12 @@ const showDayDetail = async (dateString) => {
             case 'delete':
                 await deleteEntry(log);
                 break;
+            case 'move':
+                await moveEntry(log);
+                break;
+            case 'template':
+                await saveDayAsTemplate(log);
+                break;
             case 'back':
                 stayOnPage = false;
                 break;
@@ -650,7 +1949,7 @@ const editEntry = async (log) => {
         message: 'Which entry would you like to edit?',
         choices: [
             ...log.entries.map((entry, index) => ({
-                name: `${index + 1}. (${entry.timeSlot}) ${entry.name} (${entry.kcal} kcal)`,
+                name: `${index + 1}. (${entry.timeSlot}) ${entry.name} ${formatQuantity(entry.quantity)} (${entry.kcal} kcal)`,
                 value: entry._id,
             })),
             new inquirer.Separator(),
@@ -675,61 +1974,91 @@ const editEntry = async (log) => {
         },
         {
             type: 'input',
-            name: 'newKcalStr',
-            message: 'Enter the new calories:',
-            default: entryToEdit.kcal,
-            validate: input => {
-                const kcal = parseFloat(input);
-                return !isNaN(kcal) && kcal >= 0 || 'Please enter a valid number for calories.';
-            }
-        },
-        {
-            type: 'list',
-            name: 'category',
-            message: 'What type of food is this?',
-            choices: [
-                { name: 'Protein-heavy (chicken, fish, meat, eggs)', value: 'protein-heavy' },
-                { name: 'Carb-heavy (rice, pasta, bread, fruits)', value: 'carb-heavy' },
-                { name: 'Fat-heavy (oils, nuts, butter, avocado)', value: 'fat-heavy' },
-                { name: 'Mixed (balanced meals, snacks)', value: 'mixed' }
-            ],
-            default: 'mixed'
+            name: 'newQuantityStr',
+            message: 'Enter the new quantity (servings):',
+            default: String(entryToEdit.quantity),
+            validate: input => parseQuantity(input) !== null || 'Please enter a positive number of servings.'
         }
     ]);
 
     const newName = answers.newName;
-    const newKcal = parseFloat(answers.newKcalStr);
-    const newCategory = answers.category;
-    const { protein, carbs, fat } = estimateMacros(newKcal, newCategory);
+    const newQuantity = parseQuantity(answers.newQuantityStr);
+    const perServing = await promptNutrition('one serving', {
+        kcal: Math.round(entryToEdit.kcal / entryToEdit.quantity),
+        protein: roundToTenth(entryToEdit.protein / entryToEdit.quantity),
+        carbs: roundToTenth(entryToEdit.carbs / entryToEdit.quantity),
+        fat: roundToTenth(entryToEdit.fat / entryToEdit.quantity),
+    });
+    const { kcal: newKcal, protein, carbs, fat } = scaleNutrition(perServing, newQuantity);
+    const fields = { name: newName, quantity: newQuantity, kcal: newKcal, protein, carbs, fat };
+    // A renamed entry no longer is the food it was logged from, so it stops following that food's edits
+    if (newName !== entryToEdit.name) fields.food = null;
+
+    await recordAction(`Edited "${entryToEdit.name}" on ${log.date}`, [[Log, { _id: log._id }]], () => (
+        updateEntry(log, entryIdToEdit, fields)
+    ));
+    
+    console.log(chalk.green('\nEntry successfully updated.'));
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
 
-    const kcalDifference = newKcal - entryToEdit.kcal;
-    const proteinDifference = protein - entryToEdit.protein;
-    const carbsDifference = carbs - entryToEdit.carbs;
-    const fatDifference = fat - entryToEdit.fat;
+const moveEntry = async (log) => {
+    if (log.entries.length === 0) {
+        console.log(chalk.yellow('\nThere are no entries to move or copy.'));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+        return;
+    }
 
-    await Log.updateOne(
-        { _id: log._id },
+    const { entryId, action } = await inquirer.prompt([
         {
-            $set: {
-                "entries.$[elem].name": newName,
-                "entries.$[elem].kcal": newKcal,
-                "entries.$[elem].protein": protein,
-                "entries.$[elem].carbs": carbs,
-                "entries.$[elem].fat": fat,
-            },
-            $inc: {
-                totalKcal: kcalDifference,
-                totalProtein: proteinDifference,
-                totalCarbs: carbsDifference,
-                totalFat: fatDifference
-            }
+            type: 'list',
+            name: 'entryId',
+            message: 'Which entry?',
+            choices: [
+                ...log.entries.map((entry, index) => ({
+                    name: `${index + 1}. (${entry.timeSlot}) ${entry.name} ${formatQuantity(entry.quantity)} (${entry.kcal} kcal)`,
+                    value: entry._id,
+                })),
+                new inquirer.Separator(),
+                { name: 'Cancel', value: 'CANCEL' },
+            ],
+            loop: false,
         },
         {
-            arrayFilters: [{ "elem._id": entryIdToEdit }]
-        }
-    );
-    
-    console.log(chalk.green('\nEntry successfully updated.'));
+            type: 'list',
+            name: 'action',
+            message: 'Move it, or copy it and keep this one?',
+            choices: [
+                { name: 'Move', value: 'move' },
+                { name: 'Copy', value: 'copy' },
+            ],
+            when: answers => answers.entryId !== 'CANCEL',
+        },
+    ]);
+    if (entryId === 'CANCEL') return;
+
+    const entry = log.entries.find(e => e._id.equals(entryId));
+    if (!entry) return;
+
+    const { targetDate } = await inquirer.prompt([{
+        ...datePrompt('targetDate', `${action === 'move' ? 'Move' : 'Copy'} to which date (YYYY-MM-DD, yesterday, -2d)?`, addDays(log.date, -1)),
+        validate: input => {
+            const date = parseDateInput(input);
+            if (!date) return 'Please enter a date as YYYY-MM-DD, "yesterday" or "-2d".';
+            if (date > getLocalDate()) return 'That date is in the future.';
+            return action === 'copy' || date !== log.date || 'The entry is already on that day.';
+        },
+    }]);
+
+    // Add to the target day before removing from this one, so a failure never loses the entry
+    const { _id, ...fields } = entry.toObject();
+    const targets = [[Log, forProfile({ date: targetDate })], [Log, { _id: log._id }]];
+    await recordAction(`${action === 'move' ? 'Moved' : 'Copied'} "${entry.name}" from ${log.date} to ${targetDate}`, targets, async () => {
+        await pushEntries(targetDate, [fields]);
+        if (action === 'move') await pullEntry(log, entry);
+    });
+
+    console.log(chalk.green(`\n${action === 'move' ? 'Moved' : 'Copied'} "${entry.name}" to ${targetDate}.`));
     await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
 };
 
@@ -746,7 +2075,7 @@ const deleteEntry = async (log) => {
         message: 'Which entry would you like to delete?',
         choices: [
             ...log.entries.map((entry, index) => ({
-                name: `${index + 1}. (${entry.timeSlot}) ${entry.name} (${entry.kcal} kcal)`,
+                name: `${index + 1}. (${entry.timeSlot}) ${entry.name} ${formatQuantity(entry.quantity)} (${entry.kcal} kcal)`,
                 value: entry._id,
             })),
             new inquirer.Separator(),
@@ -769,18 +2098,7 @@ const deleteEntry = async (log) => {
     if (confirmDelete) {
         const entryToDelete = log.entries.find(e => e._id.equals(entryIdToDelete));
         if (entryToDelete) {
-            await Log.updateOne(
-                { _id: log._id },
-                {
-                    $pull: { entries: { _id: entryIdToDelete } },
-                    $inc: {
-                        totalKcal: -entryToDelete.kcal,
-                        totalProtein: -entryToDelete.protein,
-                        totalCarbs: -entryToDelete.carbs,
-                        totalFat: -entryToDelete.fat
-                    }
-                }
-            );
+            await recordAction(`Deleted "${entryToDelete.name}" from ${log.date}`, [[Log, { _id: log._id }]], () => pullEntry(log, entryToDelete));
             console.log(chalk.green('\nEntry successfully deleted.'));
             await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
         }
@@ -795,11 +2113,14 @@ const manageFoods = async () => {
             type: 'list',
             name: 'choice',
             message: '🥑 Food Management',
+            pageSize: 10,
             choices: [
-                { name: '📄 List All Foods', value: 'list' },
+                { name: '📄 Browse Foods', value: 'list' },
                 { name: '➕ Add a New Food', value: 'add' },
+                { name: '🍲 Build a Recipe', value: 'recipe' },
                 { name: '✏️  Edit a Food', value: 'edit' },
                 { name: '🗑️  Delete a Food', value: 'delete' },
+                { name: '📊 Food Usage', value: 'usage' },
                 new inquirer.Separator(),
                 { name: '⬅️  Go Back', value: 'back' },
             ]
@@ -807,17 +2128,23 @@ const manageFoods = async () => {
 
         switch(choice) {
             case 'list':
-                await listFoods();
+                await browseFoods();
                 break;
             case 'add':
                 await addFood();
                 break;
+            case 'recipe':
+                await buildRecipe();
+                break;
             case 'edit':
                 await editFood();
                 break;
             case 'delete':
                 await deleteFood();
                 break;
+            case 'usage':
+                await showFoodUsage();
+                break;
             case 'back':
                 stay = false;
                 break;
@@ -825,64 +2152,289 @@ const manageFoods = async () => {
     }
 }
 
-const listFoods = async () => {
-    console.clear();
-    const table = new Table({
-        head: [chalk.bold('Name'), chalk.bold('Cal'), chalk.bold('Prot'), chalk.bold('Carb'), chalk.bold('Fat')],
-        colWidths: [30, 8, 8, 8, 8],
-    });
+// Name column width in the food browser; longer names are cut short
+const BROWSE_NAME_WIDTH = 30;
 
-    // Sort food by name alphabetically
-    const sortedFood = [...foodCache].sort((a, b) => a.name.localeCompare(b.name));
+const formatBrowseRow = (food) => {
+    const name = food.name.length > BROWSE_NAME_WIDTH ? `${food.name.slice(0, BROWSE_NAME_WIDTH - 1)}…` : food.name;
+    return `${name.padEnd(BROWSE_NAME_WIDTH)} ${chalk.yellow(String(food.kcal).padStart(5))}  `
+        + `${chalk.blue(`${food.protein}g`.padStart(6))} ${chalk.magenta(`${food.carbs}g`.padStart(6))} ${chalk.red(`${food.fat}g`.padStart(6))}`
+        + chalk.gray(String(proteinDensity(food)).padStart(8));
+};
 
-    sortedFood.forEach(food => {
-        table.push([
-            food.name,
-            chalk.yellow(food.kcal),
-            chalk.blue(food.protein),
-            chalk.magenta(food.carbs),
-            chalk.red(food.fat)
-        ]);
-    });
+// Column headings lined up with formatBrowseRow, past the list prompt's two-character pointer
+const BROWSE_HEADER = `  ${'Name'.padEnd(BROWSE_NAME_WIDTH)} ${'kcal'.padStart(5)}  ${'Prot'.padStart(6)} ${'Carb'.padStart(6)} ${'Fat'.padStart(6)}${'P/100kcal'.padStart(10)}`;
 
-    console.log(chalk.bold.cyan('\n--- All Foods in Database ---'));
-    console.log(table.toString());
+// Lets the user page through the foods, sorted and filtered, and edit or delete the one they pick
+const browseFoods = async () => {
+    const view = { sort: 'name', category: null, tag: null, kcalRange: null };
+    let page = 0;
 
-    await inquirer.prompt({ type: 'input', name: 'ack', message: '\nPress Enter to continue...' });
+    while (true) {
+        console.clear();
+        const foods = selectFoods(foodCache, view);
+        const shown = paginate(foods, page);
+        page = shown.page;
+
+        const filters = [
+            view.category && CATEGORY_CHOICES.find(c => c.value === view.category).name.split(' (')[0],
+            view.tag && `tagged "${view.tag}"`,
+            view.kcalRange && describeKcalRange(view.kcalRange),
+        ].filter(Boolean);
+        console.log(chalk.bold.cyan('\n--- Food Browser ---'));
+        console.log(chalk.gray(`${foods.length} of ${foodCache.length} foods · sorted by ${FOOD_SORTS[view.sort].label}`
+            + `${filters.length > 0 ? ` · ${filters.join(', ')}` : ''} · page ${page + 1} of ${shown.pageCount}\n`));
+        console.log(chalk.bold(BROWSE_HEADER));
+
+        const { choice } = await inquirer.prompt([{
+            type: 'list',
+            name: 'choice',
+            message: foods.length > 0 ? 'Pick a food to edit or delete it:' : 'No foods match these filters.',
+            pageSize: BROWSE_PAGE_SIZE + 10,
+            loop: false,
+            choices: [
+                ...shown.items.map(food => ({ name: formatBrowseRow(food), value: { food }, short: food.name })),
+                new inquirer.Separator(),
+                ...(page + 1 < shown.pageCount ? [{ name: '➡️  Next page', value: 'next' }] : []),
+                ...(page > 0 ? [{ name: '⬅️  Previous page', value: 'previous' }] : []),
+                { name: '↕️  Sort by...', value: 'sort' },
+                { name: '🗂️  Filter by category', value: 'category' },
+                { name: '🔢 Filter by calories', value: 'kcal' },
+                { name: '🏷️  Filter by tag', value: 'tag' },
+                ...(filters.length > 0 ? [{ name: '🧹 Clear filters', value: 'clear' }] : []),
+                { name: '🔙 Go Back', value: 'back' },
+            ],
+        }]);
+
+        if (choice === 'back') return;
+        if (choice === 'next') page++;
+        if (choice === 'previous') page--;
+        if (choice === 'clear') {
+            Object.assign(view, { category: null, tag: null, kcalRange: null });
+            page = 0;
+        }
+        if (choice === 'sort') {
+            ({ sort: view.sort } = await inquirer.prompt([{
+                type: 'list',
+                name: 'sort',
+                message: 'Sort by:',
+                choices: Object.entries(FOOD_SORTS).map(([value, { label }]) => ({ name: label, value })),
+                default: view.sort,
+            }]));
+            page = 0;
+        }
+        if (choice === 'category') {
+            ({ category: view.category } = await inquirer.prompt([{
+                type: 'list',
+                name: 'category',
+                message: 'Show which type of food?',
+                choices: [{ name: 'Any type', value: null }, ...CATEGORY_CHOICES],
+                default: view.category,
+            }]));
+            page = 0;
+        }
+        if (choice === 'kcal') {
+            const { range } = await inquirer.prompt([{
+                type: 'input',
+                name: 'range',
+                message: 'Calories per serving, e.g. 100-300, <200 or 500- (leave blank for any):',
+                validate: input => input.trim() === '' || parseKcalRange(input) !== null || 'Please enter a range such as 100-300, <200 or 500-.',
+            }]);
+            view.kcalRange = range.trim() === '' ? null : parseKcalRange(range);
+            page = 0;
+        }
+        if (choice === 'tag') {
+            const tags = [...new Set(foodCache.flatMap(food => food.tags || []))].sort();
+            if (tags.length === 0) {
+                console.log(chalk.yellow('\nNo foods have tags yet. Add some when editing a food.'));
+                await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+            } else {
+                ({ tag: view.tag } = await inquirer.prompt([{
+                    type: 'list',
+                    name: 'tag',
+                    message: 'Show foods tagged:',
+                    choices: [{ name: 'Any tag', value: null }, ...tags.map(tag => ({ name: tag, value: tag }))],
+                    default: view.tag,
+                    pageSize: 15,
+                }]));
+                page = 0;
+            }
+        }
+        if (choice.food) {
+            const { action } = await inquirer.prompt([{
+                type: 'list',
+                name: 'action',
+                message: `${choice.food.name}:`,
+                choices: [
+                    { name: '✏️  Edit', value: 'edit' },
+                    { name: '🗑️  Delete', value: 'delete' },
+                    { name: '🔙 Back to the list', value: 'back' },
+                ],
+            }]);
+            if (action === 'edit') await editFood(choice.food);
+            if (action === 'delete') await deleteFood(choice.food);
+        }
+    }
 };
+
 const addFood = async () => { 
     console.clear();
     console.log(chalk.bold.cyan('\n--- Add a New Food ---'));
     await createNewFood();
     await inquirer.prompt({ type: 'input', name: 'ack', message: '\nPress Enter to continue...' });
 };
-const editFood = async () => { 
+
+// Lets the user pick several foods with a quantity each. Returns [{ food, quantity }], or null if cancelled.
+const pickFoodsWithQuantities = async (heading, message) => {
+    const picked = [];
+
+    while (true) {
+        if (picked.length > 0) {
+            console.log(chalk.bold(`\n${heading}:`));
+            picked.forEach(({ food, quantity }) => {
+                console.log(`  ${chalk.cyan('•')} ${food.name} ${formatQuantity(quantity)} ${chalk.gray(`(${Math.round(food.kcal * quantity)} kcal)`)}`);
+            });
+        }
+
+        const foodId = await promptFood(message, [
+            ...(picked.length > 0 ? [{ name: '✅ Done', value: 'DONE' }] : []),
+            { name: '❌ Cancel', value: 'CANCEL' },
+        ]);
+
+        if (foodId === 'CANCEL') return null;
+        if (foodId === 'DONE') return picked;
+
+        const food = foodCache.find(f => f._id.equals(foodId));
+        const { quantityStr } = await inquirer.prompt([{
+            type: 'input',
+            name: 'quantityStr',
+            message: food.servingGrams
+                ? `How much ${food.name}? (1 serving = ${food.servingGrams}g, or enter grams like "150g")`
+                : `How many servings of ${food.name}?`,
+            default: '1',
+            validate: input => parseQuantity(input, food.servingGrams) !== null || 'Please enter a positive number of servings.',
+        }]);
+        picked.push({ food, quantity: parseQuantity(quantityStr, food.servingGrams) });
+    }
+};
+
+const buildRecipe = async () => {
     console.clear();
-    console.log(chalk.bold.cyan('\n--- Edit a Food ---'));
+    console.log(chalk.bold.cyan('\n--- Build a Recipe ---'));
 
-    const fuse = new Fuse(foodCache, {
-        keys: ['name'],
-        includeScore: true,
-        threshold: 0.4,
-    });
+    const { name } = await inquirer.prompt([{
+        type: 'input',
+        name: 'name',
+        message: 'Enter recipe name (or type "cancel" to go back):',
+        validate: input => input.length > 0 || 'Please enter a name.'
+    }]);
 
-    const { foodIdToEdit } = await inquirer.prompt({
-        type: 'autocomplete',
-        name: 'foodIdToEdit',
-        message: 'Search for a food to edit:',
-        source: async (answersSoFar, input) => {
-            input = input || '';
-            const searchResults = fuse.search(input).map(result => ({
-                name: `${result.item.name} (${result.item.kcal} kcal)`,
-                value: result.item._id,
-            }));
-            return [
-                { name: '❌ Cancel', value: 'CANCEL' },
-                new inquirer.Separator(),
-                ...searchResults,
-            ];
-        },
-    });
+    if (name.toLowerCase() === 'cancel') {
+        console.log(chalk.yellow('\nRecipe cancelled.'));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+        return;
+    }
+
+    const ingredients = await pickFoodsWithQuantities(`Ingredients in "${name}"`, 'Search for an ingredient:');
+    if (!ingredients) {
+        console.log(chalk.yellow('\nRecipe cancelled.'));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+        return;
+    }
+
+    const { servingsStr } = await inquirer.prompt([{
+        type: 'input',
+        name: 'servingsStr',
+        message: 'How many servings does this recipe make?',
+        default: '1',
+        validate: input => parseFloat(input) > 0 || 'Please enter a positive number of servings.'
+    }]);
+    const servings = parseFloat(servingsStr);
+
+    const nutrition = calculateRecipeNutrition(ingredients, servings);
+    const category = inferCategory(nutrition.protein, nutrition.carbs, nutrition.fat);
+    console.log(`\nOne serving of "${name}": ${chalk.yellow(nutrition.kcal + ' kcal')}, ${nutrition.protein}g protein, ${nutrition.carbs}g carbs, ${nutrition.fat}g fat`);
+
+    const { confirmSave } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmSave',
+        message: 'Save this recipe as a food?',
+        default: true,
+    }]);
+
+    if (confirmSave) {
+        try {
+            const recipe = new Food({
+                name,
+                ...nutrition,
+                category,
+                servings,
+                ingredients: ingredients.map(({ food, quantity }) => ({ food: food._id, name: food.name, quantity })),
+            });
+            const savedRecipe = await recordAction(`Created recipe "${name}"`, [[Food, { _id: recipe._id }]], () => recipe.save());
+            foodCache.push(savedRecipe); // Update cache
+            console.log(chalk.green(`\n✅ Saved recipe "${name}" with ${ingredients.length} ingredients.`));
+        } catch (error) {
+            if (error.code === 11000) { // Duplicate key error
+                console.log(chalk.red(`\nError: A food named "${name}" already exists.`));
+            } else {
+                console.log(chalk.red(`\nError saving recipe: ${error.message}`));
+            }
+        }
+    } else {
+        console.log(chalk.yellow('\nRecipe discarded.'));
+    }
+
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
+
+const usesIngredient = (food, ingredientId) => {
+    return food.ingredients.some(ingredient => ingredient.food && ingredient.food.equals(ingredientId));
+};
+
+// Recalculates every recipe that contains the given food, then any recipe built from those recipes.
+// Returns the recipes that were updated.
+const recomputeRecipesUsing = async (foodId, visited = new Set()) => {
+    const recipes = foodCache.filter(f => !visited.has(String(f._id)) && usesIngredient(f, foodId));
+    const updated = [];
+
+    for (const recipe of recipes) {
+        visited.add(String(recipe._id));
+        const resolved = recipe.ingredients.map(ingredient => ({
+            ingredient,
+            food: ingredient.food && foodCache.find(f => f._id.equals(ingredient.food)),
+            quantity: ingredient.quantity,
+        }));
+
+        if (resolved.some(r => !r.food)) {
+            console.log(chalk.yellow(`  Skipped "${recipe.name}": one of its ingredients no longer exists.`));
+            continue;
+        }
+
+        const nutrition = calculateRecipeNutrition(resolved, recipe.servings);
+        const category = inferCategory(nutrition.protein, nutrition.carbs, nutrition.fat);
+        const ingredients = resolved.map(({ ingredient, food }) => ({
+            _id: ingredient._id,
+            food: food._id,
+            name: food.name,
+            quantity: ingredient.quantity,
+        }));
+
+        await Food.updateOne({ _id: recipe._id }, { $set: { ...nutrition, category, ingredients } });
+        Object.assign(recipe, nutrition, { category, ingredients }); // Update cache
+
+        updated.push(recipe, ...await recomputeRecipesUsing(recipe._id, visited));
+    }
+
+    return updated;
+};
+
+// Edits `food`, or one the user searches for when none is given
+const editFood = async (food = null) => {
+    console.clear();
+    console.log(chalk.bold.cyan('\n--- Edit a Food ---'));
+
+    const foodIdToEdit = food ? food._id : await promptFood('Search for a food to edit:', [{ name: '❌ Cancel', value: 'CANCEL' }]);
 
     if (foodIdToEdit === 'CANCEL') {
         console.log(chalk.yellow('\nEdit cancelled.'));
@@ -904,39 +2456,30 @@ const editFood = async () => {
             message: 'Enter the new name:',
             default: foodToEdit.name,
         },
-        {
-            type: 'input',
-            name: 'newKcalStr',
-            message: 'Enter the new calories:',
-            default: foodToEdit.kcal,
-            validate: input => {
-                const kcal = parseFloat(input);
-                return !isNaN(kcal) && kcal >= 0 || 'Please enter a valid number for calories.';
-            }
-        },
-        {
-            type: 'list',
-            name: 'category',
-            message: 'What type of food is this?',
-            choices: [
-                { name: 'Protein-heavy (chicken, fish, meat, eggs)', value: 'protein-heavy' },
-                { name: 'Carb-heavy (rice, pasta, bread, fruits)', value: 'carb-heavy' },
-                { name: 'Fat-heavy (oils, nuts, butter, avocado)', value: 'fat-heavy' },
-                { name: 'Mixed (balanced meals, snacks)', value: 'mixed' }
-            ],
-            default: foodToEdit.category || 'mixed'
-        }
     ]);
 
+    const nutrition = await promptNutrition('this food', foodToEdit);
+    const { kcal: newKcal, protein, carbs, fat, category: newCategory } = nutrition;
+
+    const { servingGramsStr } = await inquirer.prompt([{
+        type: 'input',
+        name: 'servingGramsStr',
+        message: 'Weight of one serving in grams (leave blank for none):',
+        default: foodToEdit.servingGrams ? String(foodToEdit.servingGrams) : '',
+        validate: input => input.trim() === '' || parseFloat(input) > 0 || 'Please enter a positive number or leave blank.'
+    }]);
+
     const newName = answers.newName;
-    const newKcal = parseFloat(answers.newKcalStr);
-    const newCategory = answers.category;
-    const { protein, carbs, fat } = estimateMacros(newKcal, newCategory);
+    const oldName = foodToEdit.name;
+    const newServingGrams = servingGramsStr.trim() === '' ? undefined : parseFloat(servingGramsStr);
+    const { aliases, tags } = await promptAliasesAndTags(foodToEdit);
 
     try {
-        await Food.updateOne({ _id: foodToEdit._id }, {
-            $set: { name: newName, kcal: newKcal, protein, carbs, fat, category: newCategory }
-        });
+        const fields = { name: newName, kcal: newKcal, protein, carbs, fat, category: newCategory, aliases, tags };
+        const update = newServingGrams
+            ? { $set: { ...fields, servingGrams: newServingGrams } }
+            : { $set: fields, $unset: { servingGrams: 1 } };
+        await recordAction(`Edited food "${foodToEdit.name}"`, [[Food, { _id: foodToEdit._id }]], () => Food.updateOne({ _id: foodToEdit._id }, update));
 
         // Update cache
         foodToEdit.name = newName;
@@ -945,8 +2488,27 @@ const editFood = async () => {
         foodToEdit.carbs = carbs;
         foodToEdit.fat = fat;
         foodToEdit.category = newCategory;
-
-        console.log(chalk.green(`\n✅ Food successfully updated! Estimated: ${protein}g protein, ${carbs}g carbs, ${fat}g fat`));
+        foodToEdit.servingGrams = newServingGrams;
+        foodToEdit.aliases = aliases;
+        foodToEdit.tags = tags;
+
+        console.log(chalk.green(`\n✅ Food successfully updated! ${describeMacros(nutrition)}`));
+        await propagateFoodEdit(foodToEdit, oldName);
+
+        const dependentRecipes = foodCache.filter(f => usesIngredient(f, foodToEdit._id));
+        if (dependentRecipes.length > 0) {
+            const { recompute } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'recompute',
+                message: `"${newName}" is used in ${dependentRecipes.length} recipe(s) (${dependentRecipes.map(r => r.name).join(', ')}). Recompute their nutrition?`,
+                default: true,
+            }]);
+            if (recompute) {
+                const recipes = foodCache.filter(f => f.ingredients && f.ingredients.length > 0).map(f => [Food, { _id: f._id }]);
+                const updated = await recordAction(`Recomputed recipes using "${newName}"`, recipes, () => recomputeRecipesUsing(foodToEdit._id));
+                console.log(chalk.green(`✅ Recomputed ${updated.length} recipe(s).`));
+            }
+        }
     } catch (error) {
         if (error.code === 11000) { // Duplicate key error
             console.log(chalk.red(`\nError: A food named "${newName}" already exists.`));
@@ -957,33 +2519,108 @@ const editFood = async () => {
     
     await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
 };
-const deleteFood = async () => { 
+
+// Offers to rewrite this profile's past entries of a food with its edited name and nutrition.
+// Entries from before entries were linked to foods are matched by the food's old name.
+const propagateFoodEdit = async (food, oldName) => {
+    const isMatch = (entry) => (entry.food ? food._id.equals(entry.food) : entry.name === oldName);
+    const logs = (await Log.find(forProfile({ $or: [{ 'entries.food': food._id }, { 'entries.name': oldName }] })).sort({ date: 1 }).lean())
+        .filter(log => log.entries.some(isMatch));
+    if (logs.length === 0) return;
+
+    const today = getLocalDate();
+    const count = logs.reduce((sum, log) => sum + log.entries.filter(isMatch).length, 0);
+    const { range } = await inquirer.prompt([{
+        type: 'list',
+        name: 'range',
+        message: `"${oldName}" was logged ${count} time(s) between ${logs[0].date} and ${logs[logs.length - 1].date}. Update those entries too?`,
+        choices: [
+            { name: 'No, keep past entries as they are', value: 'none' },
+            { name: 'Last 7 days', value: addDays(today, -6) },
+            { name: 'Last 30 days', value: addDays(today, -29) },
+            { name: 'All of them', value: logs[0].date },
+            { name: 'From a date...', value: 'date' },
+        ],
+    }]);
+    if (range === 'none') return;
+    const from = range === 'date'
+        ? (await inquirer.prompt([datePrompt('from', 'Update entries from which date (YYYY-MM-DD, yesterday, -2d)?', addDays(today, -29))])).from
+        : range;
+
+    const affected = logs.filter(log => log.date >= from);
+    if (affected.length === 0) {
+        console.log(chalk.yellow(`No entries of "${oldName}" since ${from}.`));
+        return;
+    }
+    let updated = 0;
+    await recordAction(`Updated past entries of "${food.name}" since ${from}`, affected.map(log => [Log, { _id: log._id }]), async () => {
+        for (const log of affected) {
+            const { entries, changed } = applyFoodToEntries(log.entries, food, isMatch);
+            await Log.updateOne({ _id: log._id }, { $set: { entries } });
+            updated += changed;
+        }
+    });
+    console.log(chalk.green(`✅ Updated ${updated} entries on ${affected.length} day(s).`));
+};
+
+const showFoodUsage = async () => {
     console.clear();
-    console.log(chalk.bold.cyan('\n--- Delete a Food ---'));
+    console.log(chalk.bold.cyan('\n--- 📊 Food Usage ---'));
 
-    const fuse = new Fuse(foodCache, {
-        keys: ['name'],
-        includeScore: true,
-        threshold: 0.4,
+    // Linked entries group by food, so renamed foods stay together
+    const usage = summarizeUsage(await Log.find(forProfile()).lean(), entryFoodKeyer());
+    if (usage.length === 0) {
+        console.log(chalk.yellow('\nNothing has been logged yet.'));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+        return;
+    }
+    usage.forEach(row => {
+        const food = foodCache.find(f => String(f._id) === row.key);
+        if (food) row.name = food.name;
     });
 
-    const { foodIdToDelete } = await inquirer.prompt({
-        type: 'autocomplete',
-        name: 'foodIdToDelete',
-        message: 'Search for a food to delete:',
-        source: async (answersSoFar, input) => {
-            input = input || '';
-            const searchResults = fuse.search(input).map(result => ({
-                name: `${result.item.name} (${result.item.kcal} kcal)`,
-                value: result.item._id,
-            }));
-            return [
-                { name: '❌ Cancel', value: 'CANCEL' },
-                new inquirer.Separator(),
-                ...searchResults,
-            ];
-        },
+    const table = new Table({
+        head: ['Food', 'Times', 'Days', 'Last eaten', 'Total kcal'].map(h => chalk.bold(h)),
+        colAligns: ['left', 'right', 'right', 'left', 'right'],
     });
+    usage.slice(0, 15).forEach(row => table.push([row.name, row.count, row.days, row.lastEaten, row.totalKcal]));
+    console.log(chalk.gray(`Your ${Math.min(15, usage.length)} most eaten foods of ${usage.length}:`));
+    console.log(table.toString());
+
+    const allKcal = usage.reduce((sum, row) => sum + row.totalKcal, 0);
+    const today = getLocalDate();
+    while (true) {
+        const { key } = await inquirer.prompt({
+            type: 'autocomplete',
+            name: 'key',
+            message: 'Look up a food (type to search):',
+            source: async (answersSoFar, input) => {
+                const needle = (input || '').trim().toLowerCase();
+                return [
+                    { name: '⬅️  Go Back', value: 'back' },
+                    new inquirer.Separator(),
+                    ...usage
+                        .filter(row => row.name.toLowerCase().includes(needle))
+                        .map(row => ({ name: `${row.name} (${row.count}x)`, value: row.key })),
+                ];
+            },
+        });
+        if (key === 'back') return;
+
+        const row = usage.find(r => r.key === key);
+        console.log(chalk.bold(`\n${row.name}`));
+        console.log(`  Eaten ${chalk.bold(row.count)} time(s) on ${row.days} day(s), ${row.servings} serving(s) in all`);
+        console.log(`  First eaten ${row.firstEaten}, last eaten ${chalk.bold(row.lastEaten)} (${daysBetween(row.lastEaten, today)} day(s) ago)`);
+        console.log(`  ${chalk.bold(row.totalKcal)} kcal in total, ${((row.totalKcal / allKcal) * 100).toFixed(1)}% of everything logged\n`);
+    }
+};
+
+// Deletes `food`, or one the user searches for when none is given
+const deleteFood = async (food = null) => {
+    console.clear();
+    console.log(chalk.bold.cyan('\n--- Delete a Food ---'));
+
+    const foodIdToDelete = food ? food._id : await promptFood('Search for a food to delete:', [{ name: '❌ Cancel', value: 'CANCEL' }]);
 
     if (foodIdToDelete === 'CANCEL') {
         console.log(chalk.yellow('\nDeletion cancelled.'));
@@ -998,19 +2635,24 @@ const deleteFood = async () => {
         return;
     }
 
+    const recipeCount = foodCache.filter(f => usesIngredient(f, foodToDelete._id)).length;
+    if (recipeCount > 0) {
+        console.log(chalk.yellow(`\n"${foodToDelete.name}" is an ingredient in ${recipeCount} recipe(s). They keep their nutrition but can no longer be recomputed.`));
+    }
+
     const { confirmDelete } = await inquirer.prompt([{
         type: 'confirm',
         name: 'confirmDelete',
-        message: `Are you sure you want to delete "${foodToDelete.name}"? This action cannot be undone.`,
+        message: `Are you sure you want to delete "${foodToDelete.name}"?`,
         default: false,
     }]);
 
     if (confirmDelete) {
         try {
-            await Food.deleteOne({ _id: foodToDelete._id });
+            await recordAction(`Deleted food "${foodToDelete.name}"`, [[Food, { _id: foodToDelete._id }]], () => Food.deleteOne({ _id: foodToDelete._id }));
             
             // Update cache
-            foodCache = foodCache.filter(f => !f._id.equals(foodToDelete._id));
+            setFoodCache(foodCache.filter(f => !f._id.equals(foodToDelete._id)));
 
             console.log(chalk.green(`\n🗑️ "${foodToDelete.name}" has been deleted.`));
         } catch (error) {
@@ -1023,4 +2665,191 @@ const deleteFood = async () => {
     await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
 };
 
+// --- Meal Templates ---
+
+// Template items log the food's current values, falling back to their own snapshot if the food was deleted
+const templateItemFood = (item) => (item.food && foodCache.find(f => f._id.equals(item.food))) || item;
+
+const templateKcal = (template) => {
+    return template.items.reduce((sum, item) => sum + scaleNutrition(templateItemFood(item), item.quantity).kcal, 0);
+};
+
+const toTemplateItem = (food, quantity) => ({
+    food: food._id,
+    name: food.name,
+    quantity,
+    kcal: food.kcal,
+    protein: food.protein,
+    carbs: food.carbs,
+    fat: food.fat,
+});
+
+const manageTemplates = async () => {
+    let stay = true;
+    while (stay) {
+        console.clear();
+        const templates = await MealTemplate.find({}).sort({ name: 1 });
+        const { choice } = await inquirer.prompt([{
+            type: 'list',
+            name: 'choice',
+            message: '📋 Meal Templates',
+            choices: [
+                { name: '🍽️  Log a Template', value: 'log', disabled: templates.length === 0 && 'No templates yet' },
+                { name: '➕ Create a Template', value: 'create' },
+                { name: '🗑️  Delete a Template', value: 'delete', disabled: templates.length === 0 && 'No templates yet' },
+                new inquirer.Separator(),
+                { name: '⬅️  Go Back', value: 'back' },
+            ]
+        }]);
+
+        switch (choice) {
+            case 'log':
+                await logTemplate(templates);
+                break;
+            case 'create':
+                await createTemplate();
+                break;
+            case 'delete':
+                await deleteTemplate(templates);
+                break;
+            case 'back':
+                stay = false;
+                break;
+        }
+    }
+};
+
+const selectTemplate = async (templates, message) => {
+    const { templateId } = await inquirer.prompt([{
+        type: 'list',
+        name: 'templateId',
+        message,
+        choices: [
+            ...templates.map(template => ({
+                name: `${template.name} (${template.items.length} items, ${templateKcal(template)} kcal)`,
+                value: template._id,
+            })),
+            new inquirer.Separator(),
+            { name: 'Cancel', value: 'CANCEL' },
+        ],
+        loop: false,
+    }]);
+    return templateId === 'CANCEL' ? null : templates.find(t => t._id.equals(templateId));
+};
+
+const logTemplate = async (templates) => {
+    const template = await selectTemplate(templates, 'Which template would you like to log?');
+    if (!template) return;
+
+    console.log(chalk.bold(`\n${template.name}:`));
+    template.items.forEach(item => {
+        const { kcal } = scaleNutrition(templateItemFood(item), item.quantity);
+        console.log(`  ${chalk.cyan('•')} ${item.name} ${formatQuantity(item.quantity)} ${chalk.gray(`(${kcal} kcal)`)}`);
+    });
+
+    const timeSlot = await promptTimeSlot(new Date().getHours());
+
+    await logEntries(template.items.map(item => ({ food: templateItemFood(item), quantity: item.quantity })), timeSlot);
+    console.log(chalk.green(`\n✅ Logged "${template.name}" (${template.items.length} items, ${templateKcal(template)} kcal) to ${timeSlot}!`));
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
+
+const promptTemplateName = async () => {
+    const { name } = await inquirer.prompt([{
+        type: 'input',
+        name: 'name',
+        message: 'Enter template name (or type "cancel" to go back):',
+        validate: input => input.length > 0 || 'Please enter a name.'
+    }]);
+    return name.toLowerCase() === 'cancel' ? null : name;
+};
+
+const saveTemplate = async (name, items) => {
+    try {
+        await recordAction(`Saved template "${name}"`, [[MealTemplate, { name }]], () => MealTemplate.create({ name, items }));
+        console.log(chalk.green(`\n✅ Saved template "${name}" with ${items.length} items.`));
+    } catch (error) {
+        if (error.code === 11000) { // Duplicate key error
+            console.log(chalk.red(`\nError: A template named "${name}" already exists.`));
+        } else {
+            console.log(chalk.red(`\nError saving template: ${error.message}`));
+        }
+    }
+};
+
+const createTemplate = async () => {
+    console.clear();
+    console.log(chalk.bold.cyan('\n--- Create a Meal Template ---'));
+
+    const name = await promptTemplateName();
+    const picked = name && await pickFoodsWithQuantities(`Items in "${name}"`, 'Search for a food to add:');
+    if (!picked) {
+        console.log(chalk.yellow('\nTemplate cancelled.'));
+    } else {
+        await saveTemplate(name, picked.map(({ food, quantity }) => toTemplateItem(food, quantity)));
+    }
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
+
+const saveDayAsTemplate = async (log) => {
+    if (log.entries.length === 0) {
+        console.log(chalk.yellow('\nThere are no entries to save.'));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+        return;
+    }
+
+    const { entryIds } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'entryIds',
+        message: 'Which entries belong in the template?',
+        choices: log.entries.map((entry, index) => ({
+            name: `${index + 1}. (${entry.timeSlot}) ${entry.name} ${formatQuantity(entry.quantity)} (${entry.kcal} kcal)`,
+            value: entry._id,
+            checked: true,
+        })),
+        validate: input => input.length > 0 || 'Please select at least one entry.'
+    }]);
+
+    const name = await promptTemplateName();
+    if (!name) return;
+
+    const items = log.entries
+        .filter(entry => entryIds.some(id => entry._id.equals(id)))
+        .map(entry => {
+            // Entries logged before they were linked to foods fall back to a food of the same name
+            const food = entry.food ? { _id: entry.food } : foodCache.find(f => f.name === entry.name);
+            return {
+                ...toTemplateItem({
+                    name: entry.name,
+                    kcal: Math.round(entry.kcal / entry.quantity),
+                    protein: roundToTenth(entry.protein / entry.quantity),
+                    carbs: roundToTenth(entry.carbs / entry.quantity),
+                    fat: roundToTenth(entry.fat / entry.quantity),
+                }, entry.quantity),
+                food: food ? food._id : undefined,
+            };
+        });
+
+    await saveTemplate(name, items);
+    await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+};
+
+const deleteTemplate = async (templates) => {
+    const template = await selectTemplate(templates, 'Which template would you like to delete?');
+    if (!template) return;
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Are you sure you want to delete "${template.name}"?`,
+        default: false,
+    }]);
+
+    if (confirmDelete) {
+        await recordAction(`Deleted template "${template.name}"`, [[MealTemplate, { _id: template._id }]], () => MealTemplate.deleteOne({ _id: template._id }));
+        console.log(chalk.green(`\n🗑️ "${template.name}" has been deleted.`));
+        await inquirer.prompt({ type: 'input', name: 'ack', message: 'Press Enter to continue...' });
+    }
+};
+
 main();
@@ -0,0 +1,117 @@
+import { buildChanges, findConflicts, invertChanges, toRestoreUpdate, toOverwrittenUpdate } from './audit-utils.js';
+import AuditEntry from './models/AuditEntry.js';
+import Config from './models/Config.js';
+import Food from './models/Food.js';
+import Log from './models/Log.js';
+import MealTemplate from './models/MealTemplate.js';
+import SeedPack from './models/SeedPack.js';
+import Weight from './models/Weight.js';
+import { setFoodCache, activeProfile, forProfile, moveProfile } from './session.js';
+
+// Models whose changes are journaled, by model name
+const AUDITED_MODELS = { Log, Food, Weight, MealTemplate, Config, SeedPack };
+
+// Older entries are dropped once a profile's journal grows past this
+const AUDIT_LIMIT = 500;
+
+const toPlainDocs = (docs) => JSON.parse(JSON.stringify(docs));
+
+// A document as plain JSON, or null if it doesn't exist
+const snapshotDoc = async (model, filter) => {
+  const doc = await model.findOne(filter).lean();
+  if (!doc) return null;
+  const { __v, ...fields } = toPlainDocs(doc);
+  return fields;
+};
+
+// Every document a filter matches, as plain JSON
+const snapshotDocs = async (model, filter) => {
+  const docs = toPlainDocs(await model.find(filter).lean());
+  return docs.map(({ __v, ...fields }) => fields);
+};
+
+// Journals go to the active profile unless another is named, as for changes made to a profile itself
+const addAuditEntry = async (fields, profileName = activeProfile) => {
+  if (['changes', 'created', 'overwritten'].every(key => (fields[key] || []).length === 0)) return null;
+  const entry = await AuditEntry.create({ ...fields, profileName });
+  const stale = await AuditEntry.find({ profileName }).sort({ at: -1, _id: -1 }).skip(AUDIT_LIMIT).select('_id').lean();
+  if (stale.length > 0) await AuditEntry.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+  return entry;
+};
+
+// Runs a change and journals it with before and after snapshots of the documents it touches.
+// `targets` are [model, filter] pairs that find those documents both before and after the change. A filter may
+// match several, so a bulk change is one entry; documents it no longer matches afterwards are looked up by id.
+const recordAction = async (action, targets, apply, { profileName } = {}) => {
+  const before = await Promise.all(targets.map(([model, filter]) => snapshotDocs(model, filter)));
+  const result = await apply();
+  const snapshots = [];
+  for (const [i, [model, filter]] of targets.entries()) {
+    const after = new Map((await snapshotDocs(model, filter)).map(doc => [doc._id, doc]));
+    const existed = new Set(before[i].map(doc => doc._id));
+    for (const doc of before[i]) {
+      const now = after.has(doc._id) ? after.get(doc._id) : await snapshotDoc(model, { _id: doc._id });
+      snapshots.push({ model: model.modelName, before: doc, after: now });
+    }
+    after.forEach((doc, id) => {
+      if (!existed.has(id)) snapshots.push({ model: model.modelName, before: null, after: doc });
+    });
+  }
+  await addAuditEntry({ action, changes: buildChanges(snapshots) }, profileName);
+  return result;
+};
+
+// Undoes a bulk import by id: deletes the documents it created and puts back the fields it overwrote.
+// Having no snapshots of those documents, the journal can't redo it.
+const revertBulkEntry = async (entry) => {
+  for (const { model, ids } of entry.created) await AUDITED_MODELS[model].deleteMany({ _id: { $in: ids } });
+  for (const { model, documentId, fields } of entry.overwritten) {
+    await AUDITED_MODELS[model].updateOne({ _id: documentId }, toOverwrittenUpdate(fields));
+  }
+  await AuditEntry.updateOne({ _id: entry._id }, { reverted: true });
+  if ([...entry.created, ...entry.overwritten].some(c => c.model === 'Food')) setFoodCache(await Food.find({}));
+  return { reverted: true };
+};
+
+const isBulkEntry = (entry) => entry.created.length + entry.overwritten.length > 0;
+
+// Puts the documents an entry changed back the way they were, as long as nothing changed them since.
+// Returns { conflicts } listing the documents in the way, or { reverted: true }.
+const revertAuditEntry = async (entry) => {
+  if (isBulkEntry(entry)) return revertBulkEntry(entry);
+  const { changes } = entry.toObject();
+  const current = await Promise.all(changes.map(c => snapshotDoc(AUDITED_MODELS[c.model], { _id: c.documentId })));
+  const conflicts = findConflicts(changes, current);
+  if (conflicts.length > 0) return { conflicts };
+
+  const reverting = invertChanges(changes);
+  for (const change of reverting) {
+    const model = AUDITED_MODELS[change.model];
+    const now = await snapshotDoc(model, { _id: change.documentId });
+    if (!change.after) await model.deleteOne({ _id: change.documentId });
+    else if (!now) await model.create(change.after);
+    else await model.updateOne({ _id: change.documentId }, toRestoreUpdate(now, change.after));
+  }
+
+  // Reverting a profile rename takes the profile's journal along, as renaming did
+  const renamed = reverting.find(c => c.model === 'Config' && c.before && c.after && c.before.profileName !== c.after.profileName);
+  if (renamed) await moveProfile(renamed.before.profileName, renamed.after.profileName, [AuditEntry]);
+
+  await AuditEntry.updateOne({ _id: entry._id }, { reverted: true });
+  await addAuditEntry({ action: entry.action, kind: entry.kind === 'undo' ? 'redo' : 'undo', target: entry._id, changes: reverting });
+  if (changes.some(c => c.model === 'Food')) setFoodCache(await Food.find({}));
+  return { reverted: true };
+};
+
+// The latest action that can still be undone
+const findUndoable = () => AuditEntry.findOne(forProfile({ kind: { $ne: 'undo' }, reverted: false })).sort({ at: -1, _id: -1 });
+
+// The latest undo, as long as no new change was made after it
+const findRedoable = async () => {
+  const undo = await AuditEntry.findOne(forProfile({ kind: 'undo', reverted: false })).sort({ at: -1, _id: -1 });
+  if (!undo) return null;
+  const newer = await AuditEntry.exists(forProfile({ kind: 'change', at: { $gt: undo.at } }));
+  return newer ? null : undo;
+};
+
+export { AUDITED_MODELS, addAuditEntry, recordAction, isBulkEntry, revertAuditEntry, findUndoable, findRedoable, toPlainDocs };
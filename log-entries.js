@@ -0,0 +1,67 @@
+import { recordAction } from './journal.js';
+import Log from './models/Log.js';
+import { scaleNutrition } from './nutrition-utils.js';
+import { foodCache, forProfile } from './session.js';
+import { getLocalDate, getCurrentTime } from './utils.js';
+
+// The food an entry should link to. Template items whose food was deleted stand in for it and keep its id in `food`.
+const foodIdOf = (food) => (foodCache.some(f => f._id.equals(food._id)) ? food._id : food.food);
+
+const logMeal = async (food, timeSlot, quantity = 1, when = {}) => {
+  return logEntries([{ food, quantity }], timeSlot, when);
+};
+
+// Logs several foods in one update, so a template never ends up half-logged.
+// Defaults to now; pass { date, time } to back-fill another day.
+const logEntries = async (items, timeSlot, { date = getLocalDate(), time = getCurrentTime() } = {}) => {
+  const entries = items.map(({ food, quantity = 1 }) => ({
+    name: food.name,
+    food: foodIdOf(food),
+    quantity,
+    ...scaleNutrition(food, quantity),
+    time,
+    timeSlot
+  }));
+
+  const what = entries.length === 1 ? `"${entries[0].name}"` : `${entries.length} foods`;
+  return recordAction(`Logged ${what} on ${date}`, [[Log, forProfile({ date })]], () => pushEntries(date, entries));
+};
+
+// Entries change in single atomic updates, never by saving a copy read beforehand, so writes to the same day
+// can't undo each other. The Log model adds the totals to every update that sets the entries.
+const PIPELINE = { updatePipeline: true, new: true };
+
+// Pipelines aren't cast by the schema, so entries get their ids, defaults and ObjectId links first
+const castEntries = (entries) => new Log({ entries }).toObject().entries;
+
+// Appends ready-made entries to a day's log, creating it if needed
+const pushEntries = async (date, entries) => {
+  const append = [{ $set: { entries: { $concatArrays: [{ $ifNull: ['$entries', []] }, { $literal: castEntries(entries) }] } } }];
+  const upsert = () => Log.findOneAndUpdate(forProfile({ date }), append, { ...PIPELINE, upsert: true });
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two first writes to a day can both try to create its log; the one that loses appends to the other's
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+// Removes an entry from a day's log
+const pullEntry = (log, entry) => Log.findOneAndUpdate(
+  { _id: log._id },
+  [{ $set: { entries: { $filter: { input: '$entries', cond: { $ne: ['$$this._id', entry._id] } } } } }],
+  PIPELINE
+);
+
+// Changes some fields of an entry in a day's log
+const updateEntry = (log, entryId, fields) => Log.findOneAndUpdate(
+  { _id: log._id },
+  [{ $set: { entries: { $map: {
+    input: '$entries',
+    in: { $cond: [{ $eq: ['$$this._id', entryId] }, { $mergeObjects: ['$$this', { $literal: fields }] }, '$$this'] },
+  } } } }],
+  PIPELINE
+);
+
+export { logMeal, logEntries, pushEntries, pullEntry, updateEntry };
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
+import { DEFAULT_PROFILE } from '../utils.js';
+
+// One action in the audit journal, with snapshots of every document it changed so it can be reverted
+const AuditEntrySchema = new mongoose.Schema({
+  profileName: {
+    type: String,
+    required: true,
+    default: DEFAULT_PROFILE,
+  },
+  at: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  action: {
+    type: String, // What the user did, e.g. 'Deleted "Rice" from 2026-10-01'
+    required: true,
+  },
+  // Undo and redo entries revert `target`, another entry
+  kind: {
+    type: String,
+    enum: ['change', 'undo', 'redo'],
+    default: 'change',
+  },
+  target: { type: mongoose.Schema.Types.ObjectId },
+  reverted: {
+    type: Boolean,
+    default: false,
+  },
+  changes: [
+    {
+      model: { type: String, required: true },
+      documentId: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed, default: null }, // null when the action created the document
+      after: { type: mongoose.Schema.Types.Mixed, default: null },  // null when the action deleted it
+    },
+  ],
+  // Bulk imports are recorded by id rather than with snapshots: the documents they created...
+  created: [
+    {
+      model: { type: String, required: true },
+      ids: [String],
+    },
+  ],
+  // ...and the fields they overwrote on existing documents, as they were before (null if unset)
+  overwritten: [
+    {
+      model: { type: String, required: true },
+      documentId: { type: String, required: true },
+      fields: { type: mongoose.Schema.Types.Mixed, required: true },
+    },
+  ],
+});
+
+export default defineModel(mongoose.model('AuditEntry', AuditEntrySchema));
@@ -1,10 +1,17 @@
 import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
+import { DEFAULT_PROFILE } from '../utils.js';
 
 const ConfigSchema = new mongoose.Schema({
+  // Each profile has its own settings document, which is also what makes the profile exist
+  profileName: {
+    type: String,
+    required: true,
+    default: DEFAULT_PROFILE,
+  },
   key: {
     type: String,
     required: true,
-    unique: true,
     default: 'user_settings',
   },
   dailyGoal: {
@@ -12,6 +19,43 @@ const ConfigSchema = new mongoose.Schema({
     required: true,
     default: 2000,
   },
+  // Every goal change with the date it took effect, so past days keep the goal they were logged under.
+  // weekdayGoals is either empty or one goal per day, Sunday first.
+  goalHistory: [{
+    effectiveDate: { type: String, required: true },
+    dailyGoal: { type: Number, required: true, min: 1 },
+    weekdayGoals: [{ type: Number, min: 0 }],
+  }],
+  // Used to estimate calorie needs (Mifflin-St Jeor) when suggesting a goal
+  profile: {
+    sex: { type: String, enum: ['male', 'female'] },
+    age: { type: Number, min: 1 },
+    heightCm: { type: Number, min: 1 },
+    activityLevel: { type: String, enum: ['sedentary', 'light', 'moderate', 'active', 'extra'] },
+  },
+  // The user's own time slots; empty means the defaults in utils.js
+  timeSlots: [{
+    name: { type: String, required: true, trim: true },
+    startHour: { type: Number, required: true, min: 0, max: 23 },
+    order: { type: Number, default: 0 },
+    emoji: { type: String, trim: true },
+  }],
+  // What a day needs to count toward a streak; see streak-utils.js
+  streakRules: {
+    tolerancePercent: { type: Number, min: 0, default: 0 },
+    minEntries: { type: Number, min: 1, default: 1 },
+    requireMacros: { type: Boolean, default: false },
+    graceDaysPerWeek: { type: Number, min: 0, max: 6, default: 0 },
+  },
+  // Optional macro targets, either in grams or as percentages of dailyGoal
+  macroGoals: {
+    mode: { type: String, enum: ['grams', 'percent'], default: 'grams' },
+    protein: { type: Number, min: 0 },
+    carbs: { type: Number, min: 0 },
+    fat: { type: Number, min: 0 },
+  },
 });
 
-export default mongoose.model('Config', ConfigSchema);
+ConfigSchema.index({ profileName: 1, key: 1 }, { unique: true });
+
+export default defineModel(mongoose.model('Config', ConfigSchema));
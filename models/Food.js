@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
 
 const FoodSchema = new mongoose.Schema({
   name: {
@@ -22,11 +23,44 @@ const FoodSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  servingGrams: {
+    type: Number, // Weight of one serving, lets entries be logged by grams
+    min: 0,
+  },
+  barcode: {
+    type: String, // EAN/UPC normalized to 13 digits, see off-utils.js
+    unique: true,
+    sparse: true,
+  },
+  // Other names the food is searched by, in any script (e.g. 'ผัดกะเพรา', 'Basil Pork')
+  aliases: [{ type: String, trim: true }],
+  // Free-form labels such as 'coffee', 'street food' or 'homemade'
+  tags: [{ type: String, trim: true, lowercase: true }],
   category: {
     type: String,
     enum: ['protein-heavy', 'carb-heavy', 'fat-heavy', 'mixed'],
     default: 'mixed',
   },
+  // Foods from a seed pack (see data/packs): the pack item they came from and a hash of the values it was
+  // seeded or last updated with, so an update can tell whether the user has changed the food since
+  seed: {
+    pack: String,
+    key: String,
+    version: Number,
+    hash: String,
+  },
+  // Recipes only: the foods they are made of and how many servings one batch yields
+  ingredients: [
+    {
+      food: { type: mongoose.Schema.Types.ObjectId, ref: 'Food' },
+      name: { type: String, required: true }, // Kept so the recipe still reads if the ingredient is deleted
+      quantity: { type: Number, required: true, default: 1 },
+    },
+  ],
+  servings: {
+    type: Number,
+    min: 0,
+  },
 });
 
-export default mongoose.model('Food', FoodSchema);
+export default defineModel(mongoose.model('Food', FoodSchema));
@@ -1,14 +1,24 @@
 import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
+import { DEFAULT_PROFILE } from '../utils.js';
+import { totalEntries } from '../usage-utils.js';
 
 const LogSchema = new mongoose.Schema({
+  profileName: {
+    type: String,
+    required: true,
+    default: DEFAULT_PROFILE,
+  },
   date: {
     type: String, // Format "YYYY-MM-DD"
     required: true,
-    unique: true,
   },
   entries: [
     {
       name: { type: String, required: true },
+      // The food it was logged from; missing for entries typed in by hand or logged before entries were linked
+      food: { type: mongoose.Schema.Types.ObjectId, ref: 'Food' },
+      quantity: { type: Number, default: 1 }, // Servings; kcal and macros are already scaled by it
       kcal: { type: Number, required: true },
       protein: { type: Number, default: 0 },
       carbs: { type: Number, default: 0 },
@@ -36,4 +46,36 @@ const LogSchema = new mongoose.Schema({
   },
 });
 
-export default mongoose.model('Log', LogSchema);
+// The totals are always derived from the entries, so they can't drift from them: when a log is saved
+// (the file backend validates every document it writes) and, on MongoDB, by any update that sets the entries
+LogSchema.pre('validate', function deriveTotals() {
+  this.set(totalEntries(this.entries));
+});
+
+// Rounds to a tenth the way Math.round does; $round rounds halves to even
+const roundToTenth = (value) => ({ $divide: [{ $floor: { $add: [{ $multiply: [value, 10] }, 0.5] } }, 10] });
+
+// The pipeline stage that recomputes the totals from the entries, as totalEntries does
+const TOTALS_STAGE = {
+  $set: {
+    totalKcal: roundToTenth({ $sum: '$entries.kcal' }),
+    totalProtein: roundToTenth({ $sum: '$entries.protein' }),
+    totalCarbs: roundToTenth({ $sum: '$entries.carbs' }),
+    totalFat: roundToTenth({ $sum: '$entries.fat' }),
+  },
+};
+
+LogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function deriveUpdatedTotals() {
+  const update = this.getUpdate();
+  if (Array.isArray(update)) {
+    this.setUpdate([...update, TOTALS_STAGE]);
+    return;
+  }
+  const entries = update && ((update.$set && update.$set.entries) || update.entries);
+  if (entries) this.setUpdate({ ...update, $set: { ...update.$set, ...totalEntries(entries) } });
+});
+
+// One log per day for each profile
+LogSchema.index({ profileName: 1, date: 1 }, { unique: true });
+
+export default defineModel(mongoose.model('Log', LogSchema));
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
+
+const MealTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  items: [
+    {
+      food: { type: mongoose.Schema.Types.ObjectId, ref: 'Food' },
+      name: { type: String, required: true },
+      quantity: { type: Number, required: true, default: 1 },
+      // Per-serving snapshot, used when the food is no longer in the database
+      kcal: { type: Number, required: true },
+      protein: { type: Number, default: 0 },
+      carbs: { type: Number, default: 0 },
+      fat: { type: Number, default: 0 },
+    },
+  ],
+});
+
+export default defineModel(mongoose.model('MealTemplate', MealTemplateSchema));
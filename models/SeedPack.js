@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
+
+// Whether a seed pack from data/packs is turned on, and which of its versions was last applied
+const SeedPackSchema = new mongoose.Schema({
+  pack: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  version: {
+    type: Number,
+    default: 0,
+  },
+});
+
+export default defineModel(mongoose.model('SeedPack', SeedPackSchema));
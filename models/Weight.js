@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import { defineModel } from '../storage/index.js';
+import { DEFAULT_PROFILE } from '../utils.js';
+
+const WeightSchema = new mongoose.Schema({
+  profileName: {
+    type: String,
+    required: true,
+    default: DEFAULT_PROFILE,
+  },
+  date: {
+    type: String, // Format "YYYY-MM-DD"
+    required: true,
+  },
+  weight: {
+    type: Number, // Kilograms
+    required: true,
+    min: 0,
+  },
+});
+
+// One weigh-in per day for each profile; logging again replaces it
+WeightSchema.index({ profileName: 1, date: 1 }, { unique: true });
+
+export default defineModel(mongoose.model('Weight', WeightSchema));
@@ -33,4 +33,156 @@ const calculateCaloriesFromMacros = (protein, carbs, fat) => {
   return Math.round((protein * 4) + (carbs * 4) + (fat * 9));
 };
 
-export { estimateMacros, calculateCaloriesFromMacros };
\ No newline at end of file
+// Label values are rounded, so tiny foods get an absolute allowance on top of the relative one
+const MIN_KCAL_TOLERANCE = 10;
+
+/**
+ * Checks entered calories against the calories implied by the macros
+ * @param {number} kcal - Calories as entered
+ * @param {number} protein - Grams of protein
+ * @param {number} carbs - Grams of carbs
+ * @param {number} fat - Grams of fat
+ * @param {number} tolerance - Allowed relative difference (0.1 = 10%)
+ * @returns {Object} Object containing the calculated kcal, the difference, and whether they agree
+ */
+const checkMacroConsistency = (kcal, protein, carbs, fat, tolerance = 0.1) => {
+  const calculated = calculateCaloriesFromMacros(protein, carbs, fat);
+  const difference = kcal - calculated;
+  const allowed = Math.max(MIN_KCAL_TOLERANCE, kcal * tolerance);
+  return { calculated, difference, isConsistent: Math.abs(difference) <= allowed };
+};
+
+/**
+ * Picks the food category that best describes a set of macros
+ * @param {number} protein - Grams of protein
+ * @param {number} carbs - Grams of carbs
+ * @param {number} fat - Grams of fat
+ * @returns {string} Food category ('protein-heavy', 'carb-heavy', 'fat-heavy', 'mixed')
+ */
+const inferCategory = (protein, carbs, fat) => {
+  const total = calculateCaloriesFromMacros(protein, carbs, fat);
+  if (total === 0) return 'mixed';
+
+  if ((protein * 4) / total >= 0.4) return 'protein-heavy';
+  if ((fat * 9) / total >= 0.5) return 'fat-heavy';
+  if ((carbs * 4) / total >= 0.6) return 'carb-heavy';
+  return 'mixed';
+};
+
+const MACROS = ['protein', 'carbs', 'fat'];
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+/**
+ * Converts macro goals into daily gram targets
+ * @param {Object} macroGoals - Goals as { mode: 'grams' | 'percent', protein, carbs, fat }
+ * @param {number} dailyGoal - Daily calorie goal, used for percentage goals
+ * @returns {Object|null} Gram targets for protein, carbs, and fat, or null if no goals are set
+ */
+const resolveMacroTargets = (macroGoals, dailyGoal) => {
+  if (!macroGoals || MACROS.some(macro => typeof macroGoals[macro] !== 'number')) return null;
+
+  return Object.fromEntries(MACROS.map(macro => [
+    macro,
+    macroGoals.mode === 'percent'
+      ? Math.round((dailyGoal * macroGoals[macro]) / 100 / KCAL_PER_GRAM[macro])
+      : macroGoals[macro],
+  ]));
+};
+
+/**
+ * Checks a day's macros against gram targets
+ * Protein is a minimum to reach; carbs and fat are limits to stay under
+ * @param {Object} totals - The day's protein, carbs, and fat in grams
+ * @param {Object} targets - Gram targets from resolveMacroTargets
+ * @returns {Object} For each macro { actual, target, met }, plus allMet
+ */
+const checkMacroTargets = (totals, targets) => {
+  const result = {};
+  MACROS.forEach(macro => {
+    const actual = totals[macro] || 0;
+    const target = targets[macro];
+    result[macro] = { actual, target, met: macro === 'protein' ? actual >= target : actual <= target };
+  });
+  result.allMet = MACROS.every(macro => result[macro].met);
+  return result;
+};
+
+/**
+ * Scales a food's per-serving nutrition by a number of servings
+ * @param {Object} food - Food with kcal, protein, carbs and fat for one serving
+ * @param {number} quantity - Number of servings (may be fractional)
+ * @returns {Object} Object containing the scaled kcal, protein, carbs, and fat values
+ */
+const scaleNutrition = (food, quantity = 1) => {
+  return {
+    kcal: Math.round(food.kcal * quantity),
+    protein: Math.round((food.protein || 0) * quantity),
+    carbs: Math.round((food.carbs || 0) * quantity),
+    fat: Math.round((food.fat || 0) * quantity),
+  };
+};
+
+/**
+ * Calculates the per-serving nutrition of a recipe from its ingredients
+ * @param {Array} ingredients - List of { food, quantity } where food has per-serving kcal and macros
+ * @param {number} servings - Number of servings the recipe makes
+ * @returns {Object} Object containing kcal, protein, carbs, and fat for one serving of the recipe
+ */
+const calculateRecipeNutrition = (ingredients, servings = 1) => {
+  const totals = ingredients.reduce((sum, { food, quantity }) => ({
+    kcal: sum.kcal + food.kcal * quantity,
+    protein: sum.protein + (food.protein || 0) * quantity,
+    carbs: sum.carbs + (food.carbs || 0) * quantity,
+    fat: sum.fat + (food.fat || 0) * quantity,
+  }), { kcal: 0, protein: 0, carbs: 0, fat: 0 });
+
+  return scaleNutrition(totals, 1 / servings);
+};
+
+/**
+ * Parses a quantity typed by the user
+ * Accepts servings ("2", "0.5", "1/2") or, when the serving weight is known, grams ("150g")
+ * @param {string} input - The raw input
+ * @param {number} [servingGrams] - Weight of one serving in grams
+ * @returns {number|null} Number of servings, or null if the input is not a valid quantity
+ */
+const parseQuantity = (input, servingGrams) => {
+  const text = String(input).trim().toLowerCase();
+  let quantity;
+
+  const grams = text.match(/^(\d+(?:\.\d+)?)\s*g$/);
+  const fraction = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (grams) {
+    if (!servingGrams) return null;
+    quantity = parseFloat(grams[1]) / servingGrams;
+  } else if (fraction) {
+    quantity = parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+  } else if (/^\d*\.?\d+$/.test(text)) {
+    quantity = parseFloat(text);
+  }
+
+  return Number.isFinite(quantity) && quantity > 0 ? quantity : null;
+};
+
+/**
+ * Formats a serving quantity for display
+ * @param {number} quantity - Number of servings
+ * @returns {string} e.g. "x2" or "x0.5"
+ */
+const formatQuantity = (quantity = 1) => {
+  return `x${Number(quantity.toFixed(2))}`;
+};
+
+export {
+  MACROS,
+  estimateMacros,
+  calculateCaloriesFromMacros,
+  checkMacroConsistency,
+  inferCategory,
+  resolveMacroTargets,
+  checkMacroTargets,
+  scaleNutrition,
+  calculateRecipeNutrition,
+  parseQuantity,
+  formatQuantity,
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+import { inferCategory } from './nutrition-utils.js';
+
+// Serving size used when a product doesn't list one; nutrition in the dumps is per 100g
+const DEFAULT_SERVING_GRAMS = 100;
+
+// Anything above this many kcal per 100g (pure fat is about 900) is a data entry error
+const MAX_KCAL_PER_100G = 950;
+
+const KJ_PER_KCAL = 4.184;
+
+/**
+ * Normalizes a barcode so the same product matches however it was typed or scanned:
+ * UPC-A (12 digits), EAN-8 and EAN-13 all become 13 digits, GTIN-14 stays as it is.
+ * @param {string} text - The barcode.
+ * @returns {string|null} The normalized barcode, or null if it isn't one.
+ */
+const normalizeBarcode = (text) => {
+  const digits = String(text || '').replace(/[\s-]/g, '');
+  if (!/^\d{8,14}$/.test(digits)) return null;
+  return digits.padStart(13, '0');
+};
+
+/**
+ * Checks whether search text looks like a barcode rather than a food name.
+ * @param {string} text - The search text.
+ * @returns {boolean} True for 8 to 14 digits.
+ */
+const isBarcode = (text) => normalizeBarcode(text) !== null;
+
+/**
+ * Detects the format of an Open Food Facts export from its first line.
+ * @param {string} line - The first non-empty line of the file.
+ * @returns {string|null} 'jsonl', 'csv', or null if it is neither.
+ */
+const detectOffFormat = (line) => {
+  const text = line.replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('{')) return 'jsonl';
+  const columns = text.split('\t');
+  return columns.includes('code') && columns.includes('product_name') ? 'csv' : null;
+};
+
+/**
+ * Makes a parser for the rows of the tab-separated CSV export.
+ * @param {string} headerLine - The header row.
+ * @returns {Function} (line) => fields keyed by column name.
+ */
+const createOffCsvParser = (headerLine) => {
+  const columns = headerLine.replace(/^\uFEFF/, '').split('\t');
+  return (line) => {
+    const values = line.split('\t');
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  };
+};
+
+/**
+ * Flattens a product from the JSONL export into the same fields as a CSV row.
+ * @param {string} line - One line of JSON.
+ * @returns {Object} The fields.
+ */
+const parseOffJsonLine = (line) => {
+  const product = JSON.parse(line);
+  const countries = Array.isArray(product.countries_tags) ? product.countries_tags.join(',') : product.countries_tags;
+  return {
+    ...(product.nutriments || {}),
+    code: product.code,
+    product_name: product.product_name || product.product_name_en,
+    brands: product.brands,
+    countries_tags: countries,
+    countries_en: product.countries,
+    serving_quantity: product.serving_quantity,
+  };
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Checks whether a product is sold in a country, matching tags like "en:thailand" or plain names.
+ * @param {Object} fields - Product fields.
+ * @param {string} country - Country name, e.g. "thailand" or "United Kingdom".
+ * @returns {boolean} True if the product lists the country.
+ */
+const isSoldIn = (fields, country) => {
+  const wanted = country.trim().toLowerCase().replace(/\s+/g, '-');
+  const listed = `${fields.countries_tags || ''},${fields.countries_en || ''}`
+    .split(',')
+    .map(name => name.trim().toLowerCase().replace(/^[a-z]{2}:/, '').replace(/\s+/g, '-'));
+  return listed.includes(wanted);
+};
+
+/**
+ * Turns Open Food Facts product fields into a food. Nutrition is converted from per 100g
+ * to one serving, using the product's serving size when it has one.
+ * @param {Object} fields - Fields from a CSV row or JSONL line.
+ * @returns {Object} { food } or { error } when the product can't be used.
+ */
+const toOffFood = (fields) => {
+  const barcode = normalizeBarcode(fields.code);
+  if (!barcode) return { error: `invalid barcode "${fields.code}"` };
+
+  const productName = String(fields.product_name || '').trim();
+  if (!productName) return { error: `${barcode} has no name` };
+
+  let kcal100 = toNumber(fields['energy-kcal_100g']);
+  if (kcal100 === null && toNumber(fields.energy_100g) !== null) kcal100 = toNumber(fields.energy_100g) / KJ_PER_KCAL;
+  if (kcal100 === null) return { error: `${barcode} has no energy value` };
+  if (kcal100 < 0 || kcal100 > MAX_KCAL_PER_100G) return { error: `${barcode} has an implausible ${Math.round(kcal100)} kcal/100g` };
+
+  const per100 = {
+    protein: toNumber(fields.proteins_100g) || 0,
+    carbs: toNumber(fields.carbohydrates_100g) || 0,
+    fat: toNumber(fields.fat_100g) || 0,
+  };
+  if (Object.values(per100).some(grams => grams < 0 || grams > 100)) return { error: `${barcode} has macros outside 0-100g` };
+
+  const servingQuantity = toNumber(fields.serving_quantity);
+  const servingGrams = servingQuantity > 0 && servingQuantity <= 2000 ? servingQuantity : DEFAULT_SERVING_GRAMS;
+  const factor = servingGrams / 100;
+  const brand = String(fields.brands || '').split(',')[0].trim();
+  const protein = roundToTenth(per100.protein * factor);
+  const carbs = roundToTenth(per100.carbs * factor);
+  const fat = roundToTenth(per100.fat * factor);
+
+  return {
+    food: {
+      name: brand && !productName.toLowerCase().includes(brand.toLowerCase()) ? `${productName} (${brand})` : productName,
+      barcode,
+      kcal: Math.round(kcal100 * factor),
+      protein,
+      carbs,
+      fat,
+      servingGrams,
+      category: inferCategory(protein, carbs, fat),
+    },
+  };
+};
+
+export {
+  normalizeBarcode,
+  isBarcode,
+  detectOffFormat,
+  createOffCsvParser,
+  parseOffJsonLine,
+  isSoldIn,
+  toOffFood,
+};
@@ -0,0 +1,37 @@
+import { recordAction } from './journal.js';
+import AuditEntry from './models/AuditEntry.js';
+import Config from './models/Config.js';
+import Log from './models/Log.js';
+import Weight from './models/Weight.js';
+import { moveProfile } from './session.js';
+import { isValidProfileName } from './utils.js';
+
+// A profile exists once it has a settings document
+const listProfiles = async () => {
+  const configs = await Config.find({ key: 'user_settings' }).lean();
+  return configs.map(config => config.profileName).sort((a, b) => a.localeCompare(b));
+};
+
+// Profile names are matched case-insensitively so "Sam" and "sam" can't both exist
+const findProfile = (profiles, name) => profiles.find(profile => profile.toLowerCase() === name.trim().toLowerCase());
+
+// Changes to a profile itself are journaled in that profile
+const createProfile = (name) => recordAction(`Created profile "${name}"`, [[Config, { profileName: name, key: 'user_settings' }]], () => (
+  Config.create({ profileName: name, key: 'user_settings' })
+), { profileName: name });
+
+// Moves everything a profile owns over to a new name. Its journal moves along, but isn't part of the entry.
+const renameProfile = async (from, to) => {
+  const owned = [Log, Weight, Config];
+  await moveProfile(from, to, [AuditEntry]);
+  await recordAction(`Renamed profile "${from}" to "${to}"`, owned.map(model => [model, { profileName: from }]), () => (
+    moveProfile(from, to, owned)
+  ), { profileName: to });
+};
+
+const profileNameValidator = (profiles) => (input) => {
+  if (!isValidProfileName(input.trim())) return 'Use up to 32 letters, numbers, spaces, dots, dashes or underscores.';
+  return !findProfile(profiles, input) || 'There is already a profile with that name.';
+};
+
+export { listProfiles, findProfile, createProfile, renameProfile, profileNameValidator };
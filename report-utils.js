@@ -0,0 +1,100 @@
+import { addDays, isValidDateString } from './utils.js';
+import { getWeekday } from './goal-utils.js';
+
+/**
+ * Lists every date from `from` to `to`, inclusive.
+ * @param {string} from - First "YYYY-MM-DD" date.
+ * @param {string} to - Last "YYYY-MM-DD" date.
+ * @returns {string[]} The dates in order.
+ */
+const listDates = (from, to) => {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+/**
+ * Gets the first and last day of a month.
+ * @param {string} month - "YYYY-MM".
+ * @returns {Object|null} { from, to }, or null if the month is invalid.
+ */
+const getMonthRange = (month) => {
+  const from = `${month}-01`;
+  if (!/^\d{4}-\d{2}$/.test(month) || !isValidDateString(from)) return null;
+  const [year, monthIndex] = month.split('-').map(Number);
+  const to = new Date(Date.UTC(year, monthIndex, 0)).toISOString().split('T')[0];
+  return { from, to };
+};
+
+/**
+ * Gets the Monday starting the week a date falls in.
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @returns {string} The Monday's date.
+ */
+const getWeekStart = (date) => addDays(date, -((getWeekday(date) + 6) % 7));
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Summarizes a date range: each day's status against its goal, averages over logged days only,
+ * and counts of over, under and unlogged days.
+ * A day counts as logged when it has calories; days after `today` are left out of every count.
+ * @param {string[]} dates - The dates in the range, from listDates.
+ * @param {Object[]} logs - Logs within the range.
+ * @param {Function} goalFor - Returns the calorie goal for a date.
+ * @param {string} today - Today's date.
+ * @returns {Object} { days, loggedDays, overDays, underDays, unloggedDays, averages, weeks }
+ */
+const summarizeRange = (dates, logs, goalFor, today) => {
+  const logsByDate = new Map(logs.map(log => [log.date, log]));
+
+  const days = dates.map(date => {
+    const log = logsByDate.get(date);
+    const goal = goalFor(date);
+    const kcal = log ? log.totalKcal : 0;
+    let status = 'unlogged';
+    if (date > today) status = 'future';
+    else if (kcal > 0) status = kcal > goal ? 'over' : 'under';
+    return {
+      date,
+      goal,
+      kcal,
+      protein: log ? log.totalProtein : 0,
+      carbs: log ? log.totalCarbs : 0,
+      fat: log ? log.totalFat : 0,
+      status,
+    };
+  });
+
+  const logged = days.filter(day => day.status === 'over' || day.status === 'under');
+  const averages = Object.fromEntries(['kcal', 'protein', 'carbs', 'fat', 'goal'].map(field => [
+    field,
+    Math.round(average(logged.map(day => day[field]))),
+  ]));
+
+  const weeks = [];
+  days.forEach(day => {
+    const weekStart = getWeekStart(day.date);
+    if (weeks.length === 0 || weeks[weeks.length - 1].weekStart !== weekStart) {
+      weeks.push({ weekStart, days: [] });
+    }
+    weeks[weeks.length - 1].days.push(day);
+  });
+  weeks.forEach(week => {
+    const weekLogged = week.days.filter(day => day.status === 'over' || day.status === 'under');
+    week.loggedDays = weekLogged.length;
+    week.averageKcal = Math.round(average(weekLogged.map(day => day.kcal)));
+  });
+
+  return {
+    days,
+    loggedDays: logged.length,
+    overDays: days.filter(day => day.status === 'over').length,
+    underDays: days.filter(day => day.status === 'under').length,
+    unloggedDays: days.filter(day => day.status === 'unlogged').length,
+    averages,
+    weeks,
+  };
+};
+
+export { listDates, getMonthRange, getWeekStart, summarizeRange };
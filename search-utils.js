@@ -0,0 +1,101 @@
+import Fuse from 'fuse.js';
+
+// Fuse settings shared by every food search. Aliases count almost as much as the name, tags less:
+// "coffee" should list every coffee, but below a food actually called that.
+const FUSE_OPTIONS = {
+  keys: [
+    { name: 'name', weight: 1 },
+    { name: 'aliases', weight: 0.9 },
+    { name: 'tags', weight: 0.5 },
+  ],
+  includeScore: true,
+  includeMatches: true,
+  threshold: 0.4,
+};
+
+// How far usage can lift a result above a closer name match (a perfect match scores 1)
+const FREQUENCY_WEIGHT = 0.3;
+const SLOT_WEIGHT = 0.15;
+
+// How many foods an empty search suggests
+const RECENT_COUNT = 5;
+const FREQUENT_COUNT = 10;
+
+/**
+ * Collects how each food has been logged: how often, when last and in which time slots.
+ * @param {Object[]} logs - Logs with date and entries.
+ * @param {Function} keyOf - (entry) => key of the entry's food, its id as a string.
+ * @returns {Map} key => { count, lastLogged: "YYYY-MM-DD HH:mm", slots: { [slotName]: count } }
+ */
+const buildFoodStats = (logs, keyOf) => {
+  const stats = new Map();
+  logs.forEach(log => log.entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!stats.has(key)) stats.set(key, { count: 0, lastLogged: '', slots: {} });
+    const food = stats.get(key);
+    const logged = `${log.date} ${entry.time}`;
+    food.count++;
+    if (logged > food.lastLogged) food.lastLogged = logged;
+    food.slots[entry.timeSlot] = (food.slots[entry.timeSlot] || 0) + 1;
+  }));
+  return stats;
+};
+
+// The alias a result was found by, unless its name matched too
+const matchedAlias = (result) => {
+  const matches = result.matches || [];
+  if (matches.some(match => match.key === 'name')) return null;
+  const alias = matches.find(match => match.key === 'aliases');
+  return alias ? alias.value : null;
+};
+
+/**
+ * Creates the food search used everywhere a food is picked. Matches are ranked by how close the name is,
+ * lifted by how often the food is logged and by how much of that is in the current time slot.
+ * @param {Object[]} foods - The foods to search.
+ * @param {Object} [options] - { stats } from buildFoodStats and the current { slot } name.
+ * @returns {Function} (query) => [{ item, rank, tag, alias }], best first. An empty query suggests recent foods,
+ *   then frequent ones, tagged 'recent' and 'frequent'. alias is the alias that matched when the name didn't.
+ */
+const createFoodSearch = (foods, { stats = new Map(), slot = null } = {}) => {
+  const fuse = new Fuse(foods, FUSE_OPTIONS);
+  const statsOf = (food) => stats.get(String(food._id));
+  const maxCount = Math.max(1, ...[...stats.values()].map(s => s.count));
+
+  const usageBoost = (food) => {
+    const usage = statsOf(food);
+    if (!usage) return 0;
+    const frequency = Math.log1p(usage.count) / Math.log1p(maxCount);
+    const slotShare = slot ? (usage.slots[slot] || 0) / usage.count : 0;
+    return FREQUENCY_WEIGHT * frequency + SLOT_WEIGHT * slotShare;
+  };
+
+  return (query = '') => {
+    if (!query.trim()) {
+      const used = foods.filter(statsOf);
+      const recent = [...used]
+        .sort((a, b) => statsOf(b).lastLogged.localeCompare(statsOf(a).lastLogged))
+        .slice(0, RECENT_COUNT);
+      const frequent = used
+        .filter(food => !recent.includes(food))
+        .map(food => ({ food, rank: usageBoost(food) }))
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, FREQUENT_COUNT);
+      return [
+        ...recent.map(food => ({ item: food, rank: usageBoost(food), tag: 'recent' })),
+        ...frequent.map(({ food, rank }) => ({ item: food, rank, tag: 'frequent' })),
+      ];
+    }
+
+    return fuse.search(query)
+      .map(result => ({
+        item: result.item,
+        rank: 1 - result.score + usageBoost(result.item),
+        tag: null,
+        alias: matchedAlias(result),
+      }))
+      .sort((a, b) => b.rank - a.rank);
+  };
+};
+
+export { buildFoodStats, createFoodSearch };
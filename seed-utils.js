@@ -0,0 +1,115 @@
+import { createHash } from 'node:crypto';
+import { canonicalJson } from './backup-utils.js';
+import { estimateMacros } from './nutrition-utils.js';
+
+/**
+ * The food fields a seed pack provides. Only these are compared and updated.
+ */
+const SEED_FIELDS = ['name', 'kcal', 'protein', 'carbs', 'fat', 'category', 'servingGrams', 'aliases', 'tags'];
+
+/**
+ * Picks the seed fields of a food or pack item, filling in the schema defaults so both compare alike.
+ * @param {Object} food - A food or pack item.
+ * @returns {Object} The values.
+ */
+const seedValues = (food) => ({
+  name: food.name,
+  kcal: food.kcal,
+  protein: food.protein || 0,
+  carbs: food.carbs || 0,
+  fat: food.fat || 0,
+  category: food.category || 'mixed',
+  servingGrams: food.servingGrams || null,
+  aliases: [...(food.aliases || [])],
+  tags: [...(food.tags || [])],
+});
+
+/**
+ * Hashes the seed fields of a food or pack item.
+ * @param {Object} food - A food or pack item.
+ * @returns {string} A hex digest that changes whenever one of the fields does.
+ */
+const seedHash = (food) => createHash('sha1').update(canonicalJson(seedValues(food))).digest('hex');
+
+/**
+ * Gets the key that identifies a pack item across versions.
+ * @param {Object} item - The pack item.
+ * @returns {string} Its key, or its name when it has none.
+ */
+const seedKey = (item) => item.key || item.name;
+
+/**
+ * Checks whether a food still has the values the old seed list gave it: its calories with macros
+ * estimated as a 'mixed' food. Such foods were never touched by the user.
+ * @param {Object} food - The food.
+ * @returns {boolean} True for an untouched food from before seed packs.
+ */
+const isLegacySeed = (food) => {
+  const estimated = estimateMacros(food.kcal, 'mixed');
+  return (food.category || 'mixed') === 'mixed' && (!food.ingredients || food.ingredients.length === 0)
+    && ['protein', 'carbs', 'fat'].every(macro => (food[macro] || 0) === estimated[macro]);
+};
+
+/**
+ * Lists the seed fields whose values differ between two foods or items.
+ * @param {Object} a - A food or pack item.
+ * @param {Object} b - Another one.
+ * @returns {string[]} The differing field names.
+ */
+const diffSeedFields = (a, b) => {
+  const before = seedValues(a);
+  const after = seedValues(b);
+  return SEED_FIELDS.filter(field => canonicalJson(before[field]) !== canonicalJson(after[field]));
+};
+
+/**
+ * Works out what applying a seed pack to the food database would do, without changing anything.
+ * Foods already linked to an item are updated only while they still have the values they were seeded with;
+ * a food the user has changed since is left alone. Unlinked foods with an item's name are taken over when
+ * they are untouched leftovers of the old seed list, and otherwise reported as conflicts. Foods to take over
+ * are listed in link and planned as if already linked, with the values they have now as their seeded ones.
+ * @param {Object} pack - The pack: { id, version, foods }.
+ * @param {Object[]} foods - Every food in the database.
+ * @returns {Object} { added: [item], link: [{ item, food }], changed: [{ item, food, fields }],
+ *   edited: [{ item, food, fields }], conflicts: [{ item, food }], unchanged: [{ item, food }] }
+ *   where the foods in link, and in the other lists for those items, carry the seed link they would get.
+ */
+const planPackUpdate = (pack, foods) => {
+  const linked = new Map(foods.filter(food => food.seed && food.seed.pack === pack.id).map(food => [food.seed.key, food]));
+  const unlinked = new Map(foods.filter(food => !(food.seed && food.seed.pack)).map(food => [food.name.toLowerCase(), food]));
+  const plan = { added: [], link: [], changed: [], edited: [], conflicts: [], unchanged: [] };
+
+  pack.foods.forEach(item => {
+    let food = linked.get(seedKey(item));
+    if (!food) {
+      const namesake = unlinked.get(item.name.toLowerCase());
+      if (!namesake) {
+        plan.added.push(item);
+        return;
+      }
+      if (!isLegacySeed(namesake) && seedHash(namesake) !== seedHash(item)) {
+        plan.conflicts.push({ item, food: namesake });
+        return;
+      }
+      food = { ...namesake, seed: { pack: pack.id, key: seedKey(item), version: 0, hash: seedHash(namesake) } };
+      plan.link.push({ item, food });
+    }
+
+    const itemHash = seedHash(item);
+    const foodHash = seedHash(food);
+    if (foodHash === itemHash) plan.unchanged.push({ item, food });
+    else if (foodHash !== food.seed.hash) plan.edited.push({ item, food, fields: diffSeedFields(food, item) });
+    else plan.changed.push({ item, food, fields: diffSeedFields(food, item) });
+  });
+  return plan;
+};
+
+export {
+  SEED_FIELDS,
+  seedValues,
+  seedHash,
+  seedKey,
+  isLegacySeed,
+  diffSeedFields,
+  planPackUpdate,
+};
@@ -0,0 +1,22 @@
+import { DEFAULT_PROFILE } from './utils.js';
+
+// In-memory cache for food data to make search instant
+let foodCache = [];
+const setFoodCache = (foods) => { foodCache = foods; };
+
+// Logs, weigh-ins and settings belong to the profile picked at startup; foods and templates are shared
+let activeProfile = DEFAULT_PROFILE;
+const setActiveProfile = (profile) => { activeProfile = profile; };
+const forProfile = (filter = {}) => ({ profileName: activeProfile, ...filter });
+const settingsFilter = () => forProfile({ key: 'user_settings' });
+
+// Moves what a profile owns in the given collections over to a new name
+const moveProfile = async (from, to, models) => {
+  for (const model of models) {
+    await model.updateMany({ profileName: from }, { $set: { profileName: to } });
+  }
+  if (activeProfile === from) activeProfile = to;
+};
+
+// Other modules read the cache and the profile through these live bindings and change them with the setters
+export { foodCache, setFoodCache, activeProfile, setActiveProfile, forProfile, settingsFilter, moveProfile };
@@ -0,0 +1,35 @@
+import { EARLIEST_DATE, getGoalEntryForDate, addGoalChange } from './goal-utils.js';
+import { recordAction } from './journal.js';
+import Config from './models/Config.js';
+import { settingsFilter } from './session.js';
+import { DEFAULT_TIME_SLOTS, getLocalDate, sortTimeSlots } from './utils.js';
+
+// The user's time slots in display order, or the defaults if they haven't set any up
+const getTimeSlots = async () => {
+  const config = await Config.findOne(settingsFilter());
+  const slots = config && config.timeSlots.length > 0
+    ? config.timeSlots.map(({ name, startHour, order, emoji }) => ({ name, startHour, order, emoji }))
+    : DEFAULT_TIME_SLOTS;
+  return sortTimeSlots(slots);
+};
+
+const getConfig = () => Config.findOne(settingsFilter());
+
+// Changes the active profile's settings, journaled like any other change
+const updateSettings = (action, update, options = {}) => recordAction(action, [[Config, settingsFilter()]], () => (
+  Config.findOneAndUpdate(settingsFilter(), update, options)
+));
+
+// Records a goal change and keeps dailyGoal in step with the goal in effect today
+const recordGoalChange = async (change) => {
+  const config = await Config.findOne(settingsFilter());
+  const goalHistory = addGoalChange(config, change);
+  const current = getGoalEntryForDate({ goalHistory }, getLocalDate());
+  return updateSettings(
+    `Set goal to ${change.dailyGoal} kcal from ${change.effectiveDate === EARLIEST_DATE ? 'the start' : change.effectiveDate}`,
+    { goalHistory, dailyGoal: current.dailyGoal },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export { getTimeSlots, getConfig, updateSettings, recordGoalChange };
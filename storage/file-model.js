@@ -0,0 +1,262 @@
+import JsonStore from './json-store.js';
+import { matches, applyUpdate, seedFromFilter, sortDocs, project } from './query-utils.js';
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * A thenable stand-in for a Mongoose Query, supporting the chainable
+ * modifiers the app uses: sort, select, skip, limit and lean.
+ */
+class FileQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = {};
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  select(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.options));
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.exec().then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.exec().catch(onRejected);
+  }
+}
+
+const duplicateKeyError = (collectionName, keyValue) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(keyValue)}`);
+  error.code = 11000;
+  error.keyValue = keyValue;
+  return error;
+};
+
+/**
+ * Creates a model with the Mongoose model API, backed by a JSON file.
+ * Documents are cast and validated through the Mongoose schema (so defaults,
+ * types and validate hooks behave as they do on MongoDB) and handed back as
+ * hydrated Mongoose documents.
+ * @param {Object} Model - The compiled Mongoose model.
+ * @param {string} dataDir - Directory holding the JSON files.
+ * @returns {Object} The file-backed model.
+ */
+const createFileModel = (Model, dataDir) => {
+  const collectionName = Model.collection.collectionName;
+  const store = new JsonStore(dataDir, collectionName);
+  const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique);
+
+  const toStored = (doc) => toPlain(doc.toObject({ depopulate: true, versionKey: false }));
+
+  const normalize = async (plain) => {
+    const doc = new Model(plain);
+    await doc.validate();
+    return toStored(doc);
+  };
+
+  // The values a document holds for a unique index, or null when the index doesn't cover it
+  const uniqueKey = (doc, [fields, options]) => {
+    const keys = Object.keys(fields);
+    if (options.sparse && keys.every(key => doc[key] === undefined)) return null;
+    if (options.partialFilterExpression && !matches(doc, options.partialFilterExpression)) return null;
+    return JSON.stringify(keys.map(key => doc[key] ?? null));
+  };
+
+  const clashError = (candidate, [fields]) => (
+    duplicateKeyError(collectionName, Object.fromEntries(Object.keys(fields).map(key => [key, candidate[key]])))
+  );
+
+  const assertUnique = (docs, candidate) => {
+    for (const index of uniqueIndexes) {
+      const key = uniqueKey(candidate, index);
+      if (key === null) continue;
+      if (docs.some(other => other._id !== candidate._id && uniqueKey(other, index) === key)) {
+        throw clashError(candidate, index);
+      }
+    }
+  };
+
+  const writeDoc = (stored) => {
+    const docs = [...store.read()];
+    const index = docs.findIndex(doc => doc._id === stored._id);
+    if (index === -1) docs.push(stored);
+    else docs[index] = stored;
+    assertUnique(docs, stored);
+    store.write(docs);
+  };
+
+  // Gives a Mongoose document a save() that writes to the file instead of MongoDB
+  const attachSave = (doc) => {
+    Object.defineProperty(doc, 'save', {
+      configurable: true,
+      writable: true,
+      value: async () => {
+        await doc.validate();
+        writeDoc(toStored(doc));
+        doc.$isNew = false;
+        return doc;
+      },
+    });
+    return doc;
+  };
+
+  const hydrate = (plain) => attachSave(Model.hydrate(toPlain(plain)));
+
+  const runFind = (filter, projection, single) => (options) => {
+    let docs = store.read().filter(doc => matches(doc, filter));
+    if (options.sort) docs = sortDocs(docs, options.sort);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    if (single) docs = docs.slice(0, 1);
+
+    const fields = options.projection || projection;
+    const results = docs.map(doc => {
+      const projected = project(doc, fields);
+      // Lean results still get real ObjectIds, but no defaults for fields the projection left out
+      return options.lean ? project(Model.hydrate(toPlain(projected)).toObject(), fields) : hydrate(projected);
+    });
+    return single ? results[0] || null : results;
+  };
+
+  const updateDocs = async (filter, update, options, multi) => {
+    const { arrayFilters = [], upsert = false } = options;
+    const docs = [...store.read()];
+    const before = [];
+    const after = [];
+
+    for (let i = 0; i < docs.length; i++) {
+      if (!matches(docs[i], filter)) continue;
+      const updated = toPlain(docs[i]);
+      applyUpdate(updated, update, { arrayFilters });
+      before.push(docs[i]);
+      docs[i] = await normalize(updated);
+      after.push(docs[i]);
+      if (!multi) break;
+    }
+
+    let upserted = null;
+    if (before.length === 0 && upsert) {
+      const seed = seedFromFilter(filter);
+      applyUpdate(seed, update, { arrayFilters, isInsert: true });
+      upserted = await normalize(seed);
+      docs.push(upserted);
+      after.push(upserted);
+    }
+
+    after.forEach(doc => assertUnique(docs, doc));
+    if (after.length > 0) store.write(docs);
+
+    return { before, after, upserted };
+  };
+
+  const deleteDocs = (filter, multi) => {
+    const docs = store.read();
+    const removed = multi ? docs.filter(doc => matches(doc, filter)) : docs.filter(doc => matches(doc, filter)).slice(0, 1);
+    if (removed.length > 0) {
+      store.write(docs.filter(doc => !removed.includes(doc)));
+    }
+    return removed;
+  };
+
+  const insertDocs = async (plainDocs) => {
+    const docs = [...store.read()];
+    // Keys are collected once, so a bulk insert doesn't scan the whole collection for every document
+    const taken = uniqueIndexes.map(index => new Set(docs.map(doc => uniqueKey(doc, index))));
+    const inserted = [];
+    for (const plain of plainDocs) {
+      const stored = await normalize(plain);
+      uniqueIndexes.forEach((index, i) => {
+        const key = uniqueKey(stored, index);
+        if (key === null) return;
+        if (taken[i].has(key)) throw clashError(stored, index);
+        taken[i].add(key);
+      });
+      docs.push(stored);
+      inserted.push(stored);
+    }
+    store.write(docs);
+    return inserted.map(hydrate);
+  };
+
+  const model = {
+    construct: (...args) => attachSave(new Model(...args)),
+
+    find: (filter = {}, projection) => new FileQuery(runFind(filter, projection, false)),
+
+    findOne: (filter = {}, projection) => new FileQuery(runFind(filter, projection, true)),
+
+    findById: (id, projection) => new FileQuery(runFind({ _id: id }, projection, true)),
+
+    countDocuments: (filter = {}) => new FileQuery(() => store.read().filter(doc => matches(doc, filter)).length),
+
+    exists: (filter = {}) => new FileQuery(() => {
+      const found = store.read().find(doc => matches(doc, filter));
+      return found ? { _id: Model.hydrate({ _id: found._id })._id } : null;
+    }),
+
+    create: async (docOrDocs) => {
+      const inserted = await insertDocs(Array.isArray(docOrDocs) ? docOrDocs : [docOrDocs]);
+      return Array.isArray(docOrDocs) ? inserted : inserted[0];
+    },
+
+    insertMany: (docs) => insertDocs(docs),
+
+    updateOne: async (filter, update, options = {}) => {
+      const { before, upserted } = await updateDocs(filter, update, options, false);
+      return { acknowledged: true, matchedCount: before.length, modifiedCount: before.length, upsertedCount: upserted ? 1 : 0, upsertedId: upserted ? upserted._id : null };
+    },
+
+    updateMany: async (filter, update, options = {}) => {
+      const { before, upserted } = await updateDocs(filter, update, options, true);
+      return { acknowledged: true, matchedCount: before.length, modifiedCount: before.length, upsertedCount: upserted ? 1 : 0, upsertedId: upserted ? upserted._id : null };
+    },
+
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const { before, after } = await updateDocs(filter, update, options, false);
+      const returnNew = options.new || options.returnDocument === 'after';
+      const result = returnNew ? after[0] : before[0];
+      return result ? hydrate(result) : null;
+    },
+
+    findByIdAndUpdate: (id, update, options = {}) => model.findOneAndUpdate({ _id: id }, update, options),
+
+    deleteOne: async (filter = {}) => ({ acknowledged: true, deletedCount: deleteDocs(filter, false).length }),
+
+    deleteMany: async (filter = {}) => ({ acknowledged: true, deletedCount: deleteDocs(filter, true).length }),
+
+    findOneAndDelete: async (filter = {}) => {
+      const [removed] = deleteDocs(filter, false);
+      return removed ? hydrate(removed) : null;
+    },
+  };
+
+  return model;
+};
+
+export default createFileModel;
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import createFileModel from './file-model.js';
+
+const BACKENDS = ['mongo', 'file'];
+
+// Every model goes through defineModel, so switching backends swaps them all at once
+const registeredModels = [];
+const fileModels = new Map();
+let activeBackend = 'mongo';
+
+/**
+ * Reads the storage settings from the environment.
+ * STORAGE_BACKEND picks "mongo" or "file"; without it, MongoDB is used only when MONGO_URI is set.
+ * DATA_DIR sets where the file backend keeps its JSON files (default ~/.caltrack).
+ * @returns {Object} { backend, dataDir }
+ */
+const getStorageConfig = () => ({
+  backend: (process.env.STORAGE_BACKEND || (process.env.MONGO_URI ? 'mongo' : 'file')).toLowerCase(),
+  dataDir: process.env.DATA_DIR || path.join(os.homedir(), '.caltrack'),
+});
+
+/**
+ * Wraps a Mongoose model so every static call and `new Model()` goes to the active backend.
+ * @param {Object} Model - The compiled Mongoose model.
+ * @returns {Proxy} A drop-in replacement for the model.
+ */
+const defineModel = (Model) => {
+  registeredModels.push(Model);
+
+  return new Proxy(Model, {
+    get: (target, prop) => {
+      const fileModel = activeBackend === 'file' ? fileModels.get(target) : null;
+      if (fileModel && prop in fileModel) return fileModel[prop];
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' && prop !== 'prototype' ? value.bind(target) : value;
+    },
+    construct: (target, args) => {
+      const fileModel = activeBackend === 'file' ? fileModels.get(target) : null;
+      return fileModel ? fileModel.construct(...args) : new target(...args);
+    },
+  });
+};
+
+/**
+ * Switches every model to JSON files in the given directory.
+ * @param {string} dataDir - Directory for the data files; created if missing.
+ */
+const useFileStorage = (dataDir) => {
+  fs.mkdirSync(dataDir, { recursive: true });
+  registeredModels.forEach(Model => fileModels.set(Model, createFileModel(Model, dataDir)));
+  activeBackend = 'file';
+};
+
+/**
+ * Switches every model back to MongoDB through Mongoose.
+ */
+const useMongoStorage = () => {
+  activeBackend = 'mongo';
+};
+
+const getActiveBackend = () => activeBackend;
+
+export { BACKENDS, getStorageConfig, defineModel, useFileStorage, useMongoStorage, getActiveBackend };
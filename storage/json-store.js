@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Keeps one collection as a JSON array on disk.
+ * The file is re-read whenever another process has written it, so a cron job
+ * running `caltrack add` and an open dashboard don't overwrite each other.
+ */
+class JsonStore {
+  constructor(dataDir, collectionName) {
+    this.filePath = path.join(dataDir, `${collectionName}.json`);
+    this.docs = [];
+    this.mtimeMs = null;
+  }
+
+  /**
+   * Returns the current documents, reloading them if the file changed on disk.
+   * @returns {Object[]} Plain documents with ObjectIds stored as hex strings.
+   */
+  read() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.docs = [];
+      this.mtimeMs = null;
+      return this.docs;
+    }
+
+    if (stat.mtimeMs !== this.mtimeMs) {
+      this.docs = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.mtimeMs = stat.mtimeMs;
+    }
+    return this.docs;
+  }
+
+  /**
+   * Replaces the collection on disk. Writes to a temp file first so a crash never leaves half a file.
+   * @param {Object[]} docs - The full list of documents.
+   */
+  write(docs) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(docs, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+    this.docs = docs;
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+export default JsonStore;
@@ -0,0 +1,354 @@
+/**
+ * A small subset of MongoDB query and update semantics, enough for the
+ * operations this app performs. Documents are plain JSON objects whose
+ * ObjectIds are hex strings, so ids are always compared as strings.
+ */
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && typeof value.toHexString !== 'function';
+};
+
+const isOperatorObject = (value) => {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+};
+
+const normalize = (value) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const valuesEqual = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => valuesEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+const compare = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Collects every value at a dot path, descending into arrays the way MongoDB does.
+ * @param {Object} doc - The document.
+ * @param {string} path - e.g. "entries.name".
+ * @returns {Array} All values found at the path.
+ */
+const getValues = (doc, path) => {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values.flatMap(value => {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        return value.map(item => (item !== null && typeof item === 'object' ? item[key] : undefined));
+      }
+      return value !== null && value !== undefined ? [value[key]] : [undefined];
+    });
+  }
+  // A field that holds an array matches on the array itself or on any of its items
+  return values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+};
+
+// Lookup sets for $in and $nin lists of plain values, built once per list rather than once per document,
+// so filtering by a long list of ids stays linear
+const lookupSets = new WeakMap();
+
+const isInList = (values, list) => {
+  if (!list.every(candidate => !isPlainObject(candidate) && !Array.isArray(candidate) && !(candidate instanceof RegExp))) {
+    return list.some(candidate => values.some(value => valuesEqual(value, candidate)));
+  }
+  if (!lookupSets.has(list)) lookupSets.set(list, new Set(list.map(normalize)));
+  const lookup = lookupSets.get(list);
+  return values.some(value => lookup.has(normalize(value)));
+};
+
+const matchesOperators = (values, operators) => {
+  return Object.entries(operators).every(([op, operand]) => {
+    const defined = values.filter(value => value !== undefined);
+    switch (op) {
+      case '$eq': return values.some(value => valuesEqual(value, operand));
+      case '$ne': return !values.some(value => valuesEqual(value, operand));
+      case '$gt': return defined.some(value => compare(value, operand) > 0);
+      case '$gte': return defined.some(value => compare(value, operand) >= 0);
+      case '$lt': return defined.some(value => compare(value, operand) < 0);
+      case '$lte': return defined.some(value => compare(value, operand) <= 0);
+      case '$in': return isInList(values, operand);
+      case '$nin': return !isInList(values, operand);
+      case '$exists': return (defined.length > 0) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, operators.$options || '');
+        return defined.some(value => typeof value === 'string' && regex.test(value));
+      }
+      case '$options': return true;
+      case '$elemMatch': return values.some(value => isPlainObject(value) && matches(value, operand));
+      case '$size': return values.some(value => Array.isArray(value) && value.length === operand);
+      default: throw new Error(`Unsupported query operator ${op} in file storage.`);
+    }
+  });
+};
+
+/**
+ * Tests a document against a MongoDB-style filter.
+ * @param {Object} doc - The document.
+ * @param {Object} filter - The filter, e.g. { date: { $gte: '2026-10-01' } }.
+ * @returns {boolean} True if the document matches.
+ */
+const matches = (doc, filter = {}) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+
+    const values = getValues(doc, key);
+    if (condition instanceof RegExp) return matchesOperators(values, { $regex: condition });
+    if (isOperatorObject(condition)) return matchesOperators(values, condition);
+    if (condition === null) return values.every(value => value === null || value === undefined);
+    return values.some(value => valuesEqual(value, condition));
+  });
+};
+
+/**
+ * Resolves an update path to the containers and keys it points at, expanding
+ * the all-positional `$[]` and filtered-positional `$[name]` operators.
+ */
+const resolveTargets = (doc, path, arrayFilters, create) => {
+  const keys = path.split('.');
+  let targets = [doc];
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = keys[i];
+    targets = targets.flatMap(target => {
+      const positional = key.match(/^\$\[(\w*)\]$/);
+      if (positional) {
+        if (!Array.isArray(target)) return [];
+        if (!positional[1]) return target;
+        const prefix = `${positional[1]}.`;
+        const condition = arrayFilters.find(filter => Object.keys(filter).some(k => k.startsWith(prefix)));
+        if (!condition) throw new Error(`No array filter found for identifier "${positional[1]}".`);
+        const elementFilter = Object.fromEntries(Object.entries(condition).map(([k, v]) => [k.slice(prefix.length), v]));
+        return target.filter(item => matches(item, elementFilter));
+      }
+      if (target[key] === undefined || target[key] === null) {
+        if (!create) return [];
+        target[key] = {};
+      }
+      return [target[key]];
+    });
+  }
+
+  return targets.map(container => ({ container, key: keys[keys.length - 1] }));
+};
+
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const getPath = (value, path) => path.split('.').reduce((current, key) => {
+  if (Array.isArray(current) && !/^\d+$/.test(key)) return current.map(item => (item == null ? undefined : item[key]));
+  return current == null ? undefined : current[key];
+}, value);
+
+/**
+ * Evaluates an aggregation expression against a document, enough for the update pipelines this app runs:
+ * field paths, variables ($$this inside $map and $filter) and a few operators.
+ * @param {*} expression - The expression.
+ * @param {Object} doc - The document.
+ * @param {Object} vars - The variables in scope.
+ * @returns {*} The value.
+ */
+const evaluate = (expression, doc, vars = {}) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...path] = expression.slice(2).split('.');
+    return path.length > 0 ? getPath(vars[name], path.join('.')) : vars[name];
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (Array.isArray(expression)) return expression.map(item => evaluate(item, doc, vars));
+  if (!isPlainObject(expression)) return expression;
+  if (!isOperatorObject(expression)) {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc, vars)]));
+  }
+
+  const [[op, args]] = Object.entries(expression);
+  const values = () => (Array.isArray(args) ? args : [args]).map(arg => evaluate(arg, doc, vars));
+  const each = (item) => ({ ...vars, [args.as || 'this']: item });
+  switch (op) {
+    case '$literal': return args;
+    case '$concatArrays': {
+      const arrays = values();
+      return arrays.some(array => array == null) ? null : arrays.flat(1);
+    }
+    case '$ifNull': {
+      const candidates = values();
+      return candidates.find(value => value !== null && value !== undefined) ?? candidates[candidates.length - 1];
+    }
+    case '$filter': {
+      const input = evaluate(args.input, doc, vars);
+      return input == null ? null : input.filter(item => evaluate(args.cond, doc, each(item)));
+    }
+    case '$map': {
+      const input = evaluate(args.input, doc, vars);
+      return input == null ? null : input.map(item => evaluate(args.in, doc, each(item)));
+    }
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+      return evaluate(condition, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case '$eq': return valuesEqual(...values());
+    case '$ne': return !valuesEqual(...values());
+    case '$mergeObjects': return Object.assign({}, ...values().filter(Boolean));
+    default:
+      throw new Error(`Unsupported pipeline operator ${op} in file storage.`);
+  }
+};
+
+/**
+ * Runs an update pipeline's $set, $addFields and $unset stages on a plain document in place.
+ * @param {Object} doc - The document to modify.
+ * @param {Object[]} pipeline - The stages.
+ */
+const applyPipeline = (doc, pipeline) => {
+  for (const stage of toPlain(pipeline)) {
+    const [[name, spec]] = Object.entries(stage);
+    if (name === '$set' || name === '$addFields') {
+      // Every expression in a stage sees the document as it was before the stage
+      const values = Object.entries(spec).map(([path, expression]) => [path, evaluate(expression, doc)]);
+      values.forEach(([path, value]) => applyUpdate(doc, { $set: { [path]: value } }));
+    } else if (name === '$unset') {
+      [].concat(spec).forEach(path => applyUpdate(doc, { $unset: { [path]: 1 } }));
+    } else {
+      throw new Error(`Unsupported pipeline stage ${name} in file storage.`);
+    }
+  }
+};
+
+/**
+ * Applies a MongoDB-style update to a plain document in place.
+ * An update without operators is treated as $set, as Mongoose does; an array is an update pipeline.
+ * @param {Object} doc - The document to modify.
+ * @param {Object|Object[]} update - The update, e.g. { $inc: { totalKcal: 120 } }.
+ * @param {Object} options - { arrayFilters, isInsert }.
+ */
+const applyUpdate = (doc, update, { arrayFilters = [], isInsert = false } = {}) => {
+  if (Array.isArray(update)) {
+    applyPipeline(doc, update);
+    return;
+  }
+  const operations = isOperatorObject(update) ? update : { $set: update };
+
+  for (const [op, fields] of Object.entries(operations)) {
+    if (op === '$setOnInsert' && !isInsert) continue;
+
+    for (const [path, rawValue] of Object.entries(fields)) {
+      const value = toPlain(rawValue);
+      for (const { container, key } of resolveTargets(doc, path, arrayFilters, op !== '$unset' && op !== '$pull')) {
+        switch (op) {
+          case '$set':
+          case '$setOnInsert':
+            container[key] = value;
+            break;
+          case '$unset':
+            delete container[key];
+            break;
+          case '$inc':
+            container[key] = (container[key] || 0) + value;
+            break;
+          case '$push':
+          case '$addToSet': {
+            if (!Array.isArray(container[key])) container[key] = [];
+            const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+            items.forEach(item => {
+              if (op === '$push' || !container[key].some(existing => valuesEqual(existing, item))) {
+                container[key].push(item);
+              }
+            });
+            break;
+          }
+          case '$pull':
+            if (Array.isArray(container[key])) {
+              container[key] = container[key].filter(item => (
+                isPlainObject(value) ? !matches(item, value) : !valuesEqual(item, value)
+              ));
+            }
+            break;
+          default:
+            throw new Error(`Unsupported update operator ${op} in file storage.`);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Builds the starting document for an upsert from the equality conditions in a filter.
+ * @param {Object} filter - The query filter.
+ * @returns {Object} The seed document.
+ */
+const seedFromFilter = (filter) => {
+  const seed = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (key.startsWith('$') || isOperatorObject(condition) || condition instanceof RegExp) return;
+    applyUpdate(seed, { $set: { [key]: condition } });
+  });
+  return seed;
+};
+
+/**
+ * Sorts documents by a Mongoose sort spec ({ date: -1 } or "-date name").
+ * @param {Object[]} docs - The documents.
+ * @param {Object|string} spec - The sort specification.
+ * @returns {Object[]} A new, sorted array.
+ */
+const sortDocs = (docs, spec) => {
+  const fields = typeof spec === 'string'
+    ? spec.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+    : Object.entries(spec).map(([field, direction]) => [field, direction === 'desc' || direction < 0 ? -1 : 1]);
+
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const result = compare(getValues(a, field)[0], getValues(b, field)[0]);
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Applies a Mongoose projection ("name kcal", "-entries" or { name: 1 }) to a plain document.
+ * @param {Object} doc - The document.
+ * @param {Object|string} projection - The projection.
+ * @returns {Object} The projected copy.
+ */
+const project = (doc, projection) => {
+  if (!projection) return doc;
+  const fields = typeof projection === 'string'
+    ? projection.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+    : Object.entries(projection);
+  if (fields.length === 0) return doc;
+
+  const inclusive = fields.some(([field, flag]) => flag && field !== '_id');
+  if (!inclusive) {
+    const copy = { ...doc };
+    fields.forEach(([field]) => delete copy[field]);
+    return copy;
+  }
+
+  const copy = { _id: doc._id };
+  fields.forEach(([field, flag]) => {
+    if (flag) copy[field] = doc[field];
+    else delete copy[field];
+  });
+  return copy;
+};
+
+export { matches, applyUpdate, seedFromFilter, sortDocs, project, valuesEqual };
@@ -0,0 +1,96 @@
+import { MACROS } from './nutrition-utils.js';
+import { getWeekStart, listDates } from './report-utils.js';
+
+/**
+ * The rules a day has to meet to count toward a streak.
+ * tolerancePercent 0 means "at or under goal"; above 0 it means "within ±N% of goal".
+ */
+const DEFAULT_STREAK_RULES = {
+  tolerancePercent: 0,
+  minEntries: 1,
+  requireMacros: false,
+  graceDaysPerWeek: 0,
+};
+
+/**
+ * Checks whether a day counts toward a streak.
+ * @param {Object} day - { kcal, entryCount, goal, macroCheck } where macroCheck comes from checkMacroTargets (or null).
+ * @param {Object} rules - Streak rules; missing fields fall back to DEFAULT_STREAK_RULES.
+ * @returns {boolean} True if the day meets every rule.
+ */
+const dayMeetsRules = (day, rules = {}) => {
+  const { tolerancePercent, minEntries, requireMacros } = { ...DEFAULT_STREAK_RULES, ...rules };
+  if (day.kcal <= 0 || day.entryCount < Math.max(1, minEntries)) return false;
+
+  const withinCalories = tolerancePercent > 0
+    ? Math.abs(day.kcal - day.goal) <= (day.goal * tolerancePercent) / 100
+    : day.kcal <= day.goal;
+  if (!withinCalories) return false;
+
+  // Without macro targets there is nothing to meet
+  if (requireMacros && day.macroCheck) return MACROS.every(macro => day.macroCheck[macro].met);
+  return true;
+};
+
+/**
+ * Finds every streak from the first date to today.
+ * A missed day uses up one of the week's grace days (weeks start on Monday) if any are left,
+ * otherwise it ends the streak. Grace days bridge a streak but don't add to its length.
+ * Today never breaks a streak, since it may not be over yet.
+ * @param {string} firstDate - The first date to consider.
+ * @param {string} today - Today's date.
+ * @param {Function} isMet - Returns whether a date meets the rules.
+ * @param {number} [graceDaysPerWeek] - Missed days forgiven per week.
+ * @returns {Object} { streaks, current, longest } with streaks as { start, end, length, graceDays }, oldest first.
+ */
+const findStreaks = (firstDate, today, isMet, graceDaysPerWeek = 0) => {
+  const streaks = [];
+  let run = null;
+
+  listDates(firstDate, today).forEach(date => {
+    if (isMet(date)) {
+      if (!run) run = { start: date, end: date, length: 0, graceDays: 0, pendingGrace: 0, graceByWeek: new Map() };
+      run.end = date;
+      run.length++;
+      // Grace days only count once the streak carries on past them
+      run.graceDays += run.pendingGrace;
+      run.pendingGrace = 0;
+      return;
+    }
+    if (!run || date === today) return;
+
+    const week = getWeekStart(date);
+    const used = run.graceByWeek.get(week) || 0;
+    if (used < graceDaysPerWeek) {
+      run.graceByWeek.set(week, used + 1);
+      run.pendingGrace++;
+    } else {
+      streaks.push(run);
+      run = null;
+    }
+  });
+  if (run) streaks.push(run);
+
+  const toStreak = ({ start, end, length, graceDays }) => ({ start, end, length, graceDays });
+  return {
+    streaks: streaks.map(toStreak),
+    current: run ? run.length : 0,
+    longest: streaks.reduce((max, streak) => Math.max(max, streak.length), 0),
+  };
+};
+
+/**
+ * Describes streak rules in one line, e.g. "within ±10% of goal, 2+ entries, macro targets met".
+ * @param {Object} rules - Streak rules.
+ * @returns {string} The description.
+ */
+const describeStreakRules = (rules = {}) => {
+  const { tolerancePercent, minEntries, requireMacros, graceDaysPerWeek } = { ...DEFAULT_STREAK_RULES, ...rules };
+  const parts = [tolerancePercent > 0 ? `within ±${tolerancePercent}% of goal` : 'at or under goal'];
+  if (minEntries > 1) parts.push(`${minEntries}+ entries`);
+  if (requireMacros) parts.push('macro targets met');
+  if (graceDaysPerWeek > 0) parts.push(`${graceDaysPerWeek} grace day${graceDaysPerWeek === 1 ? '' : 's'} per week`);
+  return parts.join(', ');
+};
+
+export { DEFAULT_STREAK_RULES, dayMeetsRules, findStreaks, describeStreakRules };
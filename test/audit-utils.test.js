@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChanges, findConflicts, invertChanges, toRestoreUpdate, toOverwrittenUpdate } from '../audit-utils.js';
+
+const rice = { _id: 'a1', name: 'Rice', kcal: 200 };
+
+test('buildChanges drops untouched documents and repeats of the same document', () => {
+  const changes = buildChanges([
+    { model: 'Food', before: rice, after: { ...rice, kcal: 210 } },
+    { model: 'Food', before: rice, after: { ...rice, kcal: 210 } },
+    { model: 'Food', before: { _id: 'b2', name: 'Soup' }, after: { _id: 'b2', name: 'Soup' } },
+    { model: 'Food', before: null, after: { _id: 'c3', name: 'Tea' } },
+  ]);
+  assert.deepEqual(changes.map(c => c.documentId), ['a1', 'c3']);
+});
+
+test('findConflicts lists documents that changed again since', () => {
+  const changes = buildChanges([{ model: 'Food', before: rice, after: { ...rice, kcal: 210 } }]);
+  assert.deepEqual(findConflicts(changes, [{ ...rice, kcal: 210 }]), []);
+  assert.equal(findConflicts(changes, [{ ...rice, kcal: 220 }]).length, 1);
+});
+
+test('invertChanges swaps before and after, last change first', () => {
+  const inverted = invertChanges([{ documentId: '1', before: null, after: 'x' }, { documentId: '2', before: 'y', after: null }]);
+  assert.deepEqual(inverted, [{ documentId: '2', before: null, after: 'y' }, { documentId: '1', before: 'x', after: null }]);
+});
+
+test('toRestoreUpdate unsets fields the snapshot lacks', () => {
+  assert.deepEqual(toRestoreUpdate({ _id: 'a1', name: 'Rice', kcal: 200, barcode: '1' }, rice), {
+    $set: { name: 'Rice', kcal: 200 },
+    $unset: { barcode: 1 },
+  });
+});
+
+test('toOverwrittenUpdate puts back the old values and unsets those that were null', () => {
+  assert.deepEqual(toOverwrittenUpdate({ kcal: 200, servingGrams: null }), { $set: { kcal: 200 }, $unset: { servingGrams: 1 } });
+  assert.deepEqual(toOverwrittenUpdate({ kcal: 200 }), { $set: { kcal: 200 } });
+});
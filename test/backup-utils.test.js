@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_VERSION, canonicalJson, checksum, buildArchive, validateArchive, planRestore } from '../backup-utils.js';
+
+// A fresh copy each time, as archives hold the documents they are given
+const foods = () => [{ _id: '1', name: 'Rice', kcal: 200 }, { _id: '2', name: 'Soup', kcal: 90 }];
+
+test('canonicalJson and checksum ignore key order', () => {
+  assert.equal(canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] }), '{"a":[{"c":3,"d":2}],"b":1}');
+  assert.equal(checksum([{ name: 'Rice', kcal: 200 }]), checksum([{ kcal: 200, name: 'Rice' }]));
+  assert.match(checksum(foods()), /^sha256:[0-9a-f]{64}$/);
+});
+
+test('validateArchive accepts an intact archive', () => {
+  const archive = JSON.parse(JSON.stringify(buildArchive({ foods: foods(), logs: [] })));
+  assert.equal(archive.version, BACKUP_VERSION);
+  assert.deepEqual(validateArchive(archive, ['foods', 'logs']), []);
+});
+
+test('validateArchive catches edited documents, wrong counts and missing collections', () => {
+  const archive = buildArchive({ foods: foods() });
+  archive.collections.foods.documents[0].kcal = 100;
+  assert.deepEqual(validateArchive(archive, ['foods', 'logs']), [
+    'collection "foods" failed its checksum; the file is corrupted or was edited',
+    'collection "logs" is missing',
+  ]);
+
+  const short = buildArchive({ foods: foods() });
+  short.collections.foods.documents.pop();
+  assert.equal(validateArchive(short, ['foods']).length, 2);
+});
+
+test('validateArchive refuses other files and newer versions', () => {
+  assert.deepEqual(validateArchive({ format: 'other' }, []), ['not a CalTrack backup file']);
+  assert.match(validateArchive({ ...buildArchive({}), version: BACKUP_VERSION + 1 }, [])[0], /unsupported backup version/);
+});
+
+test('planRestore matches documents by key and only removes in replace mode', () => {
+  const existing = [{ _id: 'x', name: 'Rice', kcal: 200 }, { _id: 'y', name: 'Soup', kcal: 80 }, { _id: 'z', name: 'Tea', kcal: 0 }];
+  const incoming = [...foods(), { _id: '3', name: 'Cola', kcal: 140 }];
+  const keyOf = doc => doc.name;
+
+  const merge = planRestore(existing, incoming, keyOf, 'merge');
+  assert.deepEqual(merge.added.map(keyOf), ['Cola']);
+  assert.deepEqual(merge.changed.map(({ incoming: doc }) => keyOf(doc)), ['Soup']);
+  assert.deepEqual(merge.unchanged.map(keyOf), ['Rice']);
+  assert.deepEqual(merge.removed, []);
+
+  assert.deepEqual(planRestore(existing, incoming, keyOf, 'replace').removed.map(keyOf), ['Tea']);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { proteinDensity, parseKcalRange, describeKcalRange, selectFoods, paginate } from '../browse-utils.js';
+
+const foods = [
+  { name: 'Rice', kcal: 200, protein: 4, category: 'carb-heavy', tags: [] },
+  { name: 'Chicken', kcal: 165, protein: 31, category: 'protein-heavy', tags: ['grill'] },
+  { name: 'Pork Skewers', kcal: 300, protein: 20, category: 'mixed', tags: ['grill', 'street food'] },
+  { name: 'Water', kcal: 0, category: 'mixed', tags: [] },
+];
+
+test('proteinDensity is grams per 100 kcal', () => {
+  assert.equal(proteinDensity(foods[1]), 18.8);
+  assert.equal(proteinDensity(foods[3]), 0);
+});
+
+test('parseKcalRange reads open, closed and exact ranges', () => {
+  assert.deepEqual(parseKcalRange('100 - 300'), { min: 100, max: 300 });
+  assert.deepEqual(parseKcalRange('200-'), { min: 200, max: null });
+  assert.deepEqual(parseKcalRange('<300'), { min: null, max: 300 });
+  assert.deepEqual(parseKcalRange('>=500kcal'), { min: 500, max: null });
+  assert.deepEqual(parseKcalRange('250'), { min: 250, max: 250 });
+  assert.equal(parseKcalRange('300-100'), null);
+  assert.equal(parseKcalRange('lots'), null);
+  assert.equal(describeKcalRange({ min: null, max: 300 }), '≤ 300 kcal');
+});
+
+test('selectFoods filters by category, tag and calories and sorts', () => {
+  const names = (list) => list.map(food => food.name);
+  assert.deepEqual(names(selectFoods(foods, { tag: 'grill', sort: 'kcalDesc' })), ['Pork Skewers', 'Chicken']);
+  assert.deepEqual(names(selectFoods(foods, { kcalRange: { min: 100, max: 250 } })), ['Chicken', 'Rice']);
+  assert.deepEqual(names(selectFoods(foods, { category: 'mixed' })), ['Pork Skewers', 'Water']);
+  assert.deepEqual(names(selectFoods(foods, { sort: 'protein' })), ['Chicken', 'Pork Skewers', 'Rice', 'Water']);
+});
+
+test('paginate clamps the page to the pages that exist', () => {
+  const items = Array.from({ length: 35 }, (_, i) => i);
+  assert.deepEqual(paginate(items, 5), { items: [30, 31, 32, 33, 34], page: 2, pageCount: 3 });
+  assert.deepEqual(paginate([], -1), { items: [], page: 0, pageCount: 1 });
+});
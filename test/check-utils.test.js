@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTotalMismatches, findEmptyLogs, findOrphanedLinks, describeTotals } from '../check-utils.js';
+
+const log = (date, entries, totals) => ({ _id: date, date, entries, ...totals });
+const rice = { _id: 'e1', name: 'Rice', food: 'f1', kcal: 200, protein: 4, carbs: 44, fat: 0.4 };
+
+test('findTotalMismatches ignores float noise but catches drift', () => {
+  const logs = [
+    log('2026-10-01', [rice], { totalKcal: 200, totalProtein: 4, totalCarbs: 44, totalFat: 0.40001 }),
+    log('2026-10-02', [rice], { totalKcal: 400, totalProtein: 4, totalCarbs: 44, totalFat: 0.4 }),
+  ];
+  const mismatches = findTotalMismatches(logs);
+  assert.deepEqual(mismatches.map(({ log: { date }, expected }) => [date, expected.totalKcal]), [['2026-10-02', 200]]);
+});
+
+test('findEmptyLogs finds days without entries', () => {
+  assert.deepEqual(findEmptyLogs([log('2026-10-01', [rice]), log('2026-10-02', [])]).map(l => l.date), ['2026-10-02']);
+});
+
+test('findOrphanedLinks finds links to deleted foods in logs, templates and recipes', () => {
+  const foods = [{ _id: 'f1', name: 'Rice' }, { _id: 'f2', name: 'Fried Rice', ingredients: [{ _id: 'i1', food: 'gone', name: 'Egg' }] }];
+  const templates = [{ _id: 't1', items: [{ _id: 'i2', food: 'f1' }, { _id: 'i3', food: 'gone' }, { _id: 'i4' }] }];
+  const logs = [log('2026-10-01', [rice, { ...rice, _id: 'e2', food: 'gone' }])];
+  const orphans = findOrphanedLinks({ logs, foods, templates });
+  assert.deepEqual(orphans.map(({ model, path, item }) => [model, path, item._id]), [
+    ['Log', 'entries', 'e2'],
+    ['MealTemplate', 'items', 'i3'],
+    ['Food', 'ingredients', 'i1'],
+  ]);
+});
+
+test('describeTotals rounds to a tenth', () => {
+  assert.equal(describeTotals({ totalKcal: 1850, totalProtein: 92.04, totalCarbs: 210, totalFat: 61.26 }), '1850 kcal, P 92g, C 210g, F 61.3g');
+});
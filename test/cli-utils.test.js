@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXIT_CODES, parseCommandLine, resolveFoodMatch } from '../cli-utils.js';
+
+const results = (...names) => names.map(name => ({ item: { name } }));
+
+test('parseCommandLine splits the command, its arguments and options', () => {
+  const parsed = parseCommandLine(['add', 'Pad Thai', '--qty', '2', '-s', 'Lunch', '--first']);
+  assert.equal(parsed.command, 'add');
+  assert.deepEqual(parsed.args, ['Pad Thai']);
+  assert.equal(parsed.options.qty, '2');
+  assert.equal(parsed.options.slot, 'Lunch');
+  assert.equal(parsed.options.first, true);
+});
+
+test('parseCommandLine turns --help into the help command', () => {
+  assert.equal(parseCommandLine(['today', '--help']).command, 'help');
+});
+
+test('parseCommandLine reports unknown options instead of throwing', () => {
+  assert.ok(parseCommandLine(['today', '--bogus']).error);
+});
+
+test('resolveFoodMatch fails with NOT_FOUND when nothing matched', () => {
+  assert.equal(resolveFoodMatch([], 'nothing').status, EXIT_CODES.NOT_FOUND);
+});
+
+test('resolveFoodMatch prefers an exact, case-insensitive name', () => {
+  const { food } = resolveFoodMatch(results('Rice (Cooked)', 'rice', 'Rice Noodles'), ' RICE ');
+  assert.equal(food.name, 'rice');
+});
+
+test('resolveFoodMatch takes a lone result', () => {
+  assert.equal(resolveFoodMatch(results('Pad Thai'), 'pad').food.name, 'Pad Thai');
+});
+
+test('resolveFoodMatch is ambiguous on several inexact results unless told to take the first', () => {
+  const several = results('Pad Thai', 'Pad Kra Pao');
+  const ambiguous = resolveFoodMatch(several, 'pad');
+  assert.equal(ambiguous.status, EXIT_CODES.AMBIGUOUS);
+  assert.deepEqual(ambiguous.candidates.map(food => food.name), ['Pad Thai', 'Pad Kra Pao']);
+  assert.equal(resolveFoodMatch(several, 'pad', true).food.name, 'Pad Thai');
+});
+
+test('parseCommandLine takes a days-ago --date written as -2d, with or without =', () => {
+  assert.equal(parseCommandLine(['add', 'Rice', '--date', '-2d']).options.date, '-2d');
+  assert.equal(parseCommandLine(['add', 'Rice', '--date=-2d']).options.date, '-2d');
+  assert.deepEqual(parseCommandLine(['add', 'Rice', '--date', '-2d']).args, ['Rice']);
+});
+
+test('resolveFoodMatch takes an exact alias as it would a name', () => {
+  const found = [{ item: { name: 'Pad Kra Pao', aliases: ['ผัดกะเพรา', 'Basil Pork'] } }, { item: { name: 'Basil Chicken' } }];
+  assert.equal(resolveFoodMatch(found, 'basil pork').food.name, 'Pad Kra Pao');
+});
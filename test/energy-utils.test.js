@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isProfileComplete, calculateTdee, calculateAdaptiveTdee, suggestDailyGoal } from '../energy-utils.js';
+import { addDays } from '../utils.js';
+
+const profile = { sex: 'male', age: 30, heightCm: 180, activityLevel: 'moderate' };
+
+test('isProfileComplete needs sex, age, height and activity level', () => {
+  assert.equal(isProfileComplete(profile), true);
+  assert.equal(isProfileComplete({ ...profile, activityLevel: 'couch' }), false);
+  assert.equal(isProfileComplete(null), false);
+});
+
+test('calculateTdee applies Mifflin-St Jeor and the activity factor', () => {
+  assert.deepEqual(calculateTdee(profile, 80), { bmr: 1780, factor: 1.55, tdee: 2759 });
+  assert.equal(calculateTdee({ ...profile, sex: 'female' }, 80).bmr, 1614);
+});
+
+test('calculateAdaptiveTdee adds back the energy the lost weight supplied', () => {
+  const trend = [{ date: '2026-10-01', trend: 80 }, { date: '2026-10-15', trend: 79 }];
+  const logs = Array.from({ length: 14 }, (_, i) => ({ date: addDays('2026-10-02', i), totalKcal: 2000 }));
+  const estimate = calculateAdaptiveTdee(trend, logs);
+  assert.equal(estimate.tdee, 2550);
+  assert.equal(estimate.loggedDays, 14);
+  assert.equal(estimate.spanDays, 14);
+
+  assert.equal(calculateAdaptiveTdee(trend, logs.slice(0, 9)), null);
+  assert.equal(calculateAdaptiveTdee([trend[0], { date: '2026-10-10', trend: 79 }], logs), null);
+});
+
+test('suggestDailyGoal rounds to 10 kcal and never goes below the minimum', () => {
+  assert.deepEqual(suggestDailyGoal(2550, -0.5, 'male'), { goal: 2000, dailyAdjustment: -550, minimum: 1500, floored: false });
+  assert.deepEqual(suggestDailyGoal(1500, -0.5, 'female'), { goal: 1200, dailyAdjustment: -550, minimum: 1200, floored: true });
+});
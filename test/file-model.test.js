@@ -0,0 +1,34 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import createFileModel from '../storage/file-model.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrack-test-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const Item = createFileModel(mongoose.model('FileModelTestItem', new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  code: { type: String, unique: true, sparse: true },
+  kcal: { type: Number, default: 0 },
+})), dataDir);
+
+test('insertMany casts, stores and hands back documents', async () => {
+  const [rice] = await Item.insertMany([{ name: 'Rice', kcal: '200' }]);
+  assert.equal(rice.kcal, 200);
+  assert.equal((await Item.findOne({ name: 'Rice' })).kcal, 200);
+});
+
+test('insertMany rejects a unique key that is already stored or repeated in the batch', async () => {
+  await assert.rejects(Item.insertMany([{ name: 'Rice' }]), { code: 11000 });
+  await assert.rejects(Item.insertMany([{ name: 'Soup' }, { name: 'Soup' }]), { code: 11000 });
+  assert.equal(await Item.countDocuments({ name: 'Soup' }), 0);
+});
+
+test('a sparse unique index only applies to documents that have the field', async () => {
+  await Item.insertMany([{ name: 'Tea' }, { name: 'Coffee' }, { name: 'Cola', code: '1' }]);
+  await assert.rejects(Item.create({ name: 'Cola Zero', code: '1' }), { code: 11000 });
+  assert.deepEqual((await Item.find({ name: { $in: ['Tea', 'Coffee', 'Cola'] } })).map(item => item.name).sort(), ['Coffee', 'Cola', 'Tea']);
+});
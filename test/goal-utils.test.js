@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_DAILY_GOAL, EARLIEST_DATE, getWeekday, getGoalForDate, addGoalChange, describeGoal } from '../goal-utils.js';
+
+// 2026-10-17 is a Saturday
+const weekendGoals = [2400, 0, 0, 0, 0, 0, 2400];
+
+test('getWeekday reads the weekday from the date alone', () => {
+  assert.equal(getWeekday('2026-10-17'), 6);
+  assert.equal(getWeekday('2026-10-18'), 0);
+});
+
+test('addGoalChange keeps the goal that applied before the first change', () => {
+  const history = addGoalChange({ dailyGoal: 1800, goalHistory: [] }, { effectiveDate: '2026-10-01', dailyGoal: 2200 });
+  assert.deepEqual(history.map(entry => [entry.effectiveDate, entry.dailyGoal]), [[EARLIEST_DATE, 1800], ['2026-10-01', 2200]]);
+});
+
+test('addGoalChange replaces a change on the same date', () => {
+  const config = { dailyGoal: 1800, goalHistory: addGoalChange({ dailyGoal: 1800 }, { effectiveDate: '2026-10-01', dailyGoal: 2200 }) };
+  const history = addGoalChange(config, { effectiveDate: '2026-10-01', dailyGoal: 2100 });
+  assert.deepEqual(history.map(entry => entry.dailyGoal), [1800, 2100]);
+});
+
+test('getGoalForDate judges each day by the goal in effect then, with weekday goals', () => {
+  const goalHistory = addGoalChange({ dailyGoal: 1800 }, { effectiveDate: '2026-10-10', dailyGoal: 2000, weekdayGoals: weekendGoals });
+  const config = { dailyGoal: 2000, goalHistory };
+  assert.equal(getGoalForDate(config, '2026-10-01'), 1800);
+  assert.equal(getGoalForDate(config, '2026-10-16'), 2000);
+  assert.equal(getGoalForDate(config, '2026-10-17'), 2400);
+  assert.equal(getGoalForDate({ dailyGoal: 1500, goalHistory: [] }, '2026-10-17'), 1500);
+  assert.equal(getGoalForDate(null, '2026-10-17'), DEFAULT_DAILY_GOAL);
+});
+
+test('describeGoal lists weekday goals that differ, Monday first', () => {
+  assert.equal(describeGoal({ dailyGoal: 2000, weekdayGoals: weekendGoals }), '2000 kcal (Sat 2400, Sun 2400)');
+  assert.equal(describeGoal({ dailyGoal: 2000 }), '2000 kcal');
+});
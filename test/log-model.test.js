@@ -0,0 +1,37 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Log from '../models/Log.js';
+import { useFileStorage, useMongoStorage } from '../storage/index.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrack-test-'));
+useFileStorage(dataDir);
+after(() => {
+  useMongoStorage();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const filter = { profileName: 'Alex', date: '2026-10-01' };
+const entry = (name, kcal, fat) => ({ name, kcal, fat, time: '12:00', timeSlot: 'Afternoon' });
+
+test('update pipelines on the file backend keep a log\'s totals in step with its entries', async () => {
+  const append = (entries) => [{ $set: { entries: { $concatArrays: [{ $ifNull: ['$entries', []] }, { $literal: entries }] } } }];
+  const options = { updatePipeline: true, new: true, upsert: true };
+
+  await Log.findOneAndUpdate(filter, append([entry('Rice', 200, 0.4)]), options);
+  const log = await Log.findOneAndUpdate(filter, append([entry('Soup', 90, 2.25)]), options);
+  assert.deepEqual(log.entries.map(e => e.name), ['Rice', 'Soup']);
+  assert.equal(log.totalKcal, 290);
+  assert.equal(log.totalFat, 2.7);
+
+  const [rice] = log.entries;
+  const pulled = await Log.findOneAndUpdate(
+    { _id: log._id },
+    [{ $set: { entries: { $filter: { input: '$entries', cond: { $ne: ['$$this._id', rice._id] } } } } }],
+    { updatePipeline: true, new: true }
+  );
+  assert.equal(pulled.totalKcal, 90);
+  assert.equal(await Log.countDocuments(filter), 1);
+});
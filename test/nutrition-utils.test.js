@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkMacroConsistency,
+  inferCategory,
+  resolveMacroTargets,
+  checkMacroTargets,
+  scaleNutrition,
+  calculateRecipeNutrition,
+  parseQuantity,
+  formatQuantity,
+} from '../nutrition-utils.js';
+
+test('parseQuantity reads servings, fractions and grams', () => {
+  assert.equal(parseQuantity('2'), 2);
+  assert.equal(parseQuantity('.5'), 0.5);
+  assert.equal(parseQuantity('1 / 2'), 0.5);
+  assert.equal(parseQuantity('150g', 300), 0.5);
+  assert.equal(parseQuantity('150g'), null);
+  assert.equal(parseQuantity('0'), null);
+  assert.equal(parseQuantity('two'), null);
+});
+
+test('scaleNutrition multiplies a serving and rounds', () => {
+  assert.deepEqual(scaleNutrition({ kcal: 245, protein: 5.5, carbs: 50, fat: 1 }, 1.5), { kcal: 368, protein: 8, carbs: 75, fat: 2 });
+});
+
+test('formatQuantity drops trailing zeros', () => {
+  assert.equal(formatQuantity(2), 'x2');
+  assert.equal(formatQuantity(1 / 3), 'x0.33');
+  assert.equal(formatQuantity(), 'x1');
+});
+
+test('checkMacroConsistency allows 10% or 10 kcal, whichever is more', () => {
+  assert.deepEqual(checkMacroConsistency(500, 20, 60, 20), { calculated: 500, difference: 0, isConsistent: true });
+  assert.equal(checkMacroConsistency(550, 20, 60, 20).isConsistent, true);
+  assert.equal(checkMacroConsistency(600, 20, 60, 20).isConsistent, false);
+  assert.equal(checkMacroConsistency(12, 1, 0, 0).isConsistent, true);
+});
+
+test('inferCategory picks the macro that dominates the calories', () => {
+  assert.equal(inferCategory(31, 0, 3.6), 'protein-heavy');
+  assert.equal(inferCategory(25, 20, 50), 'fat-heavy');
+  assert.equal(inferCategory(4, 44, 0.4), 'carb-heavy');
+  assert.equal(inferCategory(20, 40, 15), 'mixed');
+  assert.equal(inferCategory(0, 0, 0), 'mixed');
+});
+
+test('calculateRecipeNutrition adds up the ingredients and divides by the servings', () => {
+  const rice = { kcal: 200, protein: 4, carbs: 44, fat: 0.4 };
+  const egg = { kcal: 90, protein: 6, carbs: 0.5, fat: 7 };
+  assert.deepEqual(calculateRecipeNutrition([{ food: rice, quantity: 2 }, { food: egg, quantity: 3 }], 2), {
+    kcal: 335, protein: 13, carbs: 45, fat: 11,
+  });
+});
+
+test('resolveMacroTargets turns percentages of the calorie goal into grams', () => {
+  assert.deepEqual(resolveMacroTargets({ mode: 'percent', protein: 30, carbs: 40, fat: 30 }, 2000), { protein: 150, carbs: 200, fat: 67 });
+  assert.deepEqual(resolveMacroTargets({ mode: 'grams', protein: 120, carbs: 250, fat: 70 }, 2000), { protein: 120, carbs: 250, fat: 70 });
+  assert.equal(resolveMacroTargets({ mode: 'grams', protein: 120 }, 2000), null);
+});
+
+test('checkMacroTargets treats protein as a minimum and carbs and fat as limits', () => {
+  const result = checkMacroTargets({ protein: 150, carbs: 210, fat: 60 }, { protein: 150, carbs: 200, fat: 67 });
+  assert.deepEqual([result.protein.met, result.carbs.met, result.fat.met, result.allMet], [true, false, true, false]);
+});
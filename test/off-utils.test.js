@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBarcode, isBarcode, detectOffFormat, createOffCsvParser, parseOffJsonLine, isSoldIn, toOffFood } from '../off-utils.js';
+
+const header = 'code\tproduct_name\tbrands\tcountries_tags\tserving_quantity\tenergy-kcal_100g\tenergy_100g\tproteins_100g\tcarbohydrates_100g\tfat_100g';
+
+test('normalizeBarcode pads UPC and EAN-8 codes to 13 digits', () => {
+  assert.equal(normalizeBarcode('012345678905'), '0012345678905');
+  assert.equal(normalizeBarcode('8850 9992 2000 0'), '8850999220000');
+  assert.equal(normalizeBarcode('1234'), null);
+  assert.equal(isBarcode('Pad Thai'), false);
+});
+
+test('detectOffFormat tells the CSV and JSONL exports apart', () => {
+  assert.equal(detectOffFormat(`\uFEFF${header}`), 'csv');
+  assert.equal(detectOffFormat('{"code":"1"}'), 'jsonl');
+  assert.equal(detectOffFormat('date,time,name'), null);
+});
+
+test('toOffFood scales a CSV row to one serving and names it with its brand', () => {
+  const parse = createOffCsvParser(header);
+  const { food } = toOffFood(parse('8850999220000\tMilk tea\tIchitan,Other\ten:thailand\t310\t45\t\t1\t9\t0.8'));
+  assert.deepEqual(food, {
+    name: 'Milk tea (Ichitan)',
+    barcode: '8850999220000',
+    kcal: 140,
+    protein: 3.1,
+    carbs: 27.9,
+    fat: 2.5,
+    servingGrams: 310,
+    category: 'carb-heavy',
+  });
+});
+
+test('toOffFood falls back to kJ and per-100g servings and refuses implausible data', () => {
+  const { food } = toOffFood({ code: '5000112637922', product_name: 'Coca-Cola', brands: 'Coca-Cola', energy_100g: '180' });
+  assert.equal(food.name, 'Coca-Cola');
+  assert.equal(food.kcal, 43);
+  assert.equal(food.servingGrams, 100);
+
+  assert.match(toOffFood({ code: '5000112637922', product_name: 'Oil', 'energy-kcal_100g': '2000' }).error, /implausible/);
+  assert.match(toOffFood({ code: '5000112637922', product_name: 'Air' }).error, /no energy value/);
+  assert.match(toOffFood({ code: '5000112637922', 'energy-kcal_100g': '10' }).error, /no name/);
+});
+
+test('parseOffJsonLine flattens nutriments and country tags', () => {
+  const fields = parseOffJsonLine(JSON.stringify({
+    code: '8852222222222',
+    product_name_en: 'Apple',
+    countries_tags: ['en:thailand', 'en:united-kingdom'],
+    nutriments: { 'energy-kcal_100g': 52 },
+  }));
+  assert.equal(fields.product_name, 'Apple');
+  assert.equal(fields['energy-kcal_100g'], 52);
+  assert.equal(isSoldIn(fields, 'United Kingdom'), true);
+  assert.equal(isSoldIn(fields, 'france'), false);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matches, applyUpdate, seedFromFilter } from '../storage/query-utils.js';
+
+const day = () => ({
+  _id: 'log1',
+  date: '2026-10-01',
+  entries: [
+    { _id: 'e1', name: 'Rice', kcal: 200 },
+    { _id: 'e2', name: 'Soup', kcal: 90 },
+  ],
+});
+
+test('matches handles equality, $in with ids and array fields', () => {
+  const doc = day();
+  assert.equal(matches(doc, { date: '2026-10-01' }), true);
+  assert.equal(matches(doc, { date: { $in: ['2026-09-30', '2026-10-01'] } }), true);
+  assert.equal(matches(doc, { 'entries.name': 'Soup' }), true);
+  assert.equal(matches(doc, { 'entries.name': { $nin: ['Soup'] } }), false);
+});
+
+test('an update pipeline appends with $concatArrays, even to a missing array', () => {
+  const append = (entries) => [{ $set: { entries: { $concatArrays: [{ $ifNull: ['$entries', []] }, { $literal: entries }] } } }];
+  const doc = day();
+  applyUpdate(doc, append([{ _id: 'e3', name: 'Tea', kcal: 0 }]));
+  assert.deepEqual(doc.entries.map(entry => entry._id), ['e1', 'e2', 'e3']);
+
+  const fresh = seedFromFilter({ profileName: 'Alex', date: '2026-10-02' });
+  applyUpdate(fresh, append([{ _id: 'e4', name: '$not a path', kcal: 5 }]));
+  assert.deepEqual(fresh, { profileName: 'Alex', date: '2026-10-02', entries: [{ _id: 'e4', name: '$not a path', kcal: 5 }] });
+});
+
+test('an update pipeline removes an entry with $filter and $ne on $$this', () => {
+  const doc = day();
+  applyUpdate(doc, [{ $set: { entries: { $filter: { input: '$entries', cond: { $ne: ['$$this._id', 'e1'] } } } } }]);
+  assert.deepEqual(doc.entries.map(entry => entry._id), ['e2']);
+});
+
+test('an update pipeline changes one entry with $map, $cond and $mergeObjects', () => {
+  const doc = day();
+  applyUpdate(doc, [{ $set: { entries: { $map: {
+    input: '$entries',
+    in: { $cond: [{ $eq: ['$$this._id', 'e2'] }, { $mergeObjects: ['$$this', { $literal: { kcal: 120, food: null } }] }, '$$this'] },
+  } } } }]);
+  assert.deepEqual(doc.entries, [{ _id: 'e1', name: 'Rice', kcal: 200 }, { _id: 'e2', name: 'Soup', kcal: 120, food: null }]);
+});
+
+test('each stage sees the document as it was before the stage, and $unset removes fields', () => {
+  const doc = { a: 1, b: 2, c: 3 };
+  applyUpdate(doc, [{ $set: { a: '$b', b: '$a' } }, { $unset: ['c'] }]);
+  assert.deepEqual(doc, { a: 2, b: 1 });
+});
+
+test('pipeline operators the file backend lacks fail loudly', () => {
+  assert.throws(() => applyUpdate(day(), [{ $set: { total: { $sum: '$entries.kcal' } } }]), /Unsupported pipeline operator \$sum/);
+  assert.throws(() => applyUpdate(day(), [{ $project: { date: 1 } }]), /Unsupported pipeline stage \$project/);
+});
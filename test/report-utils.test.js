@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listDates, getMonthRange, getWeekStart, summarizeRange } from '../report-utils.js';
+
+test('listDates includes both ends and crosses months', () => {
+  assert.deepEqual(listDates('2026-01-30', '2026-02-02'), ['2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02']);
+  assert.deepEqual(listDates('2026-02-02', '2026-02-01'), []);
+});
+
+test('getMonthRange knows month lengths and rejects bad months', () => {
+  assert.deepEqual(getMonthRange('2028-02'), { from: '2028-02-01', to: '2028-02-29' });
+  assert.equal(getMonthRange('2026-13'), null);
+  assert.equal(getMonthRange('2026-1'), null);
+});
+
+test('getWeekStart gives the Monday, also for a Sunday', () => {
+  assert.equal(getWeekStart('2026-10-18'), '2026-10-12');
+  assert.equal(getWeekStart('2026-10-12'), '2026-10-12');
+});
+
+test('summarizeRange averages logged days only and leaves future days out', () => {
+  const logs = [
+    { date: '2026-10-17', totalKcal: 2200, totalProtein: 100, totalCarbs: 250, totalFat: 80 },
+    { date: '2026-10-18', totalKcal: 1800, totalProtein: 80, totalCarbs: 200, totalFat: 60 },
+  ];
+  const summary = summarizeRange(listDates('2026-10-16', '2026-10-19'), logs, () => 2000, '2026-10-18');
+  assert.deepEqual(summary.days.map(day => day.status), ['unlogged', 'over', 'under', 'future']);
+  assert.equal(summary.loggedDays, 2);
+  assert.equal(summary.overDays, 1);
+  assert.equal(summary.underDays, 1);
+  assert.equal(summary.unloggedDays, 1);
+  assert.deepEqual(summary.averages, { kcal: 2000, protein: 90, carbs: 225, fat: 70, goal: 2000 });
+  assert.deepEqual(summary.weeks.map(week => [week.weekStart, week.loggedDays, week.averageKcal]), [
+    ['2026-10-12', 2, 2000],
+    ['2026-10-19', 0, 0],
+  ]);
+});
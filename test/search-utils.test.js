@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFoodStats, createFoodSearch } from '../search-utils.js';
+
+const foods = [
+  { _id: 'a', name: 'Pad Thai', aliases: ['ผัดไทย'], tags: ['noodles'] },
+  { _id: 'b', name: 'Pad See Ew', aliases: [], tags: ['noodles'] },
+  { _id: 'c', name: 'Iced Coffee', aliases: ['Oliang'], tags: ['coffee'] },
+];
+const logs = [
+  { date: '2026-10-01', entries: [{ food: 'b', time: '12:30', timeSlot: 'Afternoon' }, { food: 'b', time: '13:00', timeSlot: 'Afternoon' }] },
+  { date: '2026-10-02', entries: [{ food: 'c', time: '08:00', timeSlot: 'Morning' }] },
+];
+const stats = buildFoodStats(logs, entry => entry.food);
+
+test('buildFoodStats counts each food with its latest use and time slots', () => {
+  assert.deepEqual(stats.get('b'), { count: 2, lastLogged: '2026-10-01 13:00', slots: { Afternoon: 2 } });
+});
+
+test('an empty search suggests recent foods', () => {
+  const search = createFoodSearch(foods, { stats });
+  assert.deepEqual(search('').map(result => [result.item.name, result.tag]), [['Iced Coffee', 'recent'], ['Pad See Ew', 'recent']]);
+});
+
+test('usage lifts a food above an equally close name', () => {
+  const names = (results) => results.map(result => result.item.name);
+  assert.deepEqual(names(createFoodSearch(foods)('pad')), ['Pad Thai', 'Pad See Ew']);
+  assert.deepEqual(names(createFoodSearch(foods, { stats, slot: 'Afternoon' })('pad')), ['Pad See Ew', 'Pad Thai']);
+});
+
+test('a search by alias says which alias matched', () => {
+  const [result] = createFoodSearch(foods)('oliang');
+  assert.equal(result.item.name, 'Iced Coffee');
+  assert.equal(result.alias, 'Oliang');
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateMacros } from '../nutrition-utils.js';
+import { seedHash, isLegacySeed, diffSeedFields, planPackUpdate } from '../seed-utils.js';
+
+const item = (name, kcal, extra = {}) => ({ key: name.toLowerCase(), name, kcal, protein: 10, carbs: 20, fat: 5, category: 'mixed', ...extra });
+
+// A food seeded from an item, optionally changed afterwards
+const seeded = (seedItem, changes = {}) => ({
+  _id: `id-${seedItem.key}`,
+  ...seedItem,
+  ...changes,
+  seed: { pack: 'thai', key: seedItem.key, version: 1, hash: seedHash(seedItem) },
+});
+
+test('seedHash ignores defaults that are filled in either way', () => {
+  assert.equal(seedHash({ name: 'Tea', kcal: 0 }), seedHash({ name: 'Tea', kcal: 0, protein: 0, category: 'mixed', aliases: [] }));
+  assert.notEqual(seedHash({ name: 'Tea', kcal: 0 }), seedHash({ name: 'Tea', kcal: 1 }));
+});
+
+test('isLegacySeed recognizes untouched foods from the old seed list', () => {
+  assert.equal(isLegacySeed({ name: 'Pad Thai', kcal: 700, ...estimateMacros(700, 'mixed') }), true);
+  assert.equal(isLegacySeed({ name: 'Pad Thai', kcal: 700, protein: 1, carbs: 2, fat: 3 }), false);
+});
+
+test('diffSeedFields lists the fields that differ', () => {
+  assert.deepEqual(diffSeedFields(item('Rice', 200), item('Rice', 210, { tags: ['rice'] })), ['kcal', 'tags']);
+});
+
+test('planPackUpdate sorts items into added, changed, edited and unchanged', () => {
+  const rice = item('Rice', 200);
+  const soup = item('Soup', 90);
+  const tea = item('Tea', 30);
+  const foods = [seeded(rice), seeded(item('Soup', 80)), seeded(item('Tea', 25), { kcal: 40 })];
+  const pack = { id: 'thai', version: 2, foods: [rice, soup, tea, item('Jok', 300)] };
+
+  const plan = planPackUpdate(pack, foods);
+  assert.deepEqual(plan.added.map(i => i.name), ['Jok']);
+  assert.deepEqual(plan.unchanged.map(({ item: i }) => i.name), ['Rice']);
+  assert.deepEqual(plan.changed.map(({ item: i, fields }) => [i.name, fields]), [['Soup', ['kcal']]]);
+  assert.deepEqual(plan.edited.map(({ item: i, fields }) => [i.name, fields]), [['Tea', ['kcal']]]);
+  assert.deepEqual(plan.link, []);
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('planPackUpdate links legacy namesakes, reports edited ones as conflicts and changes nothing', () => {
+  const padThai = item('Pad Thai', 650);
+  const legacy = { _id: 'a', name: 'pad thai', kcal: 700, ...estimateMacros(700, 'mixed') };
+  const mine = { _id: 'b', name: 'Jok', kcal: 123, protein: 4, carbs: 20, fat: 2 };
+  const foods = [legacy, mine];
+  const before = JSON.stringify(foods);
+
+  const plan = planPackUpdate({ id: 'thai', version: 1, foods: [padThai, item('Jok', 300)] }, foods);
+  assert.deepEqual(plan.link.map(({ food }) => [food._id, food.seed.key]), [['a', 'pad thai']]);
+  assert.deepEqual(plan.changed.map(({ food }) => food._id), ['a']);
+  assert.deepEqual(plan.conflicts.map(({ food }) => food._id), ['b']);
+  assert.equal(JSON.stringify(foods), before);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dayMeetsRules, findStreaks, describeStreakRules } from '../streak-utils.js';
+
+// Oct 12, 2026 is a Monday; the dates listed are the days that met the rules
+const metOn = (...days) => (date) => days.includes(Number(date.slice(8)));
+const from = '2026-10-05';
+
+test('dayMeetsRules checks calories, entry count and tolerance', () => {
+  const day = { kcal: 2100, entryCount: 3, goal: 2000, macroCheck: null };
+  assert.equal(dayMeetsRules(day), false);
+  assert.equal(dayMeetsRules(day, { tolerancePercent: 10 }), true);
+  assert.equal(dayMeetsRules({ ...day, kcal: 1900 }, { minEntries: 4 }), false);
+  assert.equal(dayMeetsRules({ ...day, kcal: 0, entryCount: 0 }), false);
+});
+
+test('dayMeetsRules only asks for macro targets when there are some', () => {
+  const day = { kcal: 1900, entryCount: 2, goal: 2000 };
+  const macroCheck = { protein: { met: true }, carbs: { met: false }, fat: { met: true } };
+  assert.equal(dayMeetsRules({ ...day, macroCheck }, { requireMacros: true }), false);
+  assert.equal(dayMeetsRules({ ...day, macroCheck: null }, { requireMacros: true }), true);
+});
+
+test('findStreaks ends a streak on a missed day without grace days', () => {
+  const { streaks, current, longest } = findStreaks(from, '2026-10-16', metOn(12, 13, 15, 16));
+  assert.deepEqual(streaks.map(({ start, length }) => [start, length]), [['2026-10-12', 2], ['2026-10-15', 2]]);
+  assert.equal(current, 2);
+  assert.equal(longest, 2);
+});
+
+test('findStreaks bridges a missed day with a grace day without counting it', () => {
+  const { streaks, current } = findStreaks(from, '2026-10-16', metOn(12, 13, 15, 16), 1);
+  assert.deepEqual(streaks, [{ start: '2026-10-12', end: '2026-10-16', length: 4, graceDays: 1 }]);
+  assert.equal(current, 4);
+});
+
+test('findStreaks allows only so many grace days per week and gives them back on Monday', () => {
+  const sameWeek = findStreaks(from, '2026-10-16', metOn(12, 14, 16), 1);
+  assert.deepEqual(sameWeek.streaks.map(({ length }) => length), [2, 1]);
+
+  const acrossWeeks = findStreaks(from, '2026-10-14', metOn(9, 11, 13, 14), 1);
+  assert.deepEqual(acrossWeeks.streaks, [{ start: '2026-10-09', end: '2026-10-14', length: 4, graceDays: 2 }]);
+});
+
+test('findStreaks neither counts a trailing grace day nor lets today break the streak', () => {
+  const trailing = findStreaks(from, '2026-10-16', metOn(13, 14), 1);
+  assert.deepEqual(trailing.streaks, [{ start: '2026-10-13', end: '2026-10-14', length: 2, graceDays: 0 }]);
+
+  assert.equal(findStreaks(from, '2026-10-15', metOn(13, 14)).current, 2);
+});
+
+test('describeStreakRules lists the rules that differ from the defaults', () => {
+  assert.equal(describeStreakRules(), 'at or under goal');
+  assert.equal(
+    describeStreakRules({ tolerancePercent: 10, minEntries: 2, requireMacros: true, graceDaysPerWeek: 1 }),
+    'within ±10% of goal, 2+ entries, macro targets met, 1 grace day per week'
+  );
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENTRY_COLUMNS, toCsv, logsToEntryRows, readCsvEntries, readJsonEntries, planImport } from '../transfer-utils.js';
+
+const rice = { time: '12:30', timeSlot: 'Afternoon', name: 'Rice', quantity: 1, kcal: 200, protein: 4, carbs: 44, fat: 0.4 };
+const csv = (...lines) => [ENTRY_COLUMNS.join(','), ...lines].join('\n');
+
+test('readCsvEntries reads our own export and reports bad rows by line', () => {
+  const { format, entries, errors } = readCsvEntries(csv(
+    '2026-10-01,12:30,Afternoon,Rice,1,200,4,44,0.4',
+    'not-a-date,12:30,Afternoon,Rice,1,200,4,44,0.4',
+  ));
+  assert.equal(format, 'caltrack');
+  assert.equal(entries.length, 1);
+  assert.deepEqual(entries[0], { date: '2026-10-01', ...rice });
+  assert.deepEqual(errors.map(error => error.line), [3]);
+});
+
+test('planImport keeps two identical rows from one file', () => {
+  const { entries } = readCsvEntries(csv(
+    '2026-10-01,12:30,Afternoon,Rice,1,200,4,44,0.4',
+    '2026-10-01,12:30,Afternoon,Rice,1,200,4,44,0.4',
+  ));
+  const { toAdd, duplicates } = planImport(entries, []);
+  assert.equal(toAdd.length, 2);
+  assert.equal(duplicates.length, 0);
+});
+
+test('planImport skips each stored entry once, so an export imports back without changes', () => {
+  const logs = [{ date: '2026-10-01', entries: [rice, rice, { ...rice, time: '19:00', name: 'Soup', kcal: 90 }] }];
+  const { entries } = readCsvEntries(toCsv(logsToEntryRows(logs), ENTRY_COLUMNS));
+  const { toAdd, duplicates } = planImport(entries, logs);
+  assert.equal(toAdd.length, 0);
+  assert.equal(duplicates.length, 3);
+
+  const again = planImport([...entries, { date: '2026-10-01', ...rice }], logs);
+  assert.equal(again.toAdd.length, 1);
+});
+
+test('planImport tells entries apart by quantity', () => {
+  const logs = [{ date: '2026-10-01', entries: [rice] }];
+  const { toAdd } = planImport([{ date: '2026-10-01', ...rice, quantity: 2 }], logs);
+  assert.equal(toAdd.length, 1);
+});
+
+test('readJsonEntries reads the logs of our JSON export', () => {
+  const { entries, errors } = readJsonEntries(JSON.stringify({ logs: [{ date: '2026-10-01', entries: [rice] }] }));
+  assert.deepEqual(entries, [{ date: '2026-10-01', ...rice }]);
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeUsage, applyFoodToEntries, totalEntries } from '../usage-utils.js';
+
+const logs = [
+  { date: '2026-10-02', entries: [{ name: 'Rice', food: 'r', quantity: 2, kcal: 400 }, { name: 'Rice', food: 'r', kcal: 200 }] },
+  { date: '2026-10-01', entries: [{ name: 'White rice', food: 'r', kcal: 200 }, { name: 'Soup', kcal: 90 }] },
+];
+
+test('summarizeUsage tallies each food under its latest name, most eaten first', () => {
+  const usage = summarizeUsage(logs, entry => entry.food || entry.name);
+  assert.deepEqual(usage[0], {
+    key: 'r', name: 'Rice', count: 3, days: 2, servings: 4, totalKcal: 800, firstEaten: '2026-10-01', lastEaten: '2026-10-02',
+  });
+  assert.deepEqual(usage.map(food => food.name), ['Rice', 'Soup']);
+});
+
+test('applyFoodToEntries rewrites matching entries for their own quantity', () => {
+  const food = { _id: 'r', name: 'Jasmine rice', kcal: 210, protein: 4, carbs: 46, fat: 3 };
+  const { entries, changed } = applyFoodToEntries(logs[0].entries, food, entry => entry.food === 'r');
+  assert.equal(changed, 2);
+  assert.deepEqual(entries.map(entry => [entry.name, entry.quantity, entry.kcal, entry.fat]), [
+    ['Jasmine rice', 2, 420, 6],
+    ['Jasmine rice', undefined, 210, 3],
+  ]);
+});
+
+test('totalEntries sums to a tenth, treating missing macros as zero', () => {
+  assert.deepEqual(totalEntries([{ kcal: 200, fat: 0.1 }, { kcal: 90, fat: 0.2, protein: 3 }]), {
+    totalKcal: 290, totalProtein: 3, totalCarbs: 0, totalFat: 0.3,
+  });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getTimeSlot,
+  findTimeSlot,
+  sortTimeSlots,
+  groupEntriesBySlot,
+  isValidDateString,
+  addDays,
+  parseDateInput,
+} from '../utils.js';
+
+const slots = [
+  { name: 'Breakfast', startHour: 6, order: 1 },
+  { name: 'Pre-workout', startHour: 16, order: 3 },
+  { name: 'Lunch', startHour: 11, order: 2 },
+  { name: 'Late snack', startHour: 22, order: 4 },
+];
+
+test('getTimeSlot picks the latest slot started by then, wrapping past midnight', () => {
+  assert.equal(getTimeSlot(12, slots), 'Lunch');
+  assert.equal(getTimeSlot(16, slots), 'Pre-workout');
+  assert.equal(getTimeSlot(2, slots), 'Late snack');
+});
+
+test('findTimeSlot ignores case and spaces', () => {
+  assert.equal(findTimeSlot(' pre-WORKOUT ', slots), 'Pre-workout');
+  assert.equal(findTimeSlot('Dinner', slots), null);
+});
+
+test('groupEntriesBySlot follows slot order and keeps entries of removed slots', () => {
+  const entries = [
+    { timeSlot: 'Lunch', time: '12:30' },
+    { timeSlot: 'Brunch', time: '10:00' },
+    { timeSlot: 'Breakfast', time: '07:00' },
+    { timeSlot: 'Lunch', time: '11:15' },
+  ];
+  const groups = groupEntriesBySlot(entries, sortTimeSlots(slots));
+  assert.deepEqual(groups.map(group => [group.slot.name, group.items.map(item => item.index)]), [
+    ['Breakfast', [2]],
+    ['Lunch', [3, 0]],
+    ['Brunch', [1]],
+  ]);
+});
+
+test('isValidDateString rejects dates that are not on the calendar', () => {
+  assert.equal(isValidDateString('2028-02-29'), true);
+  assert.equal(isValidDateString('2026-02-29'), false);
+  assert.equal(isValidDateString('2026-10-1'), false);
+});
+
+test('addDays crosses months and years', () => {
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('parseDateInput reads today, yesterday, days ago and dates', () => {
+  const today = '2026-10-18';
+  assert.equal(parseDateInput('', today), today);
+  assert.equal(parseDateInput(' Yesterday ', today), '2026-10-17');
+  assert.equal(parseDateInput('-2d', today), '2026-10-16');
+  assert.equal(parseDateInput('2d', today), '2026-10-16');
+  assert.equal(parseDateInput('-3', today), '2026-10-15');
+  assert.equal(parseDateInput('2026-10-01', today), '2026-10-01');
+  assert.equal(parseDateInput('last week', today), null);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { daysBetween, calculateTrend, calculateWeeklyRate, formatWeeklyRate } from '../weight-utils.js';
+
+test('daysBetween counts calendar days', () => {
+  assert.equal(daysBetween('2026-02-27', '2026-03-01'), 2);
+  assert.equal(daysBetween('2026-10-18', '2026-10-18'), 0);
+});
+
+test('calculateTrend sorts weigh-ins and lets a gap pull the trend further', () => {
+  const trend = calculateTrend([
+    { date: '2026-10-04', weight: 82 },
+    { date: '2026-10-01', weight: 80 },
+    { date: '2026-10-02', weight: 81 },
+  ]);
+  assert.deepEqual(trend.map(point => [point.date, point.trend]), [
+    ['2026-10-01', 80],
+    ['2026-10-02', 80.1],
+    ['2026-10-04', 80.46],
+  ]);
+});
+
+test('calculateWeeklyRate compares against about two weeks back', () => {
+  const points = [
+    { date: '2026-09-20', trend: 81 },
+    { date: '2026-10-01', trend: 80.5 },
+    { date: '2026-10-04', trend: 80 },
+    { date: '2026-10-18', trend: 79 },
+  ];
+  assert.equal(calculateWeeklyRate(points), -0.5);
+  assert.equal(calculateWeeklyRate(points.slice(0, 1)), null);
+});
+
+test('formatWeeklyRate signs gains and says n/a without data', () => {
+  assert.equal(formatWeeklyRate(0.25), '+0.25 kg/week');
+  assert.equal(formatWeeklyRate(-0.5), '-0.50 kg/week');
+  assert.equal(formatWeeklyRate(null), 'n/a');
+});
@@ -0,0 +1,338 @@
+import { DEFAULT_TIME_SLOTS, getTimeSlot, findTimeSlot, isValidDateString } from './utils.js';
+
+/**
+ * Column order for exported and imported log entries.
+ */
+const ENTRY_COLUMNS = ['date', 'time', 'timeSlot', 'name', 'quantity', 'kcal', 'protein', 'carbs', 'fat'];
+
+const FOOD_COLUMNS = ['name', 'kcal', 'protein', 'carbs', 'fat', 'category', 'servingGrams', 'barcode'];
+
+// Typical times for the meal names other trackers use; they pick the time slot when the export has no time
+const MEAL_TIMES = {
+  breakfast: '08:00',
+  lunch: '13:00',
+  dinner: '19:00',
+  snacks: '22:00',
+  snack: '22:00',
+};
+
+const escapeCsvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows as CSV with a header line.
+ * @param {Object[]} rows - Objects keyed by column name.
+ * @param {string[]} columns - Columns to write, in order.
+ * @returns {string} The CSV text.
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(','), ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))];
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Parses CSV text (quoted fields, escaped quotes, CRLF line endings) into rows of fields.
+ * @param {string} text - The CSV text.
+ * @returns {Array} Rows as { fields, line } where line is the 1-based line the row starts on.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  text = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      if (fields.some(f => f !== '')) rows.push({ fields, line: rowLine });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  if (fields.some(f => f !== '')) rows.push({ fields, line: rowLine });
+
+  return rows;
+};
+
+/**
+ * Flattens logs into one row per entry, ordered by date and time.
+ * @param {Object[]} logs - Log documents.
+ * @returns {Object[]} Rows keyed by ENTRY_COLUMNS.
+ */
+const logsToEntryRows = (logs) => {
+  return [...logs]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .flatMap(log => [...log.entries]
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .map(entry => ({
+        date: log.date,
+        time: entry.time,
+        timeSlot: entry.timeSlot,
+        name: entry.name,
+        quantity: entry.quantity,
+        kcal: entry.kcal,
+        protein: entry.protein,
+        carbs: entry.carbs,
+        fat: entry.fat,
+      })));
+};
+
+/**
+ * Normalizes "8:05", "20:05:00" or "8:05 PM" to "HH:mm".
+ * @param {string} text - The time as written in the import file.
+ * @returns {string|null} The time, or null if it can't be read.
+ */
+const parseTime = (text) => {
+  const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return 0;
+  return parseFloat(String(value).replace(/,/g, ''));
+};
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Detects which export a CSV header row comes from.
+ * @param {string[]} headers - The header fields.
+ * @returns {string|null} 'caltrack', 'mfp', 'cronometer', or null if unrecognized.
+ */
+const detectCsvFormat = (headers) => {
+  const names = new Set(headers.map(h => h.trim().toLowerCase()));
+  if (names.has('food name') && names.has('energy (kcal)')) return 'cronometer';
+  if (names.has('meal') && names.has('calories')) return 'mfp';
+  if (names.has('date') && names.has('name') && names.has('kcal')) return 'caltrack';
+  return null;
+};
+
+// Maps one raw record onto our entry fields, before validation
+const FORMAT_MAPPERS = {
+  caltrack: (get) => ({
+    date: get('date'),
+    time: get('time'),
+    timeSlot: get('timeslot'),
+    name: get('name'),
+    quantity: get('quantity'),
+    kcal: get('kcal'),
+    protein: get('protein'),
+    carbs: get('carbs'),
+    fat: get('fat'),
+  }),
+  mfp: (get) => ({
+    date: get('date'),
+    time: get('time'),
+    meal: get('meal'),
+    name: `${get('meal') || 'Meal'} (MyFitnessPal)`,
+    kcal: get('calories'),
+    protein: get('protein (g)'),
+    carbs: get('carbohydrates (g)'),
+    fat: get('fat (g)'),
+  }),
+  cronometer: (get) => ({
+    date: get('day'),
+    time: get('time'),
+    meal: get('group'),
+    name: get('food name'),
+    kcal: get('energy (kcal)'),
+    protein: get('protein (g)'),
+    carbs: get('carbs (g)'),
+    fat: get('fat (g)'),
+  }),
+};
+
+/**
+ * Validates a mapped record and fills in a missing time or slot.
+ * Slot names are matched against the user's slots; a slot or meal name that isn't one of them
+ * is replaced by the slot for the entry's time.
+ * @param {Object} raw - Fields from a FORMAT_MAPPERS function.
+ * @param {Object[]} [slots] - The user's time slots.
+ * @returns {Object} { entry } with date and entry fields, or { error }.
+ */
+const normalizeRecord = (raw, slots = DEFAULT_TIME_SLOTS) => {
+  const date = String(raw.date || '').trim();
+  if (!isValidDateString(date)) return { error: `invalid date "${date}" (expected YYYY-MM-DD)` };
+
+  const name = String(raw.name || '').trim();
+  if (!name) return { error: 'missing food name' };
+
+  const kcal = toNumber(raw.kcal);
+  const protein = toNumber(raw.protein);
+  const carbs = toNumber(raw.carbs);
+  const fat = toNumber(raw.fat);
+  if ([kcal, protein, carbs, fat].some(value => isNaN(value) || value < 0)) {
+    return { error: `invalid calories or macros for "${name}"` };
+  }
+
+  const quantity = raw.quantity === undefined || String(raw.quantity).trim() === '' ? 1 : toNumber(raw.quantity);
+  if (isNaN(quantity) || quantity <= 0) return { error: `invalid quantity "${raw.quantity}"` };
+
+  let time = raw.time ? parseTime(raw.time) : null;
+  if (raw.time && !time) return { error: `invalid time "${raw.time}"` };
+  const meal = String(raw.meal || '').trim().toLowerCase();
+  let timeSlot = findTimeSlot(raw.timeSlot || raw.meal, slots);
+  if (!time) {
+    const slot = slots.find(s => s.name === timeSlot);
+    time = MEAL_TIMES[meal] || (slot ? `${String(slot.startHour).padStart(2, '0')}:00` : '12:00');
+  }
+  if (!timeSlot) timeSlot = getTimeSlot(parseInt(time, 10), slots);
+
+  return {
+    entry: {
+      date,
+      time,
+      timeSlot,
+      name,
+      quantity,
+      kcal: Math.round(kcal),
+      protein: roundToTenth(protein),
+      carbs: roundToTenth(carbs),
+      fat: roundToTenth(fat),
+    },
+  };
+};
+
+/**
+ * Reads entries from CSV text in our own export shape or a MyFitnessPal/Cronometer export.
+ * @param {string} text - The CSV text.
+ * @param {string} [format] - Force a format instead of detecting it from the header.
+ * @param {Object[]} [slots] - The user's time slots.
+ * @returns {Object} { format, entries, errors } where errors are { line, message }.
+ */
+const readCsvEntries = (text, format, slots) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { format: format || null, entries: [], errors: [] };
+
+  const headers = header.fields.map(h => h.trim().toLowerCase());
+  format = format || detectCsvFormat(headers);
+  if (!FORMAT_MAPPERS[format]) return { format: null, entries: [], errors: [] };
+
+  const entries = [];
+  const errors = [];
+  rows.forEach(({ fields, line }) => {
+    const get = (column) => fields[headers.indexOf(column)];
+    const { entry, error } = normalizeRecord(FORMAT_MAPPERS[format](get), slots);
+    if (error) errors.push({ line, message: error });
+    else entries.push(entry);
+  });
+
+  return { format, entries, errors };
+};
+
+/**
+ * Reads entries from JSON: either our export ({ logs: [{ date, entries }] }) or a flat array of entry rows.
+ * @param {string} text - The JSON text.
+ * @param {Object[]} [slots] - The user's time slots.
+ * @returns {Object} { format, entries, errors } where errors are { line, message } and line is the record number.
+ */
+const readJsonEntries = (text, slots) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data)
+    ? data
+    : (data.logs || []).flatMap(log => (log.entries || []).map(entry => ({ ...entry, date: log.date })));
+
+  const entries = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const { entry, error } = normalizeRecord(record, slots);
+    if (error) errors.push({ line: index + 1, message: error });
+    else entries.push(entry);
+  });
+
+  return { format: 'json', entries, errors };
+};
+
+/**
+ * Builds the key used to recognize an entry that was already logged.
+ * @param {string} date - The log date.
+ * @param {Object} entry - The entry.
+ * @returns {string} The duplicate-detection key.
+ */
+const entryKey = (date, entry) => [
+  date,
+  entry.time,
+  entry.name.trim().toLowerCase(),
+  entry.quantity ?? 1,
+  Math.round(entry.kcal),
+].join('|');
+
+/**
+ * Splits imported entries into new ones and duplicates of entries already stored.
+ * Only stored entries count as duplicates: an entry logged twice stays twice, so each stored copy
+ * skips one matching import and repeats within the file itself are all kept.
+ * @param {Object[]} entries - Normalized entries with a date.
+ * @param {Object[]} existingLogs - Logs already stored for the dates involved.
+ * @returns {Object} { toAdd, duplicates }
+ */
+const planImport = (entries, existingLogs) => {
+  const stored = new Map();
+  existingLogs.forEach(log => log.entries.forEach(entry => {
+    const key = entryKey(log.date, entry);
+    stored.set(key, (stored.get(key) || 0) + 1);
+  }));
+  const toAdd = [];
+  const duplicates = [];
+
+  entries.forEach(entry => {
+    const key = entryKey(entry.date, entry);
+    const remaining = stored.get(key) || 0;
+    if (remaining > 0) {
+      stored.set(key, remaining - 1);
+      duplicates.push(entry);
+    } else {
+      toAdd.push(entry);
+    }
+  });
+
+  return { toAdd, duplicates };
+};
+
+export {
+  ENTRY_COLUMNS,
+  FOOD_COLUMNS,
+  toCsv,
+  parseCsv,
+  logsToEntryRows,
+  parseTime,
+  detectCsvFormat,
+  readCsvEntries,
+  readJsonEntries,
+  planImport,
+};
@@ -0,0 +1,59 @@
+import { scaleNutrition } from './nutrition-utils.js';
+
+/**
+ * Tallies how often each food was eaten.
+ * @param {Object[]} logs - Logs with date and entries.
+ * @param {Function} keyOf - (entry) => key shared by all entries of the same food.
+ * @returns {Object[]} [{ key, name, count, days, servings, totalKcal, firstEaten, lastEaten }], most eaten first.
+ */
+const summarizeUsage = (logs, keyOf) => {
+  const usage = new Map();
+  [...logs].sort((a, b) => a.date.localeCompare(b.date)).forEach(log => {
+    log.entries.forEach(entry => {
+      const key = keyOf(entry);
+      if (!usage.has(key)) {
+        usage.set(key, { key, name: entry.name, count: 0, dates: new Set(), servings: 0, totalKcal: 0, firstEaten: log.date, lastEaten: log.date });
+      }
+      const food = usage.get(key);
+      food.name = entry.name; // The latest name wins
+      food.count++;
+      food.dates.add(log.date);
+      food.servings += entry.quantity || 1;
+      food.totalKcal += entry.kcal;
+      food.lastEaten = log.date;
+    });
+  });
+
+  return [...usage.values()]
+    .map(({ dates, ...food }) => ({ ...food, days: dates.size, servings: Math.round(food.servings * 10) / 10 }))
+    .sort((a, b) => b.count - a.count || b.lastEaten.localeCompare(a.lastEaten));
+};
+
+/**
+ * Rewrites the entries of one food with its current name and nutrition, keeping their quantities.
+ * @param {Object[]} entries - A day's entries as plain objects.
+ * @param {Object} food - The food: { _id, name, kcal, protein, carbs, fat }.
+ * @param {Function} isMatch - (entry) => true for entries of this food.
+ * @returns {Object} { entries, changed } where changed is how many entries were rewritten.
+ */
+const applyFoodToEntries = (entries, food, isMatch) => {
+  let changed = 0;
+  const updated = entries.map(entry => {
+    if (!isMatch(entry)) return entry;
+    changed++;
+    return { ...entry, food: food._id, name: food.name, ...scaleNutrition(food, entry.quantity || 1) };
+  });
+  return { entries: updated, changed };
+};
+
+/**
+ * Adds up a day's entries into the totals stored on its log, rounded to a tenth so float noise doesn't show.
+ * @param {Object[]} entries - The day's entries.
+ * @returns {Object} { totalKcal, totalProtein, totalCarbs, totalFat }
+ */
+const totalEntries = (entries) => {
+  const sum = (key) => Math.round(entries.reduce((total, entry) => total + (entry[key] || 0), 0) * 10) / 10;
+  return { totalKcal: sum('kcal'), totalProtein: sum('protein'), totalCarbs: sum('carbs'), totalFat: sum('fat') };
+};
+
+export { summarizeUsage, applyFoodToEntries, totalEntries };
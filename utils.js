@@ -1,3 +1,15 @@
+/**
+ * The profile that data from before profiles existed belongs to.
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Checks a profile name: 1-32 letters, digits, spaces, dots, dashes or underscores.
+ * @param {string} name - The name to check.
+ * @returns {boolean} True if the name can be used.
+ */
+const isValidProfileName = (name) => /^[\p{L}\p{N}][\p{L}\p{N} ._-]{0,31}$/u.test(String(name || '').trim());
+
 /**
  * Gets the user's local date as a string in "YYYY-MM-DD" format.
  * This is critical to ensure logs are saved to the correct day regardless of timezone.
@@ -23,21 +35,128 @@ const getCurrentTime = () => {
 };
 
 /**
- * Gets the time slot based on the current hour.
- * @returns {string} The time slot ('Morning', 'Afternoon', 'Evening', 'Night').
+ * The time slots used until the user defines their own.
+ */
+const DEFAULT_TIME_SLOTS = [
+  { name: 'Morning', startHour: 5, order: 1, emoji: '🌅' },
+  { name: 'Afternoon', startHour: 12, order: 2, emoji: '☀️' },
+  { name: 'Evening', startHour: 17, order: 3, emoji: '🌇' },
+  { name: 'Night', startHour: 21, order: 4, emoji: '🌙' },
+];
+
+/**
+ * Gets the time slot for an hour of the day: the slot with the latest start hour at or before it.
+ * Hours before the earliest start belong to the last slot of the previous day (e.g. 2am is still Night).
+ * @param {number} hour - Hour from 0 to 23; defaults to the current hour.
+ * @param {Object[]} [slots] - Slots as { name, startHour }; defaults to DEFAULT_TIME_SLOTS.
+ * @returns {string} The time slot's name.
+ */
+const getTimeSlot = (hour = new Date().getHours(), slots = DEFAULT_TIME_SLOTS) => {
+  const byStart = [...slots].sort((a, b) => a.startHour - b.startHour);
+  const slot = byStart.filter(s => s.startHour <= hour).pop() || byStart[byStart.length - 1];
+  return slot.name;
+};
+
+/**
+ * Finds a time slot by name, ignoring case and surrounding spaces ("evening" -> "Evening").
+ * @param {string} name - The slot name as typed.
+ * @param {Object[]} [slots] - Slots as { name }; defaults to DEFAULT_TIME_SLOTS.
+ * @returns {string|null} The slot's name as configured, or null if there is no such slot.
+ */
+const findTimeSlot = (name, slots = DEFAULT_TIME_SLOTS) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  const slot = slots.find(s => s.name.toLowerCase() === wanted);
+  return slot ? slot.name : null;
+};
+
+/**
+ * Sorts time slots into the order they're shown in.
+ * @param {Object[]} slots - Slots as { order, startHour }.
+ * @returns {Object[]} A new, sorted array.
+ */
+const sortTimeSlots = (slots) => [...slots].sort((a, b) => a.order - b.order || a.startHour - b.startHour);
+
+/**
+ * Groups a day's entries by time slot, in slot order and by time within each slot.
+ * Entries whose slot has since been renamed or removed get a group of their own at the end.
+ * @param {Object[]} entries - Log entries with timeSlot and time.
+ * @param {Object[]} slots - Slots in display order.
+ * @returns {Object[]} { slot, items } groups, where items are { entry, index } and index is the entry's position in the log.
+ */
+const groupEntriesBySlot = (entries, slots) => {
+  const groups = new Map(slots.map(slot => [slot.name, { slot, items: [] }]));
+  entries.forEach((entry, index) => {
+    if (!groups.has(entry.timeSlot)) groups.set(entry.timeSlot, { slot: { name: entry.timeSlot }, items: [] });
+    groups.get(entry.timeSlot).items.push({ entry, index });
+  });
+
+  return [...groups.values()]
+    .filter(group => group.items.length > 0)
+    .map(group => ({ ...group, items: group.items.sort((a, b) => a.entry.time.localeCompare(b.entry.time)) }));
+};
+
+/**
+ * Checks that a string is a real calendar date in "YYYY-MM-DD" format.
+ * @param {string} dateString - The string to check.
+ * @returns {boolean} True if the string is a valid date.
+ */
+const isValidDateString = (dateString) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return false;
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateString);
+};
+
+/**
+ * Adds days to a "YYYY-MM-DD" date string.
+ * @param {string} dateString - The starting date.
+ * @param {number} days - Days to add; negative to go back.
+ * @returns {string} The resulting date string.
+ */
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Reads a date typed by the user: "today", "yesterday", "-2d" or "2d" (two days ago), or "YYYY-MM-DD".
+ * @param {string} input - What the user typed; empty means today.
+ * @param {string} [today] - The date relative shortcuts count back from.
+ * @returns {string|null} The date as "YYYY-MM-DD", or null if it can't be read.
+ */
+const parseDateInput = (input, today = getLocalDate()) => {
+  const text = String(input || '').trim().toLowerCase();
+  if (text === '' || text === 'today') return today;
+  if (text === 'yesterday') return addDays(today, -1);
+
+  const daysAgo = text.match(/^(?:-(\d+)d?|(\d+)d)$/);
+  if (daysAgo) return addDays(today, -parseInt(daysAgo[1] || daysAgo[2], 10));
+
+  return isValidDateString(text) ? text : null;
+};
+
+/**
+ * Splits comma-separated input into a list, trimming each item and dropping blanks and repeats (ignoring case).
+ * @param {string} input - e.g. "coffee, Street food,, coffee".
+ * @returns {string[]} e.g. ['coffee', 'Street food'].
  */
-const getTimeSlot = () => {
-  const hour = new Date().getHours();
-  if (hour >= 5 && hour < 12) {
-    return 'Morning';
-  }
-  if (hour >= 12 && hour < 17) {
-    return 'Afternoon';
-  }
-  if (hour >= 17 && hour < 21) {
-    return 'Evening';
-  }
-  return 'Night';
+const parseList = (input) => {
+  const items = String(input || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.filter((item, i) => items.findIndex(other => other.toLowerCase() === item.toLowerCase()) === i);
 };
 
-export { getLocalDate, getCurrentTime, getTimeSlot };
+export {
+  DEFAULT_PROFILE,
+  isValidProfileName,
+  DEFAULT_TIME_SLOTS,
+  getLocalDate,
+  getCurrentTime,
+  getTimeSlot,
+  findTimeSlot,
+  sortTimeSlots,
+  groupEntriesBySlot,
+  isValidDateString,
+  addDays,
+  parseDateInput,
+  parseList,
+};
@@ -0,0 +1,63 @@
+// How strongly each day's weigh-in pulls the trend; 0.1 smooths out day-to-day water swings
+const TREND_SMOOTHING = 0.1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts the days between two "YYYY-MM-DD" dates.
+ * @param {string} from - The earlier date.
+ * @param {string} to - The later date.
+ * @returns {number} The number of days from `from` to `to`.
+ */
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Smooths weigh-ins with an exponential moving average.
+ * Days without a weigh-in count as steps too, so a weigh-in after a long gap moves the trend further.
+ * @param {Object[]} weighIns - { date, weight } records, in any order.
+ * @param {number} [smoothing] - Weight given to each day's reading, between 0 and 1.
+ * @returns {Object[]} { date, weight, trend } sorted by date.
+ */
+const calculateTrend = (weighIns, smoothing = TREND_SMOOTHING) => {
+  const sorted = [...weighIns].sort((a, b) => a.date.localeCompare(b.date));
+  let trend = null;
+  let previousDate = null;
+
+  return sorted.map(({ date, weight }) => {
+    if (trend === null) {
+      trend = weight;
+    } else {
+      const pull = 1 - (1 - smoothing) ** Math.max(1, daysBetween(previousDate, date));
+      trend += pull * (weight - trend);
+    }
+    previousDate = date;
+    return { date, weight, trend: Math.round(trend * 100) / 100 };
+  });
+};
+
+/**
+ * Works out how fast the trend is moving, in kg per week, over roughly the last `days` days.
+ * @param {Object[]} trendPoints - Output of calculateTrend.
+ * @param {number} [days] - How far back to compare against.
+ * @returns {number|null} The weekly change (negative when losing), or null with fewer than two days of data.
+ */
+const calculateWeeklyRate = (trendPoints, days = 14) => {
+  if (trendPoints.length < 2) return null;
+  const latest = trendPoints[trendPoints.length - 1];
+  const earlier = trendPoints.filter(point => daysBetween(point.date, latest.date) >= days).pop() || trendPoints[0];
+  const span = daysBetween(earlier.date, latest.date);
+  if (span === 0) return null;
+  return Math.round(((latest.trend - earlier.trend) / span) * 7 * 100) / 100;
+};
+
+/**
+ * Formats a weekly rate such as "-0.45 kg/week".
+ * @param {number|null} rate - The rate from calculateWeeklyRate.
+ * @returns {string} The formatted rate, or "n/a" when there isn't enough data.
+ */
+const formatWeeklyRate = (rate) => {
+  if (rate === null) return 'n/a';
+  return `${rate > 0 ? '+' : ''}${rate.toFixed(2)} kg/week`;
+};
+
+export { TREND_SMOOTHING, daysBetween, calculateTrend, calculateWeeklyRate, formatWeeklyRate };